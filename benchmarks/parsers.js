@@ -0,0 +1,229 @@
+'use strict';
+/**
+ * @file Throughput benchmark of the multipart parsers
+ *
+ * @author Anand Suresh <anandsuresh@gmail.com>
+ * @copyright Copyright (C) 2017 Anand Suresh
+ * @license Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* eslint-disable no-console */
+
+const MultipartByteParser = require('../lib/multipart_byte_parser');
+const MultipartParser = require('../lib/multipart_parser');
+const MultipartScanner = require('../lib/multipart_scanner');
+const _ = require('lodash');
+
+
+const BOUNDARY = '----------------------------287032381131322';
+const TOTAL_SIZE = 64 * 1024 * 1024;
+const CHUNK_SIZE = 64 * 1024;
+const RUNS = 5;
+
+
+/**
+ * Returns deterministic pseudo-random bytes
+ *
+ * @param {Number} length The no. of bytes to return
+ * @param {String} [alphabet] The characters to pick from, or any byte if none
+ * @return {Buffer}
+ */
+function generate(length, alphabet) {
+  const buf = new Buffer(length);
+  let seed = 42;
+
+  for (let i = 0; i < length; i++) {
+    seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+    buf[i] = alphabet
+      ? alphabet.charCodeAt((seed >> 16) % alphabet.length)
+      : (seed >> 16) & 0xff;
+  }
+  return buf;
+}
+
+
+/**
+ * Returns a multipart message, split into chunks, with parts of the specified
+ * size, filled with the specified data, up to about TOTAL_SIZE bytes
+ *
+ * @param {Number} partSize The size of each part
+ * @param {Buffer} data The contents of each part
+ * @return {Array}
+ */
+function message(partSize, data) {
+  const head = new Buffer(`--${BOUNDARY}\r\n` +
+    'Content-Disposition: form-data; name="file"; filename="file.bin"\r\n' +
+    'Content-Type: application/octet-stream\r\n\r\n');
+  const delimiter = new Buffer(`\r\n--${BOUNDARY}\r\n` +
+    'Content-Disposition: form-data; name="file"; filename="file.bin"\r\n' +
+    'Content-Type: application/octet-stream\r\n\r\n');
+  const body = [head];
+  let size = head.length;
+
+  while (size < TOTAL_SIZE) {
+    const part = data.slice(0, partSize);
+    body.push(part, delimiter);
+    size += part.length + delimiter.length;
+  }
+  body[body.length - 1] = new Buffer(`\r\n--${BOUNDARY}--\r\n`);
+
+  const buf = Buffer.concat(body);
+  const chunks = [];
+  for (let i = 0; i < buf.length; i += CHUNK_SIZE) {
+    chunks.push(buf.slice(i, i + CHUNK_SIZE));
+  }
+  return chunks;
+}
+
+
+/**
+ * Returns the time elapsed since the specified time, in milliseconds
+ *
+ * @param {Array} start The time returned by process.hrtime()
+ * @return {Number}
+ */
+function since(start) {
+  const elapsed = process.hrtime(start);
+  return elapsed[0] * 1e3 + elapsed[1] / 1e6;
+}
+
+
+/**
+ * Parses the specified chunks using the MultipartByteParser, i.e. through
+ * the events it emits
+ *
+ * @param {Array} chunks The chunks of the multipart message
+ * @return {Promise} The time taken in milliseconds
+ */
+function parseEvents(chunks) {
+  const parser = new MultipartByteParser({
+    boundary: MultipartByteParser._constructBoundary(BOUNDARY)
+  });
+  let size = 0;
+
+  parser
+    .on('error', (err) => {
+      throw err;
+    })
+    .on('partData', (chunk) => (size += chunk.length));
+
+  const start = process.hrtime();
+  chunks.forEach((chunk) => parser.write(chunk));
+  parser.end();
+  return Promise.resolve(since(start));
+}
+
+
+/**
+ * Parses the specified chunks using the MultipartScanner, i.e. through the
+ * callbacks of its handler
+ *
+ * @param {Array} chunks The chunks of the multipart message
+ * @return {Promise} The time taken in milliseconds
+ */
+function parseCallbacks(chunks) {
+  let size = 0;
+  const scanner = new MultipartScanner({ boundary: BOUNDARY }, {
+    onPartData: (buffer, start, end) => (size += end - start)
+  });
+
+  const start = process.hrtime();
+  chunks.forEach((chunk) => scanner.write(chunk));
+  scanner.end();
+  return Promise.resolve(since(start));
+}
+
+
+/**
+ * Parses the specified chunks using the MultipartParser, consuming every part
+ *
+ * @param {Array} chunks The chunks of the multipart message
+ * @return {Promise} The time taken in milliseconds
+ */
+function parseParts(chunks) {
+  return new Promise((resolve, reject) => {
+    const parser = new MultipartParser({
+      boundary: BOUNDARY,
+      maxParts: Infinity,
+      maxTotalSize: Infinity,
+      maxPartSize: Infinity
+    });
+    const start = process.hrtime();
+
+    parser
+      .on('error', reject)
+      .on('part', (part) => part.resume())
+      .on('end', () => resolve(since(start)));
+
+    chunks.forEach((chunk) => parser.write(chunk));
+    parser.end();
+  });
+}
+
+
+/**
+ * Runs the specified promise-returning functions one after the other
+ *
+ * @param {Array} fns The functions to run
+ * @return {Promise} The results of the functions
+ */
+function series(fns) {
+  const results = [];
+
+  return fns.reduce((promise, fn) => promise.then(() => fn())
+    .then((result) => results.push(result)), Promise.resolve())
+    .then(() => results);
+}
+
+
+const data = {
+  binary: generate(8 * 1024 * 1024),
+  text: generate(8 * 1024 * 1024, 'abcdefghij klmnop\r\n--'),
+  boundaryLike: generate(8 * 1024 * 1024, `\r\n--${BOUNDARY.slice(0, 12)}`)
+};
+const scenarios = [
+  { name: 'binary, 8MiB parts', chunks: message(8 * 1024 * 1024, data.binary) },
+  { name: 'binary, 64KiB parts', chunks: message(64 * 1024, data.binary) },
+  { name: 'binary, 1KiB parts', chunks: message(1024, data.binary) },
+  { name: 'text, 1MiB parts', chunks: message(1024 * 1024, data.text) },
+  {
+    name: 'boundary-like, 1MiB parts',
+    chunks: message(1024 * 1024, data.boundaryLike)
+  }
+];
+const parsers = [
+  { name: 'events', parse: parseEvents },
+  { name: 'callbacks', parse: parseCallbacks },
+  { name: 'parts', parse: parseParts }
+];
+
+// Warm up the JIT, so that the first scenario is not penalized
+series(_.flatMap(scenarios, (scenario) => parsers.map((parser) => {
+  return () => parser.parse(scenario.chunks);
+})))
+  .then(() => series(scenarios.map((scenario) => () => {
+    const size = _.sumBy(scenario.chunks, 'length') / 1024 / 1024;
+
+    return series(parsers.map((parser) => () => {
+      return series(_.times(RUNS, () => () => parser.parse(scenario.chunks)))
+        .then((times) => {
+          const throughput = (size / (_.min(times) / 1e3)).toFixed(1);
+          return `${parser.name} ${throughput} MiB/s`;
+        });
+    }))
+      .then((results) => console.log('%s: %s', scenario.name,
+        results.join(', ')));
+  })))
+  .catch((err) => console.error(err));
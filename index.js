@@ -19,10 +19,138 @@
  * limitations under the License.
  */
 
+const Charset = require('./lib/charset');
+const Collector = require('./lib/collector');
+const MultipartError = require('./lib/multipart_error');
+const MultipartParser = require('./lib/multipart_parser');
+const MultipartScanner = require('./lib/multipart_scanner');
+const MultipartStreamer = require('./lib/multipart_streamer');
+const TransferEncoding = require('./lib/transfer_encoding');
+const storage = {
+  ContentAddressed: require('./lib/storage/content_addressed'),
+  Disk: require('./lib/storage/disk'),
+  Memory: require('./lib/storage/memory')
+};
+const _ = require('lodash');
+
+
+/**
+ * Ensures that the specified value is defined
+ *
+ * @param {*} val The value to check
+ * @return {Boolean}
+ */
+const IS_DEFINED = (val) => (val !== undefined && val !== null);
+
+
+/**
+ * Creates a parser for the multipart message read from the specified stream
+ *
+ * The boundary is determined from the content-type header of the stream, if it
+ * is an HTTP request, unless one is specified in the options, as is the length
+ * of the message, from its content-length header.
+ *
+ * @param {Readable} src The stream to read the multipart message from
+ * @param {Object} [opts] Configuration options for the MultipartParser
+ * @return {MultipartParser}
+ * @throws {MultipartError} If the boundary of the message is unknown
+ */
+function createParser(src, opts) {
+  opts = _.extend({}, opts);
+  if (!IS_DEFINED(opts.boundary) && !IS_DEFINED(opts.contentType) &&
+      IS_DEFINED(src.headers)) {
+    opts.contentType = src.headers['content-type'];
+  }
+
+  if (!IS_DEFINED(opts.contentLength) && IS_DEFINED(src.headers)) {
+    opts.contentLength = src.headers['content-length'];
+  }
+
+  const parser = new MultipartParser(opts);
+  if (!IS_DEFINED(parser.boundary)) {
+    throw MultipartError.BadContentType('Unable to determine content-type!');
+  }
+
+  src.once('error', (err) => parser._emitError(MultipartError.Unexpected(err)));
+  return parser;
+}
+
+
+/**
+ * Parses the multipart message read from the specified stream
+ *
+ * @param {Readable} src The stream to read the multipart message from
+ * @param {Object} [opts] Configuration options for the MultipartParser
+ * @return {MultipartParser}
+ * @throws {MultipartError} If the boundary of the message is unknown
+ */
+function parse(src, opts) {
+  return src.pipe(createParser(src, opts));
+}
+
+
+/**
+ * Returns an async iterator over the parts of the multipart message read from
+ * the specified stream
+ *
+ * @param {Readable} src The stream to read the multipart message from
+ * @param {Object} [opts] Configuration options for the MultipartParser
+ * @return {PartIterator}
+ * @throws {MultipartError} If the boundary of the message is unknown
+ */
+function parts(src, opts) {
+  const parser = createParser(src, opts);
+  const iterator = parser.iterate();
+
+  src.pipe(parser);
+  return iterator;
+}
+
+
+/**
+ * Parses the multipart message read from the specified stream, collecting all
+ * of its parts
+ *
+ * The promise resolves to an object containing `fields`, with the values of
+ * field and object parts keyed by name, and `files`, a list of the stream
+ * parts, each with its `name`, `filename`, `contentType`, `headers` and
+ * `size`, as well as its contents in `buffer`, or the `path` of the file its
+ * contents were written to if larger than `maxBufferSize`. If a `storage`
+ * adapter is specified, parts are stored using it, and carry the `locator`
+ * returned by the adapter instead.
+ *
+ * @param {Readable} src The stream to read the multipart message from
+ * @param {Object} [opts] Configuration options for the MultipartParser
+ * @param {Number} [opts.maxBufferSize=1mB] The size beyond which files are
+ *   written to disk instead of being buffered in memory
+ * @param {String} [opts.uploadDir=os.tmpdir()] The directory to write files to
+ * @param {Boolean|Object} [opts.expandFields=false] Whether to expand field
+ *   names such as `user[emails][]` into nested objects and arrays, or the
+ *   options for expanding them
+ * @return {Promise}
+ */
+function parseAll(src, opts) {
+  try {
+    return Collector.collect(parts(src, opts), opts);
+  } catch (err) {
+    return Promise.reject(err);
+  }
+}
+
+
 /**
  * Export the interface
  */
 module.exports = {
-  Parser: require('./lib/multipart_parser'),
-  Streamer: require('./lib/multipart_streamer')
+  Parser: MultipartParser,
+  Scanner: MultipartScanner,
+  Streamer: MultipartStreamer,
+  ContentAddressedStorage: storage.ContentAddressed,
+  DiskStorage: storage.Disk,
+  MemoryStorage: storage.Memory,
+  TransferEncoding: TransferEncoding,
+  Charset: Charset,
+  parse: parse,
+  parts: parts,
+  parseAll: parseAll
 };
@@ -0,0 +1,150 @@
+'use strict';
+/**
+ * @file Decoders for the character sets of text parts
+ *
+ * @author Anand Suresh <anandsuresh@gmail.com>
+ * @copyright Copyright (C) 2017 Anand Suresh
+ * @license Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const _ = require('lodash');
+
+
+/**
+ * Characters for the bytes 0x80-0x9f in windows-1252, which are C1 control
+ * characters in ISO-8859-1; bytes left undefined decode as those controls
+ * @type {String}
+ */
+const WINDOWS_1252 = '€\u0081‚ƒ„…†‡' +
+  'ˆ‰Š‹Œ\u008dŽ\u008f' +
+  '\u0090‘’“”•–—' +
+  '˜™š›œ\u009džŸ';
+
+
+/**
+ * Returns a decoder that uses the specified Node.js encoding
+ *
+ * @param {String} encoding The Node.js encoding
+ * @return {Function}
+ */
+const NODE_DECODER = (encoding) => (bytes) => bytes.toString(encoding);
+
+
+/**
+ * Export the interface
+ * @type {Charset}
+ */
+const Charset = exports = module.exports;
+
+
+/**
+ * Decoders for the supported character sets, keyed by lower-case name
+ *
+ * A decoder is a function that takes a Buffer and returns the decoded String.
+ *
+ * @type {Object}
+ */
+Charset.DECODERS = {
+  'utf-8': NODE_DECODER('utf8'),
+  'utf8': NODE_DECODER('utf8'),
+  'us-ascii': NODE_DECODER('ascii'),
+  'ascii': NODE_DECODER('ascii'),
+  'iso-8859-1': NODE_DECODER('latin1'),
+  'latin1': NODE_DECODER('latin1'),
+  'utf-16le': NODE_DECODER('utf16le'),
+  'windows-1252': (bytes) => Charset._decodeWindows1252(bytes),
+  'cp1252': (bytes) => Charset._decodeWindows1252(bytes)
+};
+
+
+/**
+ * Normalizes the name of a character set
+ *
+ * @param {String} charset The name of the character set
+ * @return {String}
+ */
+Charset._normalize = function (charset) {
+  return String(charset).trim().toLowerCase();
+};
+
+
+/**
+ * Decodes the specified bytes as windows-1252
+ *
+ * @param {Buffer} bytes The bytes to decode
+ * @return {String}
+ */
+Charset._decodeWindows1252 = function (bytes) {
+  let str = '';
+
+  for (let i = 0; i < bytes.length; i++) {
+    str += (bytes[i] >= 0x80 && bytes[i] <= 0x9f)
+      ? WINDOWS_1252[bytes[i] - 0x80]
+      : String.fromCharCode(bytes[i]);
+  }
+
+  return str;
+};
+
+
+/**
+ * Registers a decoder for the specified character set, replacing any
+ * previously registered decoder
+ *
+ * @param {String} charset The name of the character set
+ * @param {Function} decode Function that decodes a Buffer into a String
+ */
+Charset.registerDecoder = function (charset, decode) {
+  if (!_.isString(charset) || !_.isFunction(decode)) {
+    throw new TypeError('A charset and a function to decode it is required!');
+  }
+
+  Charset.DECODERS[Charset._normalize(charset)] = decode;
+};
+
+
+/**
+ * Checks whether the specified character set is supported
+ *
+ * @param {String} charset The name of the character set
+ * @param {Object} [decoders] Decoders, keyed by lower-case name, that take
+ *   precedence over registered ones
+ * @return {Boolean}
+ */
+Charset.isSupported = function (charset, decoders) {
+  const name = Charset._normalize(charset);
+  return _.has(decoders, name) || _.has(Charset.DECODERS, name);
+};
+
+
+/**
+ * Decodes the specified bytes using the named character set
+ *
+ * @param {Buffer} bytes The bytes to decode
+ * @param {String} charset The name of the character set
+ * @param {Object} [decoders] Decoders, keyed by lower-case name, that take
+ *   precedence over registered ones
+ * @return {String|null} The decoded string, or null if the character set is
+ *   not supported
+ */
+Charset.decode = function (bytes, charset, decoders) {
+  const name = Charset._normalize(charset);
+
+  if (_.has(decoders, name)) {
+    return decoders[name](bytes);
+  }
+
+  return _.has(Charset.DECODERS, name) ? Charset.DECODERS[name](bytes) : null;
+};
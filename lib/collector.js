@@ -0,0 +1,296 @@
+'use strict';
+/**
+ * @file Collects the parts of a multipart message into fields and files
+ *
+ * @author Anand Suresh <anandsuresh@gmail.com>
+ * @copyright Copyright (C) 2017 Anand Suresh
+ * @license Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const node = {
+  fs: require('fs'),
+  os: require('os'),
+  path: require('path')
+};
+const inception = {
+  debug: require('inception.debug')('inception:streams:multipart:collector')
+};
+const FieldName = require('./field_name');
+const MultipartError = require('./multipart_error');
+const Part = require('./part');
+const uuid = require('uuid');
+const _ = require('lodash');
+
+
+/**
+ * Ensures that the specified value is defined
+ *
+ * @param {*} val The value to check
+ * @return {Boolean}
+ */
+const IS_DEFINED = (val) => (val !== undefined && val !== null);
+
+
+/**
+ * Export the interface
+ * @type {Collector}
+ */
+const Collector = exports = module.exports;
+
+
+/**
+ * Collects all parts yielded by the specified iterator
+ *
+ * Field and object parts are collected into `fields`, keyed by their names, or
+ * their content-IDs in the absence of a name. Repeated names are collected
+ * into arrays, and structured names, such as `user[emails][]`, are expanded
+ * into nested objects and arrays if `expandFields` is set. Names that are
+ * properties of Object.prototype are dropped. Stream parts are
+ * collected into `files`, either buffered in memory, or written to disk if
+ * larger than `maxBufferSize`, unless the parser has a storage adapter, in
+ * which case the locator returned by the adapter is collected instead. Files
+ * written to disk are removed if the message cannot be parsed.
+ *
+ * @param {PartIterator} iterator The iterator over the parts of the message
+ * @param {Object} [opts] Configuration options for collecting the parts
+ * @param {Number} [opts.maxBufferSize=1mB] The size beyond which files are
+ *   written to disk instead of being buffered in memory
+ * @param {String} [opts.uploadDir=os.tmpdir()] The directory to write files to
+ * @param {Boolean|Object} [opts.expandFields=false] Whether to expand field
+ *   names, or the options for expanding them, as per FieldName.DEFAULT_OPTIONS
+ * @return {Promise} Resolves to an object with `fields` and `files`
+ */
+Collector.collect = function (iterator, opts) {
+  opts = _.defaults({}, opts, {
+    maxBufferSize: 1024 * 1024,
+    uploadDir: node.os.tmpdir(),
+    expandFields: false
+  });
+
+  const result = { fields: {}, files: [] };
+  const repeated = {};
+  const expanded = [];
+  const spills = [];
+
+  // Parts stop flowing when the parser fails, so their ends cannot be awaited
+  const failed = new Promise((resolve, reject) => {
+    iterator.parser.once('error', reject);
+  });
+  failed.catch(_.noop);
+
+  const collectNext = () => iterator.next().then((next) => {
+    if (next.done) {
+      if (opts.expandFields) {
+        result.fields = FieldName.expand(expanded,
+          _.isObject(opts.expandFields) ? opts.expandFields : {});
+      }
+      return result;
+    }
+
+    const part = next.value;
+    switch (part.type) {
+      case Part.TYPES.FIELD:
+      case Part.TYPES.OBJECT:
+        if (opts.expandFields) {
+          expanded.push([Collector._getKey(part), part.value]);
+        } else {
+          Collector._addField(result.fields, repeated, part);
+        }
+        return collectNext();
+
+      // Parts stored by the storage adapter of the parser carry its locator
+      case Part.TYPES.STREAM:
+        result.files.push(Collector._createFile(part));
+        if (IS_DEFINED(part.value)) {
+          _.last(result.files).locator = part.value;
+          _.last(result.files).size = _.get(part.value, 'size', null);
+          return collectNext();
+        }
+
+        return Promise.race([
+          Collector._collectFile(part, _.last(result.files), opts, spills),
+          failed
+        ]).then(collectNext);
+
+      // The parts of nested messages are yielded by the iterator as well
+      default:
+        return collectNext();
+    }
+  });
+
+  return collectNext().catch((err) => {
+    iterator.return();
+    return Collector._cleanup(result.files, spills).then(() => {
+      throw err;
+    });
+  });
+};
+
+
+/**
+ * Returns the key of a field or object part, which is its name, or its
+ * content-ID in the absence of a name
+ *
+ * @param {Part} part The field or object part
+ * @return {String}
+ */
+Collector._getKey = function (part) {
+  return IS_DEFINED(part.name) ? part.name : (part.contentId || '');
+};
+
+
+/**
+ * Adds the value of a field or object part to the collected fields
+ *
+ * Parts keyed by properties of Object.prototype, such as `__proto__` or
+ * `constructor`, are dropped, as they could be used to pollute prototypes.
+ *
+ * @param {Object} fields The fields collected so far
+ * @param {Object} repeated The keys that have been repeated so far
+ * @param {Part} part The field or object part
+ */
+Collector._addField = function (fields, repeated, part) {
+  const key = Collector._getKey(part);
+
+  if (_.has(Object.prototype, key)) {
+    return;
+  }
+
+  if (!_.has(fields, key)) {
+    fields[key] = part.value;
+  } else if (repeated[key] === true) {
+    fields[key].push(part.value);
+  } else {
+    repeated[key] = true;
+    fields[key] = [fields[key], part.value];
+  }
+};
+
+
+/**
+ * Creates the metadata for the file contained in a stream part
+ *
+ * @param {Part} part The stream part
+ * @return {Object}
+ */
+Collector._createFile = function (part) {
+  return {
+    name: part.name,
+    filename: part.filename,
+    rawFilename: part.rawFilename,
+    contentType: part.contentType,
+    headers: part.headers,
+    size: 0,
+    buffer: null,
+    path: null,
+    locator: null
+  };
+};
+
+
+/**
+ * Collects the contents of a stream part, spilling over to disk if needed
+ *
+ * @param {Part} part The stream part
+ * @param {Object} file The metadata for the file contained in the part
+ * @param {Object} opts Configuration options for collecting the parts
+ * @param {Array} spills The files written to disk so far, along with promises
+ *   that resolve once they are closed
+ * @return {Promise} Resolves to the metadata and contents of the file
+ */
+Collector._collectFile = function (part, file, opts, spills) {
+  return new Promise((resolve, reject) => {
+    let chunks = [];
+    let dst = null;
+    let error = null;
+
+    const fail = (err) => {
+      error = err;
+      part.resume();
+      reject(MultipartError.Unexpected(err));
+    };
+
+    const spill = () => {
+      file.path = node.path.join(opts.uploadDir, `multipart-${uuid.v4()}`);
+      inception.debug(`writing part ${part.path.join('.')} to ${file.path}`);
+
+      dst = node.fs.createWriteStream(file.path, { flags: 'wx' })
+        .once('error', fail)
+        .once('finish', () => resolve(file));
+      spills.push({
+        stream: dst,
+        closed: new Promise((resolve) => {
+          dst.once('error', resolve).once('close', resolve);
+        })
+      });
+      dst.write(Buffer.concat(chunks));
+      chunks = null;
+    };
+
+    part
+      .on('data', (chunk) => {
+        if (error !== null) {
+          return;
+        }
+
+        file.size += chunk.length;
+        if (dst !== null) {
+          if (!dst.write(chunk)) {
+            part.pause();
+            dst.once('drain', () => part.resume());
+          }
+          return;
+        }
+
+        chunks.push(chunk);
+        if (file.size > opts.maxBufferSize) {
+          spill();
+        }
+      })
+      .once('end', () => {
+        if (error !== null) {
+          return;
+        } else if (dst !== null) {
+          return dst.end();
+        }
+
+        file.buffer = Buffer.concat(chunks);
+        resolve(file);
+      });
+  });
+};
+
+
+/**
+ * Removes the files that were written to disk, once closed, as files being
+ * written when parsing fails are left open otherwise
+ *
+ * @param {Array} files The files collected so far
+ * @param {Array} spills The files written to disk so far
+ * @return {Promise}
+ */
+Collector._cleanup = function (files, spills) {
+  _.forEach(spills, (spill) => {
+    spill.stream.destroy();
+  });
+
+  return Promise.all(_.map(spills, 'closed')).then(() => {
+    return Promise.all(_.map(_.filter(files, 'path'), (file) => {
+      return new Promise((resolve) => {
+        node.fs.unlink(file.path, () => resolve());
+      });
+    }));
+  });
+};
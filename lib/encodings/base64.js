@@ -0,0 +1,157 @@
+'use strict';
+/**
+ * @file Codec for the base64 transfer-encoding
+ *
+ * @author Anand Suresh <anandsuresh@gmail.com>
+ * @copyright Copyright (C) 2017 Anand Suresh
+ * @license Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * Matches characters that are not part of the base64 alphabet
+ * @type {RegExp}
+ */
+const NON_BASE64 = /[^A-Za-z0-9+/=]/g;
+
+
+/**
+ * The maximum length of a line of encoded data, as per RFC 2045
+ * @type {Number}
+ */
+const MAX_LINE_LENGTH = 76;
+
+
+/**
+ * Decodes base64-encoded data
+ *
+ * Line-breaks and other whitespace inserted into the encoded data are ignored,
+ * and incomplete 4-character groups are held back until more data arrives.
+ *
+ * @constructor
+ */
+function Base64Decoder() {
+  if (!(this instanceof Base64Decoder)) {
+    return new Base64Decoder();
+  }
+
+  this._remainder = '';
+}
+
+
+/**
+ * Decodes the specified chunk of data
+ *
+ * @param {Buffer} chunk The encoded data
+ * @return {Buffer}
+ */
+Base64Decoder.prototype.write = function (chunk) {
+  const data = this._remainder +
+    chunk.toString('ascii').replace(NON_BASE64, '');
+  const offset = data.length - (data.length % 4);
+
+  this._remainder = data.substr(offset);
+  return Buffer.from(data.substr(0, offset), 'base64');
+};
+
+
+/**
+ * Flushes any data held back by the decoder
+ * @return {Buffer|null}
+ */
+Base64Decoder.prototype.end = function () {
+  const data = this._remainder;
+  this._remainder = '';
+  return data.length > 0 ? Buffer.from(data, 'base64') : null;
+};
+
+
+/**
+ * Encodes data as base64, wrapping lines at 76 characters
+ *
+ * @constructor
+ */
+function Base64Encoder() {
+  if (!(this instanceof Base64Encoder)) {
+    return new Base64Encoder();
+  }
+
+  this._remainder = null;
+  this._column = 0;
+}
+
+
+/**
+ * Encodes the specified chunk of data
+ *
+ * @param {Buffer} chunk The data to encode
+ * @return {Buffer}
+ */
+Base64Encoder.prototype.write = function (chunk) {
+  const data = this._remainder
+    ? Buffer.concat([this._remainder, chunk])
+    : chunk;
+  const offset = data.length - (data.length % 3);
+
+  this._remainder = offset < data.length ? data.slice(offset) : null;
+  return this._wrap(data.toString('base64', 0, offset));
+};
+
+
+/**
+ * Flushes any data held back by the encoder
+ * @return {Buffer|null}
+ */
+Base64Encoder.prototype.end = function () {
+  const data = this._remainder;
+  this._remainder = null;
+  return data ? this._wrap(data.toString('base64')) : null;
+};
+
+
+/**
+ * Breaks encoded data into lines, continuing from the last line written
+ *
+ * @param {String} encoded The encoded data
+ * @return {Buffer}
+ */
+Base64Encoder.prototype._wrap = function (encoded) {
+  const lines = [];
+  let start = 0;
+
+  while (start < encoded.length) {
+    if (this._column === MAX_LINE_LENGTH) {
+      lines.push('\r\n');
+      this._column = 0;
+    }
+
+    const end = start + MAX_LINE_LENGTH - this._column;
+    lines.push(encoded.substring(start, end));
+    this._column += Math.min(end, encoded.length) - start;
+    start = end;
+  }
+
+  return Buffer.from(lines.join(''), 'ascii');
+};
+
+
+/**
+ * Export the interface
+ * @type {Object}
+ */
+module.exports = {
+  Decoder: Base64Decoder,
+  Encoder: Base64Encoder
+};
@@ -0,0 +1,94 @@
+'use strict';
+/**
+ * @file Codec for the identity (binary, 7bit and 8bit) transfer-encodings
+ *
+ * @author Anand Suresh <anandsuresh@gmail.com>
+ * @copyright Copyright (C) 2017 Anand Suresh
+ * @license Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * Decodes identity-encoded data, which requires no decoding at all
+ *
+ * @constructor
+ */
+function IdentityDecoder() {
+  if (!(this instanceof IdentityDecoder)) {
+    return new IdentityDecoder();
+  }
+}
+
+
+/**
+ * Decodes the specified chunk of data
+ *
+ * @param {Buffer} chunk The encoded data
+ * @return {Buffer}
+ */
+IdentityDecoder.prototype.write = function (chunk) {
+  return chunk;
+};
+
+
+/**
+ * Flushes any data held back by the decoder
+ * @return {Buffer|null}
+ */
+IdentityDecoder.prototype.end = function () {
+  return null;
+};
+
+
+/**
+ * Encodes data using the identity encoding, which requires no encoding at all
+ *
+ * @constructor
+ */
+function IdentityEncoder() {
+  if (!(this instanceof IdentityEncoder)) {
+    return new IdentityEncoder();
+  }
+}
+
+
+/**
+ * Encodes the specified chunk of data
+ *
+ * @param {Buffer} chunk The data to encode
+ * @return {Buffer}
+ */
+IdentityEncoder.prototype.write = function (chunk) {
+  return chunk;
+};
+
+
+/**
+ * Flushes any data held back by the encoder
+ * @return {Buffer|null}
+ */
+IdentityEncoder.prototype.end = function () {
+  return null;
+};
+
+
+/**
+ * Export the interface
+ * @type {Object}
+ */
+module.exports = {
+  Decoder: IdentityDecoder,
+  Encoder: IdentityEncoder
+};
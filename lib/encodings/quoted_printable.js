@@ -0,0 +1,266 @@
+'use strict';
+/**
+ * @file Codec for the quoted-printable transfer-encoding
+ *
+ * @author Anand Suresh <anandsuresh@gmail.com>
+ * @copyright Copyright (C) 2017 Anand Suresh
+ * @license Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * Characters of interest for decoding
+ * @type {Object}
+ */
+const CHARS = {
+  TAB: '\t'.charCodeAt(0),
+  LF: '\n'.charCodeAt(0),
+  CR: '\r'.charCodeAt(0),
+  SPACE: ' '.charCodeAt(0),
+  EQUALS: '='.charCodeAt(0),
+
+  isWhitespace: (byte) => byte === CHARS.SPACE || byte === CHARS.TAB
+};
+
+
+/**
+ * The maximum length of a line of encoded data, as per RFC 2045
+ * @type {Number}
+ */
+const MAX_LINE_LENGTH = 76;
+
+
+/**
+ * Returns the value of the specified hexadecimal digit
+ *
+ * @param {Number} byte The character code of the digit
+ * @return {Number} The value of the digit, or -1 if it isn't a hex digit
+ */
+const HEX_VALUE = (byte) => {
+  if (byte >= 0x30 && byte <= 0x39) {
+    return byte - 0x30;
+  }
+
+  const lower = byte | 0x20;
+  return (lower >= 0x61 && lower <= 0x66) ? lower - 0x57 : -1;
+};
+
+
+/**
+ * Decodes quoted-printable data
+ *
+ * Data is decoded a line at a time, so that soft line-breaks and whitespace
+ * trailing a line can be recognized even when split across chunks.
+ *
+ * @constructor
+ */
+function QuotedPrintableDecoder() {
+  if (!(this instanceof QuotedPrintableDecoder)) {
+    return new QuotedPrintableDecoder();
+  }
+
+  this._remainder = null;
+}
+
+
+/**
+ * Decodes the specified chunk of data
+ *
+ * @param {Buffer} chunk The encoded data
+ * @return {Buffer}
+ */
+QuotedPrintableDecoder.prototype.write = function (chunk) {
+  const data = this._remainder
+    ? Buffer.concat([this._remainder, chunk])
+    : chunk;
+  const offset = data.lastIndexOf(CHARS.LF) + 1;
+
+  this._remainder = offset < data.length ? data.slice(offset) : null;
+  return QuotedPrintableDecoder._decode(data.slice(0, offset));
+};
+
+
+/**
+ * Flushes any data held back by the decoder
+ * @return {Buffer|null}
+ */
+QuotedPrintableDecoder.prototype.end = function () {
+  const data = this._remainder;
+  this._remainder = null;
+  return data ? QuotedPrintableDecoder._decode(data) : null;
+};
+
+
+/**
+ * Decodes a buffer of quoted-printable data, containing only complete lines
+ * unless it is the end of the data
+ *
+ * @param {Buffer} data The encoded data
+ * @return {Buffer}
+ */
+QuotedPrintableDecoder._decode = function (data) {
+  const decoded = Buffer.alloc(data.length);
+  let length = 0;
+  let start = 0;
+
+  while (start < data.length) {
+    let lineBreak = data.indexOf(CHARS.LF, start);
+    let end = lineBreak < 0 ? data.length : lineBreak;
+    let next = end + 1;
+
+    if (lineBreak >= 0 && end > start && data[end - 1] === CHARS.CR) {
+      lineBreak = --end;
+    }
+
+    // Whitespace at the end of a line is added in transport; drop it
+    while (end > start && CHARS.isWhitespace(data[end - 1])) {
+      end--;
+    }
+
+    const isSoftBreak = end > start && data[end - 1] === CHARS.EQUALS;
+    if (isSoftBreak) {
+      end--;
+    }
+
+    for (let i = start; i < end; i++) {
+      if (data[i] === CHARS.EQUALS && i + 2 < end) {
+        const hi = HEX_VALUE(data[i + 1]);
+        const lo = HEX_VALUE(data[i + 2]);
+
+        if (hi >= 0 && lo >= 0) {
+          decoded[length++] = (hi << 4) | lo;
+          i += 2;
+          continue;
+        }
+      }
+
+      // Malformed escape sequences are passed through as-is
+      decoded[length++] = data[i];
+    }
+
+    if (lineBreak >= 0 && !isSoftBreak) {
+      length += data.copy(decoded, length, lineBreak, next);
+    }
+
+    start = next;
+  }
+
+  return decoded.slice(0, length);
+};
+
+
+/**
+ * Encodes data as quoted-printable
+ *
+ * Line-breaks (<CR><LF>) in the data are preserved as hard line-breaks, while
+ * lines longer than 76 characters are broken using soft line-breaks. The last
+ * two bytes of each chunk are held back, since the encoding of whitespace
+ * depends on whether or not a line-break follows it.
+ *
+ * @constructor
+ */
+function QuotedPrintableEncoder() {
+  if (!(this instanceof QuotedPrintableEncoder)) {
+    return new QuotedPrintableEncoder();
+  }
+
+  this._remainder = null;
+  this._column = 0;
+}
+
+
+/**
+ * Encodes the specified chunk of data
+ *
+ * @param {Buffer} chunk The data to encode
+ * @return {Buffer}
+ */
+QuotedPrintableEncoder.prototype.write = function (chunk) {
+  const data = this._remainder
+    ? Buffer.concat([this._remainder, chunk])
+    : chunk;
+  const offset = Math.max(data.length - 2, 0);
+
+  const encoded = this._encode(data, offset);
+  this._remainder = encoded.offset < data.length
+    ? data.slice(encoded.offset)
+    : null;
+  return encoded.data;
+};
+
+
+/**
+ * Flushes any data held back by the encoder
+ * @return {Buffer|null}
+ */
+QuotedPrintableEncoder.prototype.end = function () {
+  const data = this._remainder;
+  this._remainder = null;
+  return data ? this._encode(data, data.length).data : null;
+};
+
+
+/**
+ * Encodes data up to the specified offset, looking ahead past the offset to
+ * decide how to encode whitespace and carriage-returns
+ *
+ * @param {Buffer} data The data to encode
+ * @param {Number} offset The offset up to which data is to be encoded
+ * @return {Object} The encoded data, and the offset up to which it was encoded
+ */
+QuotedPrintableEncoder.prototype._encode = function (data, offset) {
+  const encoded = [];
+  let i;
+
+  const isLineBreakAt = (j) => j >= data.length ||
+    (data[j] === CHARS.CR && data[j + 1] === CHARS.LF);
+  const append = (token) => {
+    if (this._column + token.length > MAX_LINE_LENGTH - 1) {
+      encoded.push('=\r\n');
+      this._column = 0;
+    }
+
+    encoded.push(token);
+    this._column += token.length;
+  };
+
+  for (i = 0; i < offset; i++) {
+    const byte = data[i];
+
+    if (byte === CHARS.CR && data[i + 1] === CHARS.LF) {
+      encoded.push('\r\n');
+      this._column = 0;
+      i++;
+    } else if (CHARS.isWhitespace(byte) && !isLineBreakAt(i + 1)) {
+      append(String.fromCharCode(byte));
+    } else if (byte > CHARS.SPACE && byte < 0x7F && byte !== CHARS.EQUALS) {
+      append(String.fromCharCode(byte));
+    } else {
+      append(`=${byte < 0x10 ? '0' : ''}${byte.toString(16).toUpperCase()}`);
+    }
+  }
+
+  return { data: Buffer.from(encoded.join(''), 'ascii'), offset: i };
+};
+
+
+/**
+ * Export the interface
+ * @type {Object}
+ */
+module.exports = {
+  Decoder: QuotedPrintableDecoder,
+  Encoder: QuotedPrintableEncoder
+};
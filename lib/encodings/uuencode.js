@@ -0,0 +1,152 @@
+'use strict';
+/**
+ * @file Codec for the x-uuencode transfer-encoding
+ *
+ * @author Anand Suresh <anandsuresh@gmail.com>
+ * @copyright Copyright (C) 2017 Anand Suresh
+ * @license Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * Regular expressions for recognizing the framing lines of uuencoded data
+ * @type {Object}
+ */
+const REGEXP = {
+  BEGIN: /^begin(-base64)?\s+[0-7]+\s/,
+  END: /^end\s*$/
+};
+
+
+/**
+ * Characters of interest for decoding
+ * @type {Object}
+ */
+const CHARS = {
+  LF: '\n'.charCodeAt(0),
+  CR: '\r'.charCodeAt(0)
+};
+
+
+/**
+ * Returns the 6-bit value encoded by the specified character
+ *
+ * @param {Number} byte The character code
+ * @return {Number}
+ */
+const SEXTET = (byte) => (byte - 0x20) & 0x3F;
+
+
+/**
+ * Decodes uuencoded data
+ *
+ * The `begin` and `end` lines framing the encoded data are skipped, as is any
+ * data that follows the `end` line.
+ *
+ * @constructor
+ */
+function UuDecoder() {
+  if (!(this instanceof UuDecoder)) {
+    return new UuDecoder();
+  }
+
+  this._remainder = null;
+  this._ended = false;
+}
+
+
+/**
+ * Decodes the specified chunk of data
+ *
+ * @param {Buffer} chunk The encoded data
+ * @return {Buffer}
+ */
+UuDecoder.prototype.write = function (chunk) {
+  const data = this._remainder
+    ? Buffer.concat([this._remainder, chunk])
+    : chunk;
+  const offset = data.lastIndexOf(CHARS.LF) + 1;
+
+  this._remainder = offset < data.length ? data.slice(offset) : null;
+  return this._decode(data.slice(0, offset));
+};
+
+
+/**
+ * Flushes any data held back by the decoder
+ * @return {Buffer|null}
+ */
+UuDecoder.prototype.end = function () {
+  const data = this._remainder;
+  this._remainder = null;
+  return data ? this._decode(data) : null;
+};
+
+
+/**
+ * Decodes a buffer of uuencoded data, containing only complete lines unless it
+ * is the end of the data
+ *
+ * @param {Buffer} data The encoded data
+ * @return {Buffer}
+ */
+UuDecoder.prototype._decode = function (data) {
+  const decoded = Buffer.alloc(Math.ceil(data.length * 3 / 2));
+  let length = 0;
+  let start = 0;
+
+  while (start < data.length && !this._ended) {
+    let end = data.indexOf(CHARS.LF, start);
+    const next = end < 0 ? data.length : end + 1;
+
+    end = end < 0 ? data.length : end;
+    if (end > start && data[end - 1] === CHARS.CR) {
+      end--;
+    }
+
+    const line = data.toString('binary', start, end);
+    start = next;
+
+    if (REGEXP.END.test(line)) {
+      this._ended = true;
+    } else if (line.length > 1 && !REGEXP.BEGIN.test(line)) {
+      // Lines claiming more bytes than they encode are truncated
+      const count = Math.min(SEXTET(line.charCodeAt(0)),
+        Math.ceil((line.length - 1) / 4) * 3);
+
+      for (let i = 1, n = 0; n < count; i += 4) {
+        const group = ((SEXTET(line.charCodeAt(i)) << 18) |
+          (SEXTET(line.charCodeAt(i + 1)) << 12) |
+          (SEXTET(line.charCodeAt(i + 2)) << 6) |
+          SEXTET(line.charCodeAt(i + 3))) >>> 0;
+
+        for (let shift = 16; shift >= 0 && n < count; shift -= 8, n++) {
+          decoded[length++] = (group >> shift) & 0xFF;
+        }
+      }
+    }
+  }
+
+  return decoded.slice(0, length);
+};
+
+
+/**
+ * Export the interface
+ * @type {Object}
+ */
+module.exports = {
+  Decoder: UuDecoder
+};
@@ -0,0 +1,214 @@
+'use strict';
+/**
+ * @file Expands structured field names into nested objects and arrays
+ *
+ * @author Anand Suresh <anandsuresh@gmail.com>
+ * @copyright Copyright (C) 2017 Anand Suresh
+ * @license Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const _ = require('lodash');
+
+
+/**
+ * Regular expressions for parsing field names
+ * @type {Object}
+ */
+const REGEXP = {
+  DOT_SEGMENT: /\.([^.[]+)/g,
+  BRACKET_SEGMENT: /^\[([^[\]]*)\]/,
+  INDEX: /^(0|[1-9][0-9]*)$/
+};
+
+
+/**
+ * Export the interface
+ * @type {FieldName}
+ */
+const FieldName = exports = module.exports;
+
+
+/**
+ * The default options for expanding field names
+ *
+ * @type {Object}
+ * @property {Boolean} allowDots Whether `a.b` is expanded like `a[b]`
+ * @property {Number} depth The maximum no. of nested keys; any remaining keys
+ *   are kept as a single literal key
+ * @property {Number} arrayLimit The largest index expanded into an array;
+ *   larger indices are used as object keys instead
+ */
+FieldName.DEFAULT_OPTIONS = Object.freeze({
+  allowDots: true,
+  depth: 5,
+  arrayLimit: 20
+});
+
+
+/**
+ * Splits the specified field name into the keys of the nested value
+ *
+ * An empty key, as in `a[]`, stands for the next element of an array. Names
+ * with keys that are properties of Object.prototype, such as `__proto__` or
+ * `constructor`, are rejected, as they could be used to pollute prototypes.
+ *
+ * @param {String} name The field name, such as `user[emails][]`
+ * @param {Object} [opts] The options for expanding field names
+ * @return {Array|null} The keys, or null if the name is rejected
+ */
+FieldName.parse = function (name, opts) {
+  opts = _.defaults({}, opts, FieldName.DEFAULT_OPTIONS);
+  name = String(name);
+  if (opts.allowDots) {
+    name = name.replace(REGEXP.DOT_SEGMENT, '[$1]');
+  }
+
+  const bracket = name.indexOf('[');
+  const keys = [bracket > 0 ? name.slice(0, bracket) : name];
+  let rest = bracket > 0 ? name.slice(bracket) : '';
+  let matches = null;
+
+  while (keys.length <= opts.depth &&
+      (matches = rest.match(REGEXP.BRACKET_SEGMENT)) !== null) {
+    keys.push(matches[1]);
+    rest = rest.slice(matches[0].length);
+  }
+
+  // Keys beyond the maximum depth are kept as they are
+  if (rest.length > 0) {
+    keys.push(rest);
+  }
+
+  return _.some(keys, (key) => _.has(Object.prototype, key)) ? null : keys;
+};
+
+
+/**
+ * Expands the specified fields into nested objects and arrays
+ *
+ * Repeated names, or a plain name repeated with nested keys, are collected
+ * into arrays of values, and sparse arrays are compacted, preserving the order
+ * of their elements.
+ *
+ * @param {Array} fields The names and values of the fields, in order, as
+ *   `[name, value]` pairs
+ * @param {Object} [opts] The options for expanding field names
+ * @return {Object}
+ */
+FieldName.expand = function (fields, opts) {
+  opts = _.defaults({}, opts, FieldName.DEFAULT_OPTIONS);
+
+  const result = {};
+  const state = { containers: new Set([result]), repeated: new Set() };
+
+  _.forEach(fields, (field) => {
+    const keys = FieldName.parse(field[0], opts);
+    if (keys !== null) {
+      FieldName._assign(result, keys, field[1], opts, state);
+    }
+  });
+
+  return FieldName._compact(result, state);
+};
+
+
+/**
+ * Checks whether the specified key is used as an array index
+ *
+ * @param {String} key The key
+ * @param {Object} opts The options for expanding field names
+ * @return {Boolean}
+ */
+FieldName._isIndex = function (key, opts) {
+  return key === '' ||
+    (REGEXP.INDEX.test(key) && parseInt(key, 10) <= opts.arrayLimit);
+};
+
+
+/**
+ * Assigns a value to the nested key of the specified container
+ *
+ * @param {Object|Array} target The container
+ * @param {Array} keys The nested keys
+ * @param {*} value The value
+ * @param {Object} opts The options for expanding field names
+ * @param {Object} state The containers and the repeated values created so far
+ */
+FieldName._assign = function (target, keys, value, opts, state) {
+  let key = keys[0];
+  if (key === '') {
+    key = _.isArray(target) ? target.length : _.size(target);
+  }
+
+  const existing = target[key];
+  if (keys.length === 1) {
+    if (existing === undefined) {
+      target[key] = value;
+    } else if (state.repeated.has(existing)) {
+      existing.push(value);
+    } else {
+      target[key] = [existing, value];
+      state.repeated.add(target[key]);
+    }
+    return;
+  }
+
+  const isArray = FieldName._isIndex(keys[1], opts);
+  let holder = target;
+  let slot = key;
+
+  // Nested keys of repeated names apply to the last of their values
+  if (state.repeated.has(existing)) {
+    holder = existing;
+    slot = existing.length - 1;
+  }
+
+  let container = holder[slot];
+  if (container === undefined) {
+    container = holder[slot] = isArray ? [] : {};
+  } else if (!state.containers.has(container)) {
+    // Plain values are kept alongside nested values with the same name
+    container = isArray ? [] : {};
+    FieldName._assign(target, [key], container, opts, state);
+  } else if (_.isArray(container) && !isArray) {
+    // Arrays are turned into objects once they are given non-index keys
+    container = holder[slot] = _.extend({}, container);
+  }
+
+  state.containers.add(container);
+  FieldName._assign(container, keys.slice(1), value, opts, state);
+};
+
+
+/**
+ * Removes the holes in the arrays created while expanding fields
+ *
+ * @param {*} value The value to compact
+ * @param {Object} state The containers and the repeated values created
+ * @return {*}
+ */
+FieldName._compact = function (value, state) {
+  if (!state.containers.has(value) && !state.repeated.has(value)) {
+    return value;
+  }
+
+  if (_.isArray(value)) {
+    return value
+      .filter(() => true)
+      .map((element) => FieldName._compact(element, state));
+  }
+
+  return _.mapValues(value, (element) => FieldName._compact(element, state));
+};
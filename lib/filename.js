@@ -0,0 +1,151 @@
+'use strict';
+/**
+ * @file Sanitizes filenames of multipart message parts
+ *
+ * @author Anand Suresh <anandsuresh@gmail.com>
+ * @copyright Copyright (C) 2017 Anand Suresh
+ * @license Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const node = {
+  path: require('path')
+};
+const _ = require('lodash');
+
+
+/**
+ * Regular expressions for sanitizing filenames
+ * @type {Object}
+ */
+const REGEXP = {
+  // eslint-disable-next-line no-control-regex
+  CONTROL_CHARS: /[\x00-\x1f\x7f-\x9f]/g,
+  BIDI_CHARS: /[\u200e\u200f\u202a-\u202e\u2066-\u2069]/g,
+  RESERVED_CHARS: /[/\\:*?"<>|]/g,
+  LEADING_DOTS: /^\.+/,
+  TRAILING_DOTS_AND_SPACES: /[. ]+$/,
+  RESERVED_NAMES: /^(con|prn|aux|nul|com[0-9]|lpt[0-9])(\..*)?$/i
+};
+
+
+/**
+ * Export the interface
+ * @type {Filename}
+ */
+const Filename = exports = module.exports;
+
+
+/**
+ * The default policy for sanitizing filenames
+ *
+ * @type {Object}
+ * @property {String|Boolean} normalize The Unicode normalization form to use,
+ *   or false to leave filenames as they are
+ * @property {String} replacement The string that unsafe characters are
+ *   replaced with
+ * @property {Number} maxLength The maximum length of filenames, in UTF-8 bytes
+ * @property {Boolean} allowLeadingDots Whether to allow hidden files
+ * @property {Boolean} allowReservedNames Whether to allow names reserved on
+ *   Windows, such as CON or NUL
+ */
+Filename.DEFAULT_POLICY = Object.freeze({
+  normalize: 'NFC',
+  replacement: '',
+  maxLength: 255,
+  allowLeadingDots: false,
+  allowReservedNames: false
+});
+
+
+/**
+ * Returns a sanitized version of the specified filename, safe to use as the
+ * name of a file in any directory
+ *
+ * Directories are stripped, as are control characters, bidirectional override
+ * characters, characters reserved on common filesystems, and trailing dots and
+ * spaces. Leading dots are stripped and reserved names prefixed with `_`,
+ * unless allowed by the policy. Filenames longer than allowed are truncated,
+ * preserving their extension.
+ *
+ * @param {String} filename The filename to sanitize
+ * @param {Object} [policy] Overrides for the default policy
+ * @return {String|null} The sanitized filename, or null if nothing is left
+ */
+Filename.sanitize = function (filename, policy) {
+  if (filename === undefined || filename === null) {
+    return null;
+  }
+
+  policy = _.defaults({}, policy, Filename.DEFAULT_POLICY);
+
+  let name = String(filename);
+  if (policy.normalize) {
+    name = name.normalize(policy.normalize);
+  }
+
+  name = name.replace(/\\/g, '/');
+  name = name.substr(name.lastIndexOf('/') + 1)
+    .replace(REGEXP.CONTROL_CHARS, policy.replacement)
+    .replace(REGEXP.BIDI_CHARS, '')
+    .replace(REGEXP.RESERVED_CHARS, policy.replacement)
+    .trim()
+    .replace(REGEXP.TRAILING_DOTS_AND_SPACES, '');
+
+  if (!policy.allowLeadingDots) {
+    name = name.replace(REGEXP.LEADING_DOTS, '');
+  }
+
+  if (!policy.allowReservedNames && REGEXP.RESERVED_NAMES.test(name)) {
+    name = `_${name}`;
+  }
+
+  name = Filename._truncate(name, policy.maxLength);
+  return name.length > 0 && name !== '.' && name !== '..' ? name : null;
+};
+
+
+/**
+ * Truncates a filename to the specified number of UTF-8 bytes, preserving its
+ * extension unless it is too long itself
+ *
+ * @param {String} name The filename to truncate
+ * @param {Number} maxLength The maximum length, in UTF-8 bytes
+ * @return {String}
+ */
+Filename._truncate = function (name, maxLength) {
+  if (Buffer.byteLength(name) <= maxLength) {
+    return name;
+  }
+
+  let ext = node.path.extname(name);
+  if (Buffer.byteLength(ext) > maxLength / 2) {
+    ext = '';
+  }
+
+  // Code points are kept whole, so that none is split in two
+  const maxBaseLength = maxLength - Buffer.byteLength(ext);
+  let base = '';
+  let baseLength = 0;
+  for (const char of Array.from(name.substr(0, name.length - ext.length))) {
+    baseLength += Buffer.byteLength(char);
+    if (baseLength > maxBaseLength) {
+      break;
+    }
+
+    base += char;
+  }
+
+  return `${base}${ext}`;
+};
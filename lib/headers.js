@@ -0,0 +1,425 @@
+'use strict';
+/**
+ * @file Helpers for parsing and formatting header values
+ *
+ * @author Anand Suresh <anandsuresh@gmail.com>
+ * @copyright Copyright (C) 2017 Anand Suresh
+ * @license Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const Charset = require('./charset');
+const _ = require('lodash');
+
+
+/**
+ * Regular expressions for parsing header parameters
+ * @type {Object}
+ */
+const REGEXP = {
+  CONTINUATION: /^(.+)\*(\d+)(\*?)$/,
+  EXTENDED: /^(.+)\*$/,
+  EXTENDED_VALUE: /^([^']*)'[^']*'(.*)$/,
+  PERCENT_ENCODED: /%([0-9a-f]{2})/ig,
+  CLOSING_QUOTE: /^\s*(;|$)/,
+  QUOTED_SPECIALS: /["\\]/g,
+  CONTROL_CHARS: /[\x00-\x1f\x7f]/g, // eslint-disable-line no-control-regex
+  TOKEN: /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/,
+  FIELD_VALUE: /^[\t\x20-\x7e\u0080-\uffff]*$/,
+  HAS_NON_ASCII: /[\u0080-\uffff]/,
+  NON_ASCII: /[\u0080-\uffff]/g
+};
+
+
+/**
+ * Ensures that a parameter name is non-empty, and is not a property of
+ * Object.prototype, such as `__proto__` or `constructor`, which could be used
+ * to pollute prototypes
+ *
+ * @param {String} name The parameter name
+ * @return {Boolean}
+ */
+const IS_VALID_NAME = (name) => name.length > 0 &&
+  !_.has(Object.prototype, name);
+
+
+/**
+ * The maximum length of a header line, as recommended by RFC 5322
+ * @type {Number}
+ */
+const MAX_LINE_LENGTH = 78;
+
+
+/**
+ * Percent-encodes the specified character, which must be a single byte
+ *
+ * @param {String} char The character to encode
+ * @return {String}
+ */
+const PERCENT_ENCODE = (char) => {
+  const hex = char.charCodeAt(0).toString(16).toUpperCase();
+  return `%${hex.length < 2 ? '0' : ''}${hex}`;
+};
+
+
+/**
+ * Export the interface
+ * @type {Headers}
+ */
+const Headers = exports = module.exports;
+
+
+/**
+ * Parses a header value with parameters, such as a content-type or
+ * content-disposition
+ *
+ * Parameter names are converted to lower-case. Values encoded as per RFC 2231
+ * (or RFC 5987), including those split into continuations, are decoded and
+ * take precedence over plain values for the same parameter.
+ *
+ * @param {String} headerValue The header value
+ * @return {Object} The value preceding the parameters, and the parameters
+ */
+Headers.parse = function (headerValue) {
+  const result = { value: null, params: {} };
+  if (!_.isString(headerValue)) {
+    return result;
+  }
+
+  const plain = Object.create(null);
+  const extended = Object.create(null);
+  const sections = Object.create(null);
+  let index = headerValue.indexOf(';');
+
+  result.value = (index < 0 ? headerValue : headerValue.substr(0, index))
+    .trim();
+
+  while (index >= 0 && index < headerValue.length) {
+    const param = Headers._readParameter(headerValue, index + 1);
+    index = param.end;
+
+    if (!IS_VALID_NAME(param.name)) {
+      continue;
+    }
+
+    const continuation = param.name.match(REGEXP.CONTINUATION);
+    const extension = param.name.match(REGEXP.EXTENDED);
+    if ((continuation && !IS_VALID_NAME(continuation[1])) ||
+        (extension && !IS_VALID_NAME(extension[1]))) {
+      continue;
+    }
+
+    if (continuation) {
+      sections[continuation[1]] = sections[continuation[1]] || [];
+      sections[continuation[1]][Number(continuation[2])] = {
+        value: param.value,
+        encoded: continuation[3] === '*'
+      };
+    } else if (extension) {
+      const value = Headers._decodeExtendedValue(param.value);
+      if (value !== null) {
+        extended[extension[1]] = value;
+      }
+    } else if (!_.has(plain, param.name)) {
+      plain[param.name] = param.value;
+    }
+  }
+
+  _.forEach(sections, (parts, name) => {
+    const value = Headers._joinContinuations(parts);
+    if (value !== null && !_.has(extended, name)) {
+      extended[name] = value;
+    }
+  });
+
+  _.forEach(_.extend(plain, extended), (value, name) => {
+    if (value !== null) {
+      result.params[name] = value;
+    }
+  });
+
+  return result;
+};
+
+
+/**
+ * Reads a single parameter from the header value
+ *
+ * Quoted values are unescaped, with the exception of backslashes not followed
+ * by a quote or backslash; browsers send Windows paths unescaped. Similarly, a
+ * quote only closes a quoted value if it is followed by the end of the
+ * parameter.
+ *
+ * @param {String} headerValue The header value
+ * @param {Number} start The position of the parameter in the header value
+ * @return {Object} The lower-case name and value of the parameter, and the
+ *   position of the `;` following it, or the length of the header value
+ */
+Headers._readParameter = function (headerValue, start) {
+  const equals = headerValue.indexOf('=', start);
+  const semicolon = headerValue.indexOf(';', start);
+
+  if (equals < 0 || (semicolon >= 0 && semicolon < equals)) {
+    return {
+      name: '',
+      value: null,
+      end: semicolon < 0 ? headerValue.length : semicolon
+    };
+  }
+
+  const name = headerValue.substring(start, equals).trim().toLowerCase();
+  let pos = equals + 1;
+  while (pos < headerValue.length && /\s/.test(headerValue[pos])) {
+    pos++;
+  }
+
+  if (headerValue[pos] !== '"') {
+    const end = headerValue.indexOf(';', pos);
+    const value = headerValue.substring(pos, end < 0 ? undefined : end).trim();
+    return {
+      name: name,
+      value: value.length > 0 ? value : null,
+      end: end < 0 ? headerValue.length : end
+    };
+  }
+
+  let value = '';
+  for (pos++; pos < headerValue.length; pos++) {
+    const char = headerValue[pos];
+    const next = headerValue[pos + 1];
+
+    if (char === '\\' && (next === '"' || next === '\\')) {
+      value += next;
+      pos++;
+    } else if (char === '"' &&
+        REGEXP.CLOSING_QUOTE.test(headerValue.substr(pos + 1))) {
+      break;
+    } else {
+      value += char;
+    }
+  }
+
+  const end = headerValue.indexOf(';', pos);
+  return {
+    name: name,
+    value: value,
+    end: end < 0 ? headerValue.length : end
+  };
+};
+
+
+/**
+ * Decodes percent-encoded octets in the specified string
+ *
+ * @param {String} value The percent-encoded string
+ * @return {Buffer}
+ */
+Headers._percentDecode = function (value) {
+  return Buffer.from(value.replace(REGEXP.PERCENT_ENCODED,
+    (match, hex) => String.fromCharCode(parseInt(hex, 16))), 'binary');
+};
+
+
+/**
+ * Decodes the specified bytes using the named character set
+ *
+ * @param {Buffer} bytes The bytes to decode
+ * @param {String} charset The name of the character set
+ * @return {String}
+ */
+Headers._decodeCharset = function (bytes, charset) {
+  const str = Charset.decode(bytes, charset || '');
+  return str === null ? bytes.toString('utf8') : str;
+};
+
+
+/**
+ * Decodes a parameter value encoded as per RFC 2231, of the form
+ * `charset'language'percent-encoded-value`
+ *
+ * @param {String} value The encoded value
+ * @return {String|null}
+ */
+Headers._decodeExtendedValue = function (value) {
+  const matches = (value || '').match(REGEXP.EXTENDED_VALUE);
+  if (!matches) {
+    return null;
+  }
+
+  return Headers._decodeCharset(Headers._percentDecode(matches[2]), matches[1]);
+};
+
+
+/**
+ * Joins the continuations of a parameter value split as per RFC 2231
+ *
+ * @param {Array} sections The sections of the value, in order
+ * @return {String|null}
+ */
+Headers._joinContinuations = function (sections) {
+  const bytes = [];
+  let charset = null;
+
+  for (let i = 0; i < sections.length && sections[i]; i++) {
+    let value = sections[i].value || '';
+
+    if (sections[i].encoded) {
+      if (i === 0) {
+        const matches = value.match(REGEXP.EXTENDED_VALUE);
+        if (!matches) {
+          return null;
+        }
+
+        charset = matches[1];
+        value = matches[2];
+      }
+
+      bytes.push(Headers._percentDecode(value));
+    } else {
+      bytes.push(Buffer.from(value, 'utf8'));
+    }
+  }
+
+  return bytes.length > 0
+    ? Headers._decodeCharset(Buffer.concat(bytes), charset)
+    : null;
+};
+
+
+/**
+ * Formats a header value with parameters, such as a content-disposition
+ *
+ * Parameter values are quoted and escaped. Values containing non-ASCII
+ * characters, for parameters listed in `opts.extended`, are also encoded as
+ * per RFC 5987 (`filename*=UTF-8''...`), with the plain value replaced by an
+ * ASCII approximation for recipients that do not support the encoding.
+ *
+ * @param {String} value The value preceding the parameters
+ * @param {Object} params The parameters; null or undefined values are skipped
+ * @param {Object} [opts] Options for formatting the header value
+ * @param {Array} [opts.extended] The names of the parameters to encode as per
+ *   RFC 5987, if needed
+ * @return {String}
+ */
+Headers.format = function (value, params, opts) {
+  const extended = (opts && opts.extended) || [];
+  const formatted = [value];
+
+  _.forEach(params, (paramValue, name) => {
+    if (paramValue === undefined || paramValue === null) {
+      return;
+    }
+
+    paramValue = String(paramValue);
+    if (_.includes(extended, name) && REGEXP.HAS_NON_ASCII.test(paramValue)) {
+      formatted.push(`${name}=${Headers.quote(paramValue.replace(
+        REGEXP.NON_ASCII, '_'))}`);
+      formatted.push(`${name}*=${Headers.encodeExtendedValue(paramValue)}`);
+    } else {
+      formatted.push(`${name}=${Headers.quote(paramValue)}`);
+    }
+  });
+
+  return formatted.join('; ');
+};
+
+
+/**
+ * Quotes a parameter value, escaping quotes and backslashes
+ *
+ * Control characters, including <CR> and <LF>, cannot be represented within a
+ * quoted value; they are percent-encoded instead, as browsers do.
+ *
+ * @param {String} value The parameter value
+ * @return {String}
+ */
+Headers.quote = function (value) {
+  const quoted = String(value)
+    .replace(REGEXP.QUOTED_SPECIALS, '\\$&')
+    .replace(REGEXP.CONTROL_CHARS, PERCENT_ENCODE);
+
+  return `"${quoted}"`;
+};
+
+
+/**
+ * Encodes a parameter value as per RFC 5987, using the UTF-8 character set
+ *
+ * @param {String} value The parameter value
+ * @return {String}
+ */
+Headers.encodeExtendedValue = function (value) {
+  return `UTF-8''${encodeURIComponent(value)
+    .replace(/['()*]/g, PERCENT_ENCODE)}`;
+};
+
+
+/**
+ * Checks whether the specified header name is a valid RFC 7230 token
+ *
+ * @param {String} name The header name
+ * @return {Boolean}
+ */
+Headers.isValidName = function (name) {
+  return _.isString(name) && REGEXP.TOKEN.test(name);
+};
+
+
+/**
+ * Checks whether the specified header value is a valid RFC 7230 field value;
+ * in particular, that it contains no <CR>, <LF> or other control characters
+ *
+ * @param {*} value The header value
+ * @return {Boolean}
+ */
+Headers.isValidValue = function (value) {
+  return (_.isString(value) || _.isFinite(value)) &&
+    REGEXP.FIELD_VALUE.test(String(value));
+};
+
+
+/**
+ * Folds a header line longer than 78 characters at whitespace, as per RFC 5322
+ *
+ * Lines without whitespace to fold at are left as they are.
+ *
+ * @param {String} line The header line, of the form `Name: value`
+ * @return {String}
+ */
+Headers.fold = function (line) {
+  const lines = [];
+  let minPos = line.indexOf(':') + 2;
+  let rest = line;
+
+  while (rest.length > MAX_LINE_LENGTH) {
+    let pos = Math.max(rest.lastIndexOf(' ', MAX_LINE_LENGTH),
+      rest.lastIndexOf('\t', MAX_LINE_LENGTH));
+
+    if (pos < minPos) {
+      pos = rest.substr(MAX_LINE_LENGTH).search(/[ \t]/);
+      pos = pos < 0 ? pos : pos + MAX_LINE_LENGTH;
+    }
+
+    if (pos < minPos || /^[ \t]*$/.test(rest.substr(pos))) {
+      break;
+    }
+
+    lines.push(rest.substr(0, pos));
+    rest = rest.substr(pos);
+    minPos = 1;
+  }
+
+  lines.push(rest);
+  return lines.join('\r\n');
+};
@@ -48,7 +48,9 @@ function MultipartByteParserState(boundaryLength) {
     error: false,
     flags: 0,
     index: 0,
-    lookbehind: new Buffer(boundaryLength + 8),
+    headerSize: 0,
+    padding: 0,
+    lookbehind: Buffer.alloc(boundaryLength + MAX_PADDING + 8),
     markers: {}
   });
 }
@@ -62,10 +64,20 @@ node.util.inherits(MultipartByteParserState, inception.primitives.Object);
  */
 const FLAGS = MultipartByteParserState.FLAGS = {
   PART_BOUNDARY: 1,
-  FINAL_BOUNDARY: 2
+  FINAL_BOUNDARY: 2,
+  BARE_LF: 4,
+  BAD_HEADER_NAME: 8
 };
 
 
+/**
+ * The maximum number of bytes of transport padding tolerated after a boundary
+ * @type {Number}
+ * @readonly
+ */
+const MAX_PADDING = MultipartByteParserState.MAX_PADDING = 64;
+
+
 /**
  * A list of states describing the parser state machine
  * @enum {String}
@@ -113,6 +125,36 @@ Object.defineProperty(MultipartByteParserState.prototype, 'index', {
 });
 
 
+/**
+ * The number of bytes in the headers of the current part parsed so far
+ * @name MultipartByteParserState#headerSize
+ * @type {Number}
+ */
+Object.defineProperty(MultipartByteParserState.prototype, 'headerSize', {
+  get: function () {
+    return this._properties.headerSize;
+  },
+  set: function (value) {
+    this._properties.headerSize = value;
+  }
+});
+
+
+/**
+ * The number of bytes of transport padding seen after the current boundary
+ * @name MultipartByteParserState#padding
+ * @type {Number}
+ */
+Object.defineProperty(MultipartByteParserState.prototype, 'padding', {
+  get: function () {
+    return this._properties.padding;
+  },
+  set: function (value) {
+    this._properties.padding = value;
+  }
+});
+
+
 /**
  * Whether or not the parser has encountered an error during parsing
  * @name MultipartByteParserState#hasErrored
@@ -149,6 +191,30 @@ Object.defineProperty(MultipartByteParserState.prototype, 'isFinalBoundary', {
 });
 
 
+/**
+ * Whether or not the boundary being matched was preceded by a bare LF
+ * @name MultipartByteParserState#isBareLF
+ * @type {Boolean}
+ */
+Object.defineProperty(MultipartByteParserState.prototype, 'isBareLF', {
+  get: function () {
+    return !!(this._properties.flags & FLAGS.BARE_LF);
+  }
+});
+
+
+/**
+ * Whether or not the current header name contains non-alphabetic characters
+ * @name MultipartByteParserState#isBadHeaderName
+ * @type {Boolean}
+ */
+Object.defineProperty(MultipartByteParserState.prototype, 'isBadHeaderName', {
+  get: function () {
+    return !!(this._properties.flags & FLAGS.BAD_HEADER_NAME);
+  }
+});
+
+
 /**
  * Spare buffer to perform look-behind when parsing part data for boundaries
  * @name MultipartByteParserState#lookbehind
@@ -30,9 +30,24 @@ const inception = {
  */
 module.exports = inception.primitives.Error.subclass('MultipartError', {
   'BadContentType': 'The content-type value is invalid for multipart messages!',
+  'BadHeader': 'The header name or value is invalid!',
   'ParseError': 'Multipart message has invalid format!',
   'UnsupportedEncoding': 'The encoding is not supported!',
+  'DisallowedType': 'The content-type is not allowed for the field!',
+  'TypeMismatch': 'The content does not match its content-type!',
   'TooManyParts': 'Message exceeds maximum number of parts allowed!',
+  'TooManyFields': 'Message exceeds maximum number of fields allowed!',
+  'TooManyFiles': 'Message exceeds maximum number of files allowed!',
+  'TooManyHeaders': 'Part exceeds maximum number of headers allowed!',
+  'HeaderTooLarge': 'Part headers exceed the maximum size allowed!',
+  'FieldNameTooLong': 'Field name exceeds the maximum length allowed!',
   'PartTooLarge': 'Part exceeds the maximum size allowed!',
-  'MessageTooLarge': 'Message exceeds maximum size allowed!'
+  'FieldTooLarge': 'Field exceeds the maximum size allowed!',
+  'FileTooLarge': 'File exceeds the maximum size allowed!',
+  'MessageTooLarge': 'Message exceeds maximum size allowed!',
+  'Aborted': 'The message was aborted!',
+  'Timeout': 'Parsing of the message timed out!',
+  'UnconsumedPart': 'Part was not read within the grace period allowed!',
+  'RejectedPart': 'Part was rejected!',
+  'UnknownDecision': 'The decision on the part is unknown!'
 });
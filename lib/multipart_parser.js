@@ -28,9 +28,16 @@ const inception = {
   debug: require('inception.debug')('inception:streams:multipart:parser'),
   primitives: require('inception.primitives')
 };
-const MultipartByteParser = require('./multipart_byte_parser');
+const Charset = require('./charset');
+const Filename = require('./filename');
+const Headers = require('./headers');
 const MultipartError = require('./multipart_error');
+const MultipartScanner = require('./multipart_scanner');
 const Part = require('./part');
+const PartIterator = require('./part_iterator');
+const Sniffer = require('./sniffer');
+const TransferEncoding = require('./transfer_encoding');
+const Util = require('./util');
 const _ = require('lodash');
 
 
@@ -41,12 +48,17 @@ const _ = require('lodash');
 const REGEXP = {
   MULTIPART_TYPE: /^multipart\//,
   BOUNDARY: /boundary=(?:"([^"]+)"|([^;]+))/i,
-  NAME: /\bname=("([^"]*)"|([^()<>@,;:\\"/[\]?={}\s\t/]+))/i,
-  FILENAME: /\bfilename=("(.*?)"|([^()<>@,;:\\"/[\]?={}\s\t/]+))($|;\s)/i,
   CONTENT_ID: /^<(\S*)>$/
 };
 
 
+/**
+ * The policies for parts that are not read, once full
+ * @type {Array}
+ */
+const UNCONSUMED_PART_POLICIES = ['wait', 'drain', 'error'];
+
+
 /**
  * Ensures that the specified value is defined
  *
@@ -62,10 +74,61 @@ const IS_DEFINED = (val) => (val !== undefined && val !== null);
  * @param {Object} [opts] Configuration options for the multipart message parser
  * @param {Number} [opts.maxParts=10] The maximum no. of parts in the message
  * @param {Number} [opts.maxPartSize=10mB] The maximum size of a single part
- * @param {Number} [opts.maxTotalSize=100mB] The maximum size of all parts
+ * @param {Number} [opts.maxTotalSize=100mB] The maximum size of all parts,
+ *   along with the preamble and epilogue
+ * @param {Number} [opts.maxFields=Infinity] The maximum no. of field and object
+ *   parts in the message
+ * @param {Number} [opts.maxFiles=Infinity] The maximum no. of stream parts in
+ *   the message
+ * @param {Number} [opts.maxFieldSize=Infinity] The maximum size of a single
+ *   field or object part, in addition to `maxPartSize`
+ * @param {Number} [opts.maxFileSize=Infinity] The maximum size of a single
+ *   stream part, in addition to `maxPartSize`
+ * @param {Number} [opts.maxHeaderPairs=Infinity] The maximum no. of headers
+ *   of a single part
+ * @param {Number} [opts.maxHeaderSize=80kB] The maximum size of the headers of
+ *   a single part
+ * @param {Number} [opts.maxFieldNameLength=Infinity] The maximum length of
+ *   the name of a part
  * @param {String} [opts.boundary] The multipart boundary, if known
  * @param {String} [opts.contentType] The HTTP content-type header, if known
  * @param {Function} [opts.partHandler] Overrides the default part handler
+ * @param {Object} [opts.decoders] Transfer-encoding decoders, keyed by name,
+ *   that take precedence over those registered with TransferEncoding
+ * @param {String} [opts.defaultCharset=utf-8] The character set of field and
+ *   object parts that specify none, unless set by a `_charset_` field
+ * @param {Object} [opts.charsets] Character set decoders, keyed by lower-case
+ *   name, that take precedence over those registered with Charset
+ * @param {Boolean} [opts.nested=false] Whether to parse nested multipart parts
+ * @param {Part} [opts.parent] The part enclosing the message, if nested
+ * @param {MultipartParser} [opts.root] The parser of the outermost message
+ * @param {Object} [opts.storage] A storage adapter for stream parts
+ * @param {Object|Boolean} [opts.filenamePolicy] Overrides for the policy used
+ *   to sanitize filenames, or false to only strip directories
+ * @param {Object} [opts.fieldTypes] The MIME types allowed for each field,
+ *   keyed by name, as a list of types, or as an object with `types` and an
+ *   optional `maxSize`
+ * @param {AbortSignal} [opts.signal] A signal that destroys the parser when
+ *   aborted
+ * @param {Boolean} [opts.strict=true] Whether to fail on deviations from RFC
+ *   2046, instead of recording a warning for each one that is tolerated
+ * @param {Number} [opts.contentLength] The length of the message, if known
+ * @param {Number} [opts.progressInterval=100] The minimum no. of milliseconds
+ *   between `progress` events
+ * @param {Number} [opts.partIdleTimeout] The maximum no. of milliseconds to
+ *   wait for the next chunk of the message
+ * @param {Number} [opts.headersTimeout] The maximum no. of milliseconds to
+ *   wait for the headers of a part, once it begins
+ * @param {Number} [opts.totalTimeout] The maximum no. of milliseconds to wait
+ *   for the whole message
+ * @param {String} [opts.unconsumedPartPolicy=wait] What to do with parts that
+ *   are not read, once full, i.e. `wait` for them to be read, `drain` them, or
+ *   fail with an `error`
+ * @param {Number} [opts.unconsumedPartTimeout=1000] The no. of milliseconds a
+ *   full part may go without being read, before the policy is applied
+ * @param {Function} [opts.headersHandler] Decides whether to `accept`, `skip`
+ *   or `reject` each part, or a promise for the decision, once its headers
+ *   are parsed
  * @constructor
  */
 function MultipartParser(opts) {
@@ -77,12 +140,56 @@ function MultipartParser(opts) {
   opts.maxParts = opts.maxParts || 10;
   opts.maxPartSize = opts.maxPartSize || 10 * 1024 * 1024;
   opts.maxTotalSize = opts.maxTotalSize || 100 * 1024 * 1024;
+  opts.maxFields = opts.maxFields || Infinity;
+  opts.maxFiles = opts.maxFiles || Infinity;
+  opts.maxFieldSize = opts.maxFieldSize || Infinity;
+  opts.maxFileSize = opts.maxFileSize || Infinity;
+  opts.maxHeaderPairs = opts.maxHeaderPairs || Infinity;
+  opts.maxHeaderSize = opts.maxHeaderSize || 80 * 1024;
+  opts.maxFieldNameLength = opts.maxFieldNameLength || Infinity;
+  opts.decoders = opts.decoders || {};
+  opts.defaultCharset = opts.defaultCharset || 'utf-8';
+  opts.charsets = opts.charsets || {};
+  opts.nested = opts.nested === true;
+  opts.parent = opts.parent || null;
+  opts.root = opts.root || null;
+  opts.storage = opts.storage || null;
+  opts.filenamePolicy = opts.filenamePolicy === false
+    ? false
+    : _.defaults({}, opts.filenamePolicy, Filename.DEFAULT_POLICY);
+  opts.fieldTypes = MultipartParser._getFieldTypes(opts.fieldTypes);
+  opts.strict = opts.strict !== false;
+  opts.contentLength = MultipartParser._getContentLength(opts.contentLength);
+  opts.progressInterval = IS_DEFINED(opts.progressInterval)
+    ? opts.progressInterval
+    : 100;
+  opts.partIdleTimeout = opts.partIdleTimeout || null;
+  opts.headersTimeout = opts.headersTimeout || null;
+  opts.totalTimeout = opts.totalTimeout || null;
+  opts.unconsumedPartPolicy = opts.unconsumedPartPolicy || 'wait';
+  opts.unconsumedPartTimeout = opts.unconsumedPartTimeout || 1000;
   opts.parts = [];
+  opts.warnings = [];
+  opts.preamble = null;
+
+  // Parts are still emitted after `finish`, so the parser is only destroyed
+  // when asked to
+  opts.autoDestroy = false;
+  opts.epilogue = null;
+
+  if (UNCONSUMED_PART_POLICIES.indexOf(opts.unconsumedPartPolicy) < 0) {
+    throw new TypeError(
+      `Unknown unconsumed part policy: ${opts.unconsumedPartPolicy}!`);
+  }
 
   if (IS_DEFINED(opts.contentType) && !IS_DEFINED(opts.boundary)) {
     opts.boundary = MultipartParser._getBoundary(opts.contentType);
   }
 
+  opts.headersHandler = _.isFunction(opts.headersHandler)
+    ? opts.headersHandler
+    : null;
+
   if (IS_DEFINED(opts.partHandler)) {
     if (_.isFunction(opts.partHandler)) {
       this.handlePart = opts.partHandler;
@@ -91,17 +198,44 @@ function MultipartParser(opts) {
     delete opts.partHandler;
   }
 
+  const signal = Util.takeSignal(opts);
+
   inception.debug('new:', opts);
   MultipartParser.super_.call(this, opts);
+  this._properties.signal = signal;
 
-  this._byteParser = opts.boundary ? this._initMultipartByteParser() : null;
+  this._scanner = opts.boundary ? this._initScanner() : null;
   this._curPartState = null;
+  this._numParts = 0;
+  this._numFields = 0;
+  this._numFiles = 0;
+  this._formCharset = null;
   this._totalSize = 0;
+  this._bytesReceived = 0;
+  this._partIndex = -1;
+  this._partBytes = 0;
+  this._lastProgress = 0;
+  this._lastActivity = Date.now();
+  this._timers = {};
+  this._waiting = false;
+  this._pendingWrite = null;
+  this._pending = 1;
+  this._targets = [];
+  this._stored = [];
+  this._nested = [];
+  this._src = null;
   this._ended = false;
   this._error = false;
 
   // Try to auto-recognize HTTP IncomingMessage objects being piped in
   this.on('pipe', (src) => {
+    this._src = src;
+    if (src instanceof node.http.IncomingMessage &&
+        !IS_DEFINED(this.contentLength)) {
+      this._properties.contentLength = MultipartParser._getContentLength(
+        src.headers['content-length']);
+    }
+
     if (IS_DEFINED(this.boundary)) {
       return;
     }
@@ -118,8 +252,28 @@ function MultipartParser(opts) {
       throw MultipartError.BadContentType('Unable to determine content-type!');
     }
 
-    this._byteParser = this._initMultipartByteParser();
+    this._scanner = this._initScanner();
   });
+
+  // The epilogue is only known once the whole message has been parsed
+  this.once('finish', () => {
+    this._clearTimers();
+    if (!this._error && IS_DEFINED(this._scanner)) {
+      Util.emitProgress(this, true);
+      try {
+        this._scanner.end();
+      } catch (err) {
+        this._onScanError(err);
+      }
+    }
+  });
+
+  if (IS_DEFINED(signal)) {
+    Util.watchSignal(this, signal);
+  }
+
+  this._startTimer('partIdle');
+  this._startTimer('total');
 }
 node.util.inherits(MultipartParser, inception.primitives.stream.Writable);
 
@@ -194,67 +348,766 @@ Object.defineProperty(MultipartParser.prototype, 'maxPartSize', {
 
 
 /**
- * The maximum size of all parts allowed in the multipart message
- * @name MultipartParser#maxTotalSize
- * @type {Number}
+ * The maximum size of all parts allowed in the multipart message
+ * @name MultipartParser#maxTotalSize
+ * @type {Number}
+ */
+Object.defineProperty(MultipartParser.prototype, 'maxTotalSize', {
+  enumerable: true,
+  get: function () {
+    return this._properties.maxTotalSize;
+  }
+});
+
+
+/**
+ * The maximum number of field and object parts allowed in the message
+ * @name MultipartParser#maxFields
+ * @type {Number}
+ */
+Object.defineProperty(MultipartParser.prototype, 'maxFields', {
+  enumerable: true,
+  get: function () {
+    return this._properties.maxFields;
+  }
+});
+
+
+/**
+ * The maximum number of stream parts allowed in the message
+ * @name MultipartParser#maxFiles
+ * @type {Number}
+ */
+Object.defineProperty(MultipartParser.prototype, 'maxFiles', {
+  enumerable: true,
+  get: function () {
+    return this._properties.maxFiles;
+  }
+});
+
+
+/**
+ * The maximum allowed size for each field and object part in the message
+ * @name MultipartParser#maxFieldSize
+ * @type {Number}
+ */
+Object.defineProperty(MultipartParser.prototype, 'maxFieldSize', {
+  enumerable: true,
+  get: function () {
+    return this._properties.maxFieldSize;
+  }
+});
+
+
+/**
+ * The maximum allowed size for each stream part in the message
+ * @name MultipartParser#maxFileSize
+ * @type {Number}
+ */
+Object.defineProperty(MultipartParser.prototype, 'maxFileSize', {
+  enumerable: true,
+  get: function () {
+    return this._properties.maxFileSize;
+  }
+});
+
+
+/**
+ * The maximum number of headers allowed for each part in the message
+ * @name MultipartParser#maxHeaderPairs
+ * @type {Number}
+ */
+Object.defineProperty(MultipartParser.prototype, 'maxHeaderPairs', {
+  enumerable: true,
+  get: function () {
+    return this._properties.maxHeaderPairs;
+  }
+});
+
+
+/**
+ * The maximum allowed size of the headers of each part in the message
+ * @name MultipartParser#maxHeaderSize
+ * @type {Number}
+ */
+Object.defineProperty(MultipartParser.prototype, 'maxHeaderSize', {
+  enumerable: true,
+  get: function () {
+    return this._properties.maxHeaderSize;
+  }
+});
+
+
+/**
+ * The maximum allowed length of the name of each part in the message
+ * @name MultipartParser#maxFieldNameLength
+ * @type {Number}
+ */
+Object.defineProperty(MultipartParser.prototype, 'maxFieldNameLength', {
+  enumerable: true,
+  get: function () {
+    return this._properties.maxFieldNameLength;
+  }
+});
+
+
+/**
+ * Transfer-encoding decoders that take precedence over registered ones
+ * @name MultipartParser#decoders
+ * @type {Object}
+ */
+Object.defineProperty(MultipartParser.prototype, 'decoders', {
+  get: function () {
+    return this._properties.decoders;
+  }
+});
+
+
+/**
+ * The character set of field and object parts that specify none
+ * @name MultipartParser#defaultCharset
+ * @type {String}
+ */
+Object.defineProperty(MultipartParser.prototype, 'defaultCharset', {
+  get: function () {
+    return this._properties.defaultCharset;
+  }
+});
+
+
+/**
+ * Character set decoders that take precedence over registered ones
+ * @name MultipartParser#charsets
+ * @type {Object}
+ */
+Object.defineProperty(MultipartParser.prototype, 'charsets', {
+  get: function () {
+    return this._properties.charsets;
+  }
+});
+
+
+/**
+ * Whether or not parts containing multipart messages are parsed recursively
+ * @name MultipartParser#nested
+ * @type {Boolean}
+ */
+Object.defineProperty(MultipartParser.prototype, 'nested', {
+  enumerable: true,
+  get: function () {
+    return this._properties.nested;
+  }
+});
+
+
+/**
+ * The part enclosing the multipart message, if it is nested within another
+ * @name MultipartParser#parent
+ * @type {Part}
+ */
+Object.defineProperty(MultipartParser.prototype, 'parent', {
+  get: function () {
+    return this._properties.parent;
+  }
+});
+
+
+/**
+ * The parser for the outermost multipart message; limits are enforced here
+ * @name MultipartParser#root
+ * @type {MultipartParser}
+ */
+Object.defineProperty(MultipartParser.prototype, 'root', {
+  get: function () {
+    return this._properties.root || this;
+  }
+});
+
+
+/**
+ * The storage adapter for stream parts; parts are emitted once stored
+ * @name MultipartParser#storage
+ * @type {Object}
+ */
+Object.defineProperty(MultipartParser.prototype, 'storage', {
+  get: function () {
+    return this._properties.storage;
+  }
+});
+
+
+/**
+ * The policy used to sanitize filenames, or false if they are not sanitized
+ * @name MultipartParser#filenamePolicy
+ * @type {Object|Boolean}
+ */
+Object.defineProperty(MultipartParser.prototype, 'filenamePolicy', {
+  get: function () {
+    return this._properties.filenamePolicy;
+  }
+});
+
+
+/**
+ * The signal that destroys the parser when aborted, if any
+ * @name MultipartParser#signal
+ * @type {AbortSignal}
+ */
+Object.defineProperty(MultipartParser.prototype, 'signal', {
+  get: function () {
+    return this._properties.signal;
+  }
+});
+
+
+/**
+ * The MIME types allowed for each field, keyed by name
+ * @name MultipartParser#fieldTypes
+ * @type {Object}
+ */
+Object.defineProperty(MultipartParser.prototype, 'fieldTypes', {
+  get: function () {
+    return this._properties.fieldTypes;
+  }
+});
+
+
+/**
+ * A list of parts composing the multipart message
+ * @name MultipartParser#parts
+ * @type {Array}
+ */
+Object.defineProperty(MultipartParser.prototype, 'parts', {
+  enumerable: true,
+  get: function () {
+    return this._properties.parts;
+  }
+});
+
+
+/**
+ * Whether to fail on deviations from RFC 2046, instead of tolerating them
+ * @name MultipartParser#strict
+ * @type {Boolean}
+ */
+Object.defineProperty(MultipartParser.prototype, 'strict', {
+  get: function () {
+    return this._properties.strict;
+  }
+});
+
+
+/**
+ * The deviations from RFC 2046 tolerated while parsing the multipart message,
+ * including those of nested messages, each with its `code`, `msg` and `offset`
+ * @name MultipartParser#warnings
+ * @type {Array}
+ */
+Object.defineProperty(MultipartParser.prototype, 'warnings', {
+  get: function () {
+    return this._properties.warnings;
+  }
+});
+
+
+/**
+ * The length of the multipart message, if known from its content-length
+ * @name MultipartParser#contentLength
+ * @type {Number}
+ */
+Object.defineProperty(MultipartParser.prototype, 'contentLength', {
+  enumerable: true,
+  get: function () {
+    return this._properties.contentLength;
+  }
+});
+
+
+/**
+ * The minimum no. of milliseconds between `progress` events
+ * @name MultipartParser#progressInterval
+ * @type {Number}
+ */
+Object.defineProperty(MultipartParser.prototype, 'progressInterval', {
+  get: function () {
+    return this._properties.progressInterval;
+  }
+});
+
+
+/**
+ * The maximum no. of milliseconds to wait for the next chunk of the message
+ * @name MultipartParser#partIdleTimeout
+ * @type {Number}
+ */
+Object.defineProperty(MultipartParser.prototype, 'partIdleTimeout', {
+  get: function () {
+    return this._properties.partIdleTimeout;
+  }
+});
+
+
+/**
+ * The maximum no. of milliseconds to wait for the headers of a part
+ * @name MultipartParser#headersTimeout
+ * @type {Number}
+ */
+Object.defineProperty(MultipartParser.prototype, 'headersTimeout', {
+  get: function () {
+    return this._properties.headersTimeout;
+  }
+});
+
+
+/**
+ * The maximum no. of milliseconds to wait for the whole message
+ * @name MultipartParser#totalTimeout
+ * @type {Number}
+ */
+Object.defineProperty(MultipartParser.prototype, 'totalTimeout', {
+  get: function () {
+    return this._properties.totalTimeout;
+  }
+});
+
+
+/**
+ * What to do with parts that are not read, once full
+ * @name MultipartParser#unconsumedPartPolicy
+ * @type {String}
+ */
+Object.defineProperty(MultipartParser.prototype, 'unconsumedPartPolicy', {
+  get: function () {
+    return this._properties.unconsumedPartPolicy;
+  }
+});
+
+
+/**
+ * The no. of milliseconds a full part may go without being read
+ * @name MultipartParser#unconsumedPartTimeout
+ * @type {Number}
+ */
+Object.defineProperty(MultipartParser.prototype, 'unconsumedPartTimeout', {
+  get: function () {
+    return this._properties.unconsumedPartTimeout;
+  }
+});
+
+
+/**
+ * Decides whether to accept, skip or reject each part, once its headers are
+ * parsed, if set
+ * @name MultipartParser#headersHandler
+ * @type {Function}
+ */
+Object.defineProperty(MultipartParser.prototype, 'headersHandler', {
+  get: function () {
+    return this._properties.headersHandler;
+  }
+});
+
+
+/**
+ * The progress of the parser, i.e. the no. of bytes received, and expected if
+ * the length of the message is known, along with the percentage received, and
+ * the index and no. of bytes received of the part being parsed, if any
+ * @name MultipartParser#progress
+ * @type {Object}
+ */
+Object.defineProperty(MultipartParser.prototype, 'progress', {
+  get: function () {
+    const expected = this.contentLength;
+
+    return {
+      bytesReceived: this._bytesReceived,
+      bytesExpected: expected,
+      percent: expected > 0
+        ? Math.min(100, this._bytesReceived * 100 / expected)
+        : null,
+      partIndex: this._partIndex < 0 ? null : this._partIndex,
+      partBytes: this._partBytes
+    };
+  }
+});
+
+
+/**
+ * The text preceding the first boundary of the multipart message, if any, and
+ * if listened for through `preamble` events
+ * @name MultipartParser#preamble
+ * @type {Buffer}
+ */
+Object.defineProperty(MultipartParser.prototype, 'preamble', {
+  get: function () {
+    return this._properties.preamble;
+  }
+});
+
+
+/**
+ * The text following the final boundary of the multipart message, if any, and
+ * if listened for through `epilogue` events
+ * @name MultipartParser#epilogue
+ * @type {Buffer}
+ */
+Object.defineProperty(MultipartParser.prototype, 'epilogue', {
+  get: function () {
+    return this._properties.epilogue;
+  }
+});
+
+
+/**
+ * Initializes the multipart message scanner
+ *
+ * Data handed to the callbacks of the scanner is sliced out of the chunks being
+ * written, without copying it.
+ *
+ * @return {MultipartScanner}
+ */
+MultipartParser.prototype._initScanner = function () {
+  const handle = (fn) => (arg) => {
+    if (!this._error) {
+      fn.call(this, arg);
+    }
+  };
+  const handleData = (fn) => (buffer, start, end) => {
+    if (!this._error) {
+      fn.call(this, buffer.slice(start, end));
+    }
+  };
+
+  return new MultipartScanner({
+    boundary: this.boundary,
+    maxHeaderSize: this.maxHeaderSize,
+    strict: this.strict
+  }, {
+    onPreamble: handleData(this._onPreamble),
+    onPartBegin: handle(this._onPartBegin),
+    onHeaderName: handleData(this._onHeaderName),
+    onHeaderValue: handleData(this._onHeaderValue),
+    onHeaderEnd: handle(this._onHeaderEnd),
+    onHeadersEnd: handle(this._onHeadersEnd),
+    onPartData: handleData(this._onPartData),
+    onPartEnd: handle(this._onPartEnd),
+    onEpilogue: handleData(this._onEpilogue),
+    onEnd: () => this.root._release(),
+    onWarning: handle(this._onWarning)
+  });
+};
+
+
+/**
+ * Handles an error thrown by the scanner
+ *
+ * @param {MultipartError} err The error thrown by the scanner
+ */
+MultipartParser.prototype._onScanError = function (err) {
+  if (this._error) {
+    return;
+  }
+
+  // The scanner knows nothing about the part being parsed
+  this._emitError(err.isHeaderTooLarge
+    ? MultipartError.HeaderTooLarge({
+      part: this._curPartState,
+      limit: this.maxHeaderSize
+    })
+    : err);
+};
+
+
+/**
+ * Parses the body of the specified part as a nested multipart message
+ *
+ * Parts of the nested message are handed to the part handler of the root
+ * parser, so that they are emitted alongside the parts of the outer message.
+ *
+ * @param {Part} part The part containing the nested multipart message
+ * @param {String} boundary The boundary of the nested multipart message
+ * @return {MultipartParser}
+ */
+MultipartParser.prototype._initNestedParser = function (part, boundary) {
+  const root = this.root;
+
+  root._pending++;
+  const parser = new MultipartParser({
+    boundary: boundary,
+    maxParts: this.maxParts,
+    maxPartSize: this.maxPartSize,
+    maxTotalSize: this.maxTotalSize,
+    maxFields: this.maxFields,
+    maxFiles: this.maxFiles,
+    maxFieldSize: this.maxFieldSize,
+    maxFileSize: this.maxFileSize,
+    maxHeaderPairs: this.maxHeaderPairs,
+    maxHeaderSize: this.maxHeaderSize,
+    maxFieldNameLength: this.maxFieldNameLength,
+    nested: true,
+    decoders: this.decoders,
+    defaultCharset: this.defaultCharset,
+    charsets: this.charsets,
+    filenamePolicy: this.filenamePolicy,
+    fieldTypes: this.fieldTypes,
+    strict: this.strict,
+    unconsumedPartPolicy: this.unconsumedPartPolicy,
+    unconsumedPartTimeout: this.unconsumedPartTimeout,
+    headersHandler: this.headersHandler,
+    parent: part,
+    root: root,
+    partHandler: (nestedPart) => root.handlePart(nestedPart)
+  });
+
+  this._nested.push(parser);
+  parser.on('error', (err) => this._emitError(err));
+  part.pipe(parser);
+  return parser;
+};
+
+
+/**
+ * Fails the parser with the specified error, destroying it along with the
+ * parts still being written to
+ *
+ * Only the first error is emitted, as parsing stops once an error occurs.
+ *
+ * @param {MultipartError} err The error that occurred
+ */
+MultipartParser.prototype._emitError = function (err) {
+  if (this._error) {
+    return;
+  }
+
+  this.destroy(err);
+};
+
+
+/**
+ * Aborts the write targets of stored parts that are still being written, and
+ * removes the parts this parser already stored, where targets support it
+ *
+ * Only the targets created by this parser are touched, as the storage adapter
+ * may be shared with other parsers.
+ */
+MultipartParser.prototype._abortTargets = function () {
+  _.forEach(this._targets.splice(0, this._targets.length), (target) => {
+    Promise.resolve().then(() => target.abort()).catch(_.noop);
+  });
+  _.forEach(this._stored.splice(0, this._stored.length), (target) => {
+    Promise.resolve().then(() => target.remove()).catch(_.noop);
+  });
+};
+
+
+/**
+ * Overridden destroy function for the Writable stream
+ *
+ * Parsing stops, the source is unpiped, and the parts still being written to,
+ * including those of nested messages, are destroyed with the error. Parsers
+ * destroyed without an error fail with an Aborted error, unless they already
+ * failed or ended, so that pending iterators and promises are rejected.
+ *
+ * @param {Error} err The error that caused the parser to be destroyed, if any
+ * @param {Function} callback Function to call once destroyed
+ */
+MultipartParser.prototype._destroy = function (err, callback) {
+  const error = err ||
+    (this._error || this._ended ? null : MultipartError.Aborted());
+
+  inception.debug('destroying parser:', error);
+  this._error = true;
+  this._scanner = null;
+  this._clearTimers();
+  this._abortTargets();
+  if (IS_DEFINED(this._src)) {
+    this._src.unpipe(this);
+    this._src = null;
+  }
+
+  // The rest of a chunk held back while deciding on a part is discarded
+  const pending = this._pendingWrite;
+  this._pendingWrite = null;
+  if (IS_DEFINED(pending)) {
+    pending.callback();
+  }
+
+  _.forEach(this._nested, (parser) => parser.destroy(error));
+  _.forEach(this.parts, (part) => {
+    if (!part._writableState.ended) {
+      part.destroy(error);
+    }
+  });
+
+  callback(error);
+};
+
+
+/**
+ * Starts the specified timer, if its timeout is set
+ *
+ * The idle timer is not restarted for every chunk written; instead, it is
+ * rescheduled when it fires, if a chunk was written in the meantime, or if the
+ * parser is waiting on a part to be read, or decided on, rather than on the
+ * message.
+ *
+ * @param {String} name The name of the timer, i.e. partIdle, headers or total
+ * @param {Number} [delay] The no. of milliseconds after which the timer fires,
+ *   if other than its timeout
+ */
+MultipartParser.prototype._startTimer = function (name, delay) {
+  const timeout = this[`${name}Timeout`];
+  if (!IS_DEFINED(timeout)) {
+    return;
+  }
+
+  this._timers[name] = setTimeout(() => {
+    const idle = Date.now() - this._lastActivity;
+
+    delete this._timers[name];
+    if (name === 'partIdle' &&
+        (this._writableState.corked || IS_DEFINED(this._pendingWrite))) {
+      return this._startTimer(name);
+    }
+
+    if (name === 'partIdle' && idle < timeout) {
+      return this._startTimer(name, timeout - idle);
+    }
+
+    inception.debug(`${name} timeout of ${timeout}ms exceeded`);
+    this.destroy(MultipartError.Timeout({
+      timeout: name,
+      limit: timeout,
+      part: name === 'headers' ? this._curPartState : this._curPart
+    }));
+  }, IS_DEFINED(delay) ? delay : timeout);
+};
+
+
+/**
+ * Stops the specified timer
+ *
+ * @param {String} name The name of the timer
+ */
+MultipartParser.prototype._stopTimer = function (name) {
+  clearTimeout(this._timers[name]);
+  delete this._timers[name];
+};
+
+
+/**
+ * Stops every timer, once the message has been received, or parsing stops
+ */
+MultipartParser.prototype._clearTimers = function () {
+  _.forEach(_.keys(this._timers), (name) => this._stopTimer(name));
+};
+
+
+/**
+ * Stops parsing until the current part, which is full, has been read
+ *
+ * Unless the policy is to wait, the part is drained, or parsing fails, if it
+ * is not read from within the grace period. Like the idle timer, the grace
+ * timer is rescheduled when it fires, if the part was read in the meantime.
+ */
+MultipartParser.prototype._waitForPart = function () {
+  const part = this._curPart;
+  const timeout = this.unconsumedPartTimeout;
+  if (this._waiting) {
+    return;
+  }
+
+  this._waiting = true;
+  this.cork();
+  if (this.unconsumedPartPolicy === 'wait') {
+    return;
+  }
+
+  const schedule = (delay) => {
+    this._timers.unconsumedPart = setTimeout(() => {
+      const idle = Date.now() - part._lastRead;
+
+      delete this._timers.unconsumedPart;
+      if (idle < timeout) {
+        return schedule(timeout - idle);
+      }
+
+      if (this.unconsumedPartPolicy === 'drain') {
+        inception.debug(`part ${this.parts.length}: draining unread part`);
+        return part.skip();
+      }
+
+      this.destroy(MultipartError.UnconsumedPart({
+        part: part,
+        limit: timeout
+      }));
+    }, delay);
+  };
+  schedule(timeout);
+};
+
+
+/**
+ * Resumes parsing once the part being waited on has been read
  */
-Object.defineProperty(MultipartParser.prototype, 'maxTotalSize', {
-  enumerable: true,
-  get: function () {
-    return this._properties.maxTotalSize;
+MultipartParser.prototype._onPartDrain = function () {
+  this._stopTimer('unconsumedPart');
+  if (this._waiting) {
+    this._waiting = false;
+    this.uncork();
   }
-});
+};
 
 
 /**
- * A list of parts composing the multipart message
- * @name MultipartParser#parts
- * @type {Array}
+ * Releases one of the things the message is waiting on before it ends, i.e.
+ * the message itself, nested messages and buffered field and object parts,
+ * and emits `end` once every part has been emitted
  */
-Object.defineProperty(MultipartParser.prototype, 'parts', {
-  enumerable: true,
-  get: function () {
-    return this._properties.parts;
+MultipartParser.prototype._release = function () {
+  if (--this._pending === 0 && !this._error) {
+    inception.debug('end of message');
+    this._ended = true;
+    this.emit('end');
   }
-});
+};
 
 
 /**
- * Initializes the multipart byte-parser
- * @return {MultipartByteParser}
+ * Handles the preamble of the multipart message
+ *
+ * @param {Buffer} chunk The text preceding the first boundary
  */
-MultipartParser.prototype._initMultipartByteParser = function () {
-  const wrapInErrorChecker = (fn) => {
-    return (chunk) => {
-      if (!this._error) {
-        fn.call(this, chunk);
-      }
-    };
-  };
+MultipartParser.prototype._onPreamble = function (chunk) {
+  this._properties.preamble = chunk;
+  this.emit('preamble', chunk);
+};
 
-  return new MultipartByteParser({ boundary: this.boundary })
-    .on('drain', () => this.uncork())
-    .on('partBegin', wrapInErrorChecker(this._onPartBegin))
-    .on('headerName', wrapInErrorChecker(this._onHeaderName))
-    .on('headerValue', wrapInErrorChecker(this._onHeaderValue))
-    .on('headersEnd', wrapInErrorChecker(this._onHeadersEnd))
-    .on('partData', wrapInErrorChecker(this._onPartData))
-    .on('partEnd', wrapInErrorChecker(this._onPartEnd));
+
+/**
+ * Handles the epilogue of the multipart message
+ *
+ * @param {Buffer} chunk The text following the final boundary
+ */
+MultipartParser.prototype._onEpilogue = function (chunk) {
+  this._properties.epilogue = chunk;
+  this.emit('epilogue', chunk);
 };
 
 
 /**
- * Emits an error and tears down the byte-parser
+ * Handles a deviation from RFC 2046 tolerated in lenient mode
  *
- * @param {MultipartError} err The error that occurred
+ * Warnings of nested messages are recorded, and emitted, by the root parser;
+ * their offsets are relative to the body of the enclosing part.
+ *
+ * @param {Object} warning The warning raised by the scanner
  */
-MultipartParser.prototype._emitError = function (err) {
-  this._error = true;
-  this.emit('error', err);
-  this._byteParser = null;
-  if (this.corked) {
-    this.uncork();
-  }
+MultipartParser.prototype._onWarning = function (warning) {
+  const root = this.root;
+
+  root.warnings.push(warning);
+  root.emit('warning', warning);
 };
 
 
@@ -262,44 +1115,87 @@ MultipartParser.prototype._emitError = function (err) {
  * Handles the beginning of a new part
  */
 MultipartParser.prototype._onPartBegin = function () {
-  if (this.parts.length >= this.maxParts - 1) {
+  if (this.root._numParts >= this.maxParts - 1) {
     return this._emitError(MultipartError.TooManyParts());
   }
 
+  this._partIndex++;
+  this._partBytes = 0;
+  this._startTimer('headers');
   this._curPartState = {
+    type: null,
     name: null,
     filename: null,
+    rawFilename: null,
     contentId: null,
     contentType: null,
     transferEncoding: 'binary',
-    headers: {}
+    boundary: null,
+    headers: {},
+    numHeaders: 0,
+    _headerName: [],
+    _headerValue: [],
+    parent: this.parent,
+    path: (this.parent ? this.parent.path : []).concat(this.parts.length)
   };
 };
 
 
 /**
- * Handles the parsing of a new header name
+ * Handles the parsing of a header name, which may span several chunks
  *
  * @param {Buffer} chunk The current chunk that contains the name of a header
  */
 MultipartParser.prototype._onHeaderName = function (chunk) {
-  this._curPartState._headerName = chunk.toString('utf8');
+  this._curPartState._headerName.push(chunk);
 };
 
 
 /**
- * Handles the parsing of a new header value
+ * Handles the parsing of a header value, which may span several chunks
  *
  * @param {Buffer} chunk The current chunk that contains the value of the header
  */
 MultipartParser.prototype._onHeaderValue = function (chunk) {
-  const headerName = this._curPartState._headerName.toLowerCase();
-  const headerValue = chunk.toString('utf8');
+  this._curPartState._headerValue.push(chunk);
+};
+
+
+/**
+ * Handles the end of a header
+ */
+MultipartParser.prototype._onHeaderEnd = function () {
+  const state = this._curPartState;
+  const rawHeaderName = Buffer.concat(state._headerName).toString('utf8');
+  const headerName = rawHeaderName.toLowerCase();
+  const headerValue = Buffer.concat(state._headerValue).toString('utf8');
+
+  state._headerName = [];
+  state._headerValue = [];
+  if (++state.numHeaders > this.maxHeaderPairs) {
+    return this._emitError(MultipartError.TooManyHeaders({
+      part: state,
+      limit: this.maxHeaderPairs
+    }));
+  }
 
   switch (headerName) {
     case 'content-disposition':
       this._curPartState.name = MultipartParser._getFieldName(headerValue);
-      this._curPartState.filename = MultipartParser._getFilename(headerValue);
+      if (IS_DEFINED(state.name) &&
+          state.name.length > this.maxFieldNameLength) {
+        return this._emitError(MultipartError.FieldNameTooLong({
+          part: state,
+          limit: this.maxFieldNameLength
+        }));
+      }
+
+      this._curPartState.rawFilename =
+        MultipartParser._getRawFilename(headerValue);
+      this._curPartState.filename = this.filenamePolicy === false
+        ? MultipartParser._getFilename(headerValue)
+        : Filename.sanitize(this._curPartState.rawFilename,
+            this.filenamePolicy);
       break;
 
     case 'content-id':
@@ -308,6 +1204,7 @@ MultipartParser.prototype._onHeaderValue = function (chunk) {
 
     case 'content-type':
       this._curPartState.contentType = headerValue.toLowerCase();
+      this._curPartState.boundary = MultipartParser._getBoundary(headerValue);
       break;
 
     case 'content-transfer-encoding':
@@ -315,8 +1212,7 @@ MultipartParser.prototype._onHeaderValue = function (chunk) {
       break;
   }
 
-  this._curPartState.headers[this._curPartState._headerName] = headerValue;
-  this._curPartState._headerName = '';
+  state.headers[rawHeaderName] = headerValue;
 };
 
 
@@ -324,15 +1220,200 @@ MultipartParser.prototype._onHeaderValue = function (chunk) {
  * Handles the parsing of the end of the headers for a part
  */
 MultipartParser.prototype._onHeadersEnd = function () {
-  const part = new Part(this._curPartState)
-    .on('error', () => this.uncork())
-    .on('drain', () => this.uncork());
+  const state = this._curPartState;
+
+  this._stopTimer('headers');
+  if (this.nested &&
+      IS_DEFINED(state.boundary) &&
+      IS_DEFINED(MultipartParser._getContentType(state.contentType))) {
+    state.type = Part.TYPES.MULTIPART;
+  }
 
-  this._curPartState.partSize = 0;
-  this._curPartState.tmp = '';
+  const part = new Part(state)
+    .on('error', () => this._onPartDrain())
+    .on('drain', () => this._onPartDrain());
+
+  state.partSize = 0;
+  state.decoder = TransferEncoding.createDecoder(state.transferEncoding,
+    this.decoders);
 
   this.parts.push(part);
+  this.root._numParts++;
+  if (!IS_DEFINED(state.decoder)) {
+    return this._emitError(MultipartError.UnsupportedEncoding(part));
+  }
+
+  if (part.type === Part.TYPES.STREAM) {
+    if (++this.root._numFiles > this.maxFiles) {
+      return this._emitError(MultipartError.TooManyFiles({
+        part: part,
+        limit: this.maxFiles
+      }));
+    }
+  } else if (part.type !== Part.TYPES.MULTIPART) {
+    if (++this.root._numFields > this.maxFields) {
+      return this._emitError(MultipartError.TooManyFields({
+        part: part,
+        limit: this.maxFields
+      }));
+    }
+  }
+
+  this.root.emit('headers', part);
+  if (!IS_DEFINED(this.headersHandler)) {
+    return this._routePart(part);
+  }
+
+  this._decide(part);
+};
+
+
+/**
+ * Decides on the specified part using the headers handler
+ *
+ * Decisions are applied right away, unless the handler returns a promise, in
+ * which case scanning is paused until the promise settles, so that none of the
+ * body of the part is decoded before.
+ *
+ * @param {Part} part The part whose headers were parsed
+ */
+MultipartParser.prototype._decide = function (part) {
+  let decision = null;
+  try {
+    decision = this.headersHandler(part);
+  } catch (err) {
+    return this.destroy(err);
+  }
+
+  if (!IS_DEFINED(decision) || !_.isFunction(decision.then)) {
+    return this._onDecision(part, decision);
+  }
+
+  const scanner = this._scanner;
+  scanner.pause();
+  Promise.resolve(decision)
+    .then((result) => this._onDecision(part, result), (err) => {
+      this._onDecision(part, err instanceof Error
+        ? err
+        : MultipartError.RejectedPart({ part: part, reason: err }));
+    })
+    .then(() => {
+      const pending = this._pendingWrite;
+
+      this._pendingWrite = null;
+      scanner.resume();
+      if (!this._error && IS_DEFINED(pending)) {
+        this._scan(pending.chunk, pending.callback);
+      }
+    })
+    .catch((err) => this._emitError(MultipartError.Unexpected(err)));
+};
+
+
+/**
+ * Applies the decision on the specified part, i.e. handles the part once
+ * accepted, discards the rest of it once skipped, or destroys the parser with
+ * a RejectedPart error, or the error specified, once rejected; unknown
+ * decisions destroy the parser with an UnknownDecision error
+ *
+ * @param {Part} part The part decided on
+ * @param {String|Error} decision The decision
+ */
+MultipartParser.prototype._onDecision = function (part, decision) {
+  if (this._error) {
+    return;
+  }
+
+  if (decision instanceof Error) {
+    return this.destroy(decision);
+  }
+
+  switch (decision) {
+    case undefined:
+    case null:
+    case 'accept':
+      return this._routePart(part);
+
+    case 'skip':
+      inception.debug(`part ${this.parts.length}: skipping`);
+      part.skip();
+      return;
+
+    case 'reject':
+      return this.destroy(MultipartError.RejectedPart({ part: part }));
+
+    default:
+      return this.destroy(MultipartError.UnknownDecision({
+        part: part,
+        decision: decision
+      }));
+  }
+};
+
+
+/**
+ * Routes the specified part, once accepted, to its nested parser, or to the
+ * part handler, once its type has been detected if its field has a list of
+ * allowed types
+ *
+ * @param {Part} part The part to route
+ */
+MultipartParser.prototype._routePart = function (part) {
+  const state = this._curPartState;
+
+  if (part.type === Part.TYPES.MULTIPART) {
+    this._initNestedParser(part, state.boundary);
+  } else if (_.has(this.fieldTypes, part.name)) {
+    // The part is handled once enough of it has been read to detect its type
+    const rule = this.fieldTypes[part.name];
+    const type = MultipartParser._getMimeType(part.contentType);
+
+    if (rule.types.indexOf(type) < 0) {
+      return this._emitError(MultipartError.DisallowedType({
+        part: part,
+        type: type,
+        allowed: rule.types
+      }));
+    }
+
+    state.rule = rule;
+    state.sniffed = [];
+    return;
+  }
+
+  this.handlePart(part);
+};
+
+
+/**
+ * Handles the current part, once its type has been detected from the data
+ * read so far
+ *
+ * @return {Boolean} Whether the part matched its content-type
+ */
+MultipartParser.prototype._onPartSniffed = function () {
+  const part = this._curPart;
+  const buf = Buffer.concat(this._curPartState.sniffed);
+  const declared = MultipartParser._getMimeType(part.contentType);
+  const detected = Sniffer.sniff(buf);
+
+  this._curPartState.sniffed = null;
+  if (!Sniffer.isCompatible(detected, declared) &&
+      (IS_DEFINED(detected) || Sniffer.isKnown(declared))) {
+    this._emitError(MultipartError.TypeMismatch({
+      part: part,
+      type: declared,
+      detected: detected
+    }));
+    return false;
+  }
+
+  part._properties.detectedType = detected;
   this.handlePart(part);
+  if (buf.length > 0 && !part.write(buf)) {
+    this._waitForPart();
+  }
+  return true;
 };
 
 
@@ -342,44 +1423,76 @@ MultipartParser.prototype._onHeadersEnd = function () {
  * @param {Buffer} chunk The chunk of data for the part
  */
 MultipartParser.prototype._onPartData = function (chunk) {
-  if ((this._curPartState.partSize += chunk.length) > this.maxPartSize) {
-    return this._emitError(MultipartError.PartTooLarge({
-      part: this._curPart,
-      chunk: chunk
-    }));
+  const part = this._curPart;
+  const isFile = (part.type === Part.TYPES.STREAM);
+
+  this._partBytes += chunk.length;
+
+  // Nested multipart parts are bounded by the limits on the parts they contain,
+  // while skipped parts are only bounded by the size of the message
+  if (part.type !== Part.TYPES.MULTIPART && !part.skipped) {
+    const size = (this._curPartState.partSize += chunk.length);
+
+    if (isFile && size > this.maxFileSize) {
+      return this._emitError(MultipartError.FileTooLarge({
+        part: part,
+        limit: this.maxFileSize
+      }));
+    }
+
+    if (!isFile && size > this.maxFieldSize) {
+      return this._emitError(MultipartError.FieldTooLarge({
+        part: part,
+        limit: this.maxFieldSize
+      }));
+    }
+
+    const rule = this._curPartState.rule;
+    if (IS_DEFINED(rule) && size > rule.maxSize) {
+      const metadata = { part: part, limit: rule.maxSize };
+      return this._emitError(isFile
+        ? MultipartError.FileTooLarge(metadata)
+        : MultipartError.FieldTooLarge(metadata));
+    }
+
+    if (size > this.maxPartSize) {
+      return this._emitError(MultipartError.PartTooLarge({
+        part: part,
+        chunk: chunk
+      }));
+    }
   }
 
-  if ((this._totalSize += chunk.length) > this.maxTotalSize) {
+  // The outermost message includes nested ones, so bytes are only counted once
+  if (this.root === this &&
+      (this._totalSize += chunk.length) > this.maxTotalSize) {
     return this._emitError(MultipartError.MessageTooLarge({
       part: this._curPart,
       chunk: chunk
     }));
   }
 
-  let buf = null;
-  let offset = null;
-  const encoding = this._curPart.transferEncoding;
-  switch (encoding) {
-    case 'binary':
-    case '7bit':
-    case '8bit':
-      buf = chunk;
-      break;
+  if (part.skipped) {
+    return;
+  }
 
-    case 'base64':
-      this._curPartState.tmp += chunk.toString('ascii');
-      offset = (this._curPartState.tmp.length >> 2) << 2;
-      buf = new Buffer(this._curPartState.tmp.substr(0, offset), encoding);
-      this._curPartState.tmp = this._curPartState.tmp.substr(offset);
-      break;
+  const buf = this._curPartState.decoder.write(chunk);
+  if (!buf || buf.length === 0) {
+    return;
+  }
 
-    default:
-      return this._emitError(MultipartError.UnsupportedEncoding(this._curPart));
+  const sniffed = this._curPartState.sniffed;
+  if (IS_DEFINED(sniffed)) {
+    sniffed.push(buf);
+    if (_.sumBy(sniffed, 'length') >= Sniffer.MAX_LENGTH) {
+      this._onPartSniffed();
+    }
+    return;
   }
 
   inception.debug(`part ${this.parts.length}: writing ${buf.length} bytes`);
   if (!this._curPart.write(buf)) {
-    this.cork();
+    this._waitForPart();
   }
 };
 
@@ -388,40 +1501,63 @@ MultipartParser.prototype._onPartData = function (chunk) {
  * Handles the parsing of the end of a part
  */
 MultipartParser.prototype._onPartEnd = function () {
-  let buf;
-  const encoding = this._curPart.transferEncoding;
-  switch (encoding) {
-    case 'binary':
-    case '7bit':
-    case '8bit':
-      break;
+  if (this._curPart.skipped) {
+    return this._curPart.end();
+  }
 
-    case 'base64':
-      buf = new Buffer(this._curPartState.tmp, encoding);
-      break;
+  const buf = this._curPartState.decoder.end();
 
-    default:
-      return this._emitError(MultipartError.UnsupportedEncoding(this._curPart));
+  // Parts shorter than the longest signature are detected once complete
+  if (IS_DEFINED(this._curPartState.sniffed)) {
+    this._curPartState.sniffed.push(buf || Buffer.alloc(0));
+    if (!this._onPartSniffed()) {
+      return;
+    }
+    return this._curPart.end();
   }
 
   inception.debug(`part ${this.parts.length}: ending stream`);
-  this._curPart.end(buf);
+  this._curPart.end(buf || undefined);
 };
 
 
+/**
+ * Handles a part once its headers have been parsed
+ *
+ * Stream parts, and nested multipart parts, are emitted right away, while the
+ * values of field and object parts are buffered, and decoded using their
+ * character set, before emitting them. Stream
+ * parts are emitted once stored, if a storage adapter is configured.
+ *
+ * @param {Part} part The part to handle
+ */
 MultipartParser.prototype.handlePart = function (part) {
-  if (part.type === Part.TYPES.STREAM) {
+  if (part.type === Part.TYPES.STREAM && IS_DEFINED(this.storage)) {
+    return this._storePart(part);
+  }
+
+  if (part.type === Part.TYPES.STREAM || part.type === Part.TYPES.MULTIPART) {
     inception.debug(`part ${this.parts.length}: %j`, part);
     this.emit('part', part);
     return;
   }
 
   const partChunks = [];
+  this._pending++;
   part
     .on('error', (err) => this._emitError(err))
     .on('data', (chunk) => partChunks.push(chunk))
     .on('end', () => {
-      const partData = Buffer.concat(partChunks).toString();
+      const charset = this._getCharset(part);
+      const partData = Charset.decode(Buffer.concat(partChunks), charset,
+        this.charsets);
+
+      if (partData === null) {
+        return this._emitError(MultipartError.UnsupportedEncoding({
+          part: part,
+          charset: charset
+        }));
+      }
 
       switch (part.type) {
         case Part.TYPES.OBJECT:
@@ -434,19 +1570,151 @@ MultipartParser.prototype.handlePart = function (part) {
 
         case Part.TYPES.FIELD:
           part._properties.value = partData;
+          if (part.name === '_charset_' && partData.trim().length > 0) {
+            this.root._formCharset = partData.trim();
+          }
           break;
 
         default:
           inception.debug(`unknown part ${this.parts.length}: %j`, part);
-          return;
+          return this._release();
       }
 
       inception.debug(`part ${this.parts.length}: %j`, part);
       this.emit('part', part);
+      this._release();
+    });
+};
+
+
+/**
+ * Returns the character set of the specified field or object part
+ *
+ * The charset parameter of the content-type of the part takes precedence over
+ * the value of a preceding `_charset_` field, as per RFC 7578, which in turn
+ * takes precedence over the default character set.
+ *
+ * @param {Part} part The part
+ * @return {String}
+ */
+MultipartParser.prototype._getCharset = function (part) {
+  return Headers.parse(part.contentType).params.charset ||
+    this.root._formCharset ||
+    this.defaultCharset;
+};
+
+
+/**
+ * Stores a stream part using the storage adapter, and emits it once stored,
+ * with the locator returned by the adapter as its value
+ *
+ * A storage adapter implements `createWriteTarget(info)`, which is passed the
+ * metadata of a part, and returns a target, or a promise for one. A target
+ * consists of a writable `stream`, to which the contents of the part are
+ * written, a `finalize()` function, called once the contents have been
+ * written, which returns the locator of the stored part, or a promise for it,
+ * and an `abort()` function, called instead if the message cannot be parsed.
+ * Targets may also implement `remove()`, called on finalized targets if the
+ * message cannot be parsed, to remove the part that was stored.
+ *
+ * @param {Part} part The part to store
+ */
+MultipartParser.prototype._storePart = function (part) {
+  const targets = this._targets;
+  let target = null;
+
+  this._pending++;
+  Promise.resolve()
+    .then(() => this.storage.createWriteTarget(MultipartParser._getInfo(part)))
+    .then((writeTarget) => {
+      target = writeTarget;
+      if (this._error) {
+        return target.abort();
+      }
+
+      targets.push(target);
+      return new Promise((resolve, reject) => {
+        target.stream.once('error', reject).once('finish', resolve);
+        part.once('error', reject).pipe(target.stream);
+      }).then(() => target.finalize());
+    })
+    .then((locator) => {
+      _.pull(targets, target);
+      if (_.isFunction(target.remove)) {
+        if (this._error) {
+          return target.remove();
+        }
+        this._stored.push(target);
+      }
+      if (!this._error) {
+        part._properties.value = locator;
+        this.emit('part', part);
+        this._release();
+      }
+    })
+    .catch((err) => {
+      if (!this._error) {
+        this._emitError(MultipartError.Unexpected(err));
+      }
     });
 };
 
 
+/**
+ * Returns an async iterator over the parts of the multipart message
+ *
+ * The iterator must be created before any data is written to the parser.
+ *
+ * @return {PartIterator}
+ * @see PartIterator
+ */
+MultipartParser.prototype.iterate = function () {
+  return new PartIterator(this);
+};
+
+
+/**
+ * Makes the parser usable with `for await`
+ *
+ * @return {PartIterator}
+ */
+MultipartParser.prototype[Symbol.asyncIterator] = function () {
+  return this.iterate();
+};
+
+
+/**
+ * Returns the metadata of a part, as passed to storage adapters
+ *
+ * @param {Part} part The part
+ * @return {Object}
+ */
+MultipartParser._getInfo = function (part) {
+  return {
+    name: part.name,
+    filename: part.filename,
+    rawFilename: part.rawFilename,
+    contentType: part.contentType,
+    contentId: part.contentId,
+    transferEncoding: part.transferEncoding,
+    headers: part.headers,
+    path: part.path
+  };
+};
+
+
+/**
+ * Parses the length of the message from the content-length header
+ *
+ * @param {Number|String} headerValue The content-length header value
+ * @return {Number|null}
+ */
+MultipartParser._getContentLength = function (headerValue) {
+  const length = parseInt(headerValue, 10);
+  return length >= 0 ? length : null;
+};
+
+
 /**
  * Extracts the content-type of the message
  *
@@ -458,9 +1726,48 @@ MultipartParser._getContentType = function (headerValue) {
 };
 
 
+/**
+ * Extracts the MIME type from the content-type header, ignoring parameters
+ *
+ * Parts without a content-type are plain text, as per RFC 7578.
+ *
+ * @param {String} headerValue The content-type header value
+ * @return {String}
+ */
+MultipartParser._getMimeType = function (headerValue) {
+  if (!IS_DEFINED(headerValue)) {
+    return 'text/plain';
+  }
+
+  return headerValue.split(';')[0].trim().toLowerCase();
+};
+
+
+/**
+ * Normalizes the MIME types allowed for each field
+ *
+ * @param {Object} fieldTypes The MIME types allowed for each field, keyed by
+ *   name, as a list of types, or as an object with `types` and `maxSize`
+ * @return {Object}
+ */
+MultipartParser._getFieldTypes = function (fieldTypes) {
+  return _.mapValues(fieldTypes || {}, (rule) => {
+    rule = _.isArray(rule) ? { types: rule } : rule;
+
+    return {
+      types: _.map(rule.types, (type) => type.toLowerCase()),
+      maxSize: rule.maxSize || Infinity
+    };
+  });
+};
+
+
 /**
  * Extracts the field name from the content-disposition header
  *
+ * Names encoded as per RFC 2231 (`name*=UTF-8''...`) are decoded, and take
+ * precedence over plain names.
+ *
  * @param {String} headerValue The content-disposition header value
  * @return {String|null}
  */
@@ -469,35 +1776,57 @@ MultipartParser._getFieldName = function (headerValue) {
     return null;
   }
 
-  let matches = headerValue.match(REGEXP.NAME);
-  return matches ? matches[2] || matches[1] : null;
+  const name = Headers.parse(headerValue).params.name;
+  return IS_DEFINED(name) ? name : null;
 };
 
 
 /**
- * Extracts the filename from the content-disposition header
+ * Extracts the filename, as sent, from the content-disposition header
+ *
+ * Filenames encoded as per RFC 2231 (`filename*=UTF-8''...`), including those
+ * split into continuations, are decoded, and take precedence over plain names.
+ * Directories are not stripped.
  *
  * @param {String} headerValue The content-disposition header value
  * @return {String|null}
  */
-MultipartParser._getFilename = function (headerValue) {
+MultipartParser._getRawFilename = function (headerValue) {
   if (!IS_DEFINED(headerValue)) {
     return null;
   }
 
-  const matches = headerValue.match(REGEXP.FILENAME);
-  if (!matches) {
+  const value = Headers.parse(headerValue).params.filename;
+  if (!IS_DEFINED(value)) {
     return null;
   }
 
-  // Windows paths need special attention
-  let filename = (matches[3] || matches[2] || '').replace(/\\/g, '/');
-  return filename.substr(filename.lastIndexOf('/') + 1)
+  return value
     .replace(/%22/g, '"')
     .replace(/&#([\d]{4});/g, (m, c) => String.fromCharCode(c));
 };
 
 
+/**
+ * Extracts the filename from the content-disposition header, i.e. the raw
+ * filename stripped of its directories
+ *
+ * @param {String} headerValue The content-disposition header value
+ * @return {String|null}
+ * @see MultipartParser._getRawFilename
+ */
+MultipartParser._getFilename = function (headerValue) {
+  const value = MultipartParser._getRawFilename(headerValue);
+  if (!IS_DEFINED(value)) {
+    return null;
+  }
+
+  // Windows paths need special attention
+  const filename = value.replace(/\\/g, '/');
+  return filename.substr(filename.lastIndexOf('/') + 1);
+};
+
+
 /**
  * Extracts the content-id
  *
@@ -544,9 +1873,53 @@ MultipartParser.prototype._write = function (chunk, encoding, callback) {
   }
 
   inception.debug(`received ${chunk.length}-byte ${encoding}`);
-  if (!this._byteParser.write(chunk, encoding, callback)) {
-    this.cork();
+  this._lastActivity = Date.now();
+  this._bytesReceived += chunk.length;
+  this._scan(chunk, callback);
+};
+
+
+/**
+ * Scans the specified chunk, holding back the rest of it if scanning is paused
+ * while deciding on a part
+ *
+ * @param {Buffer} chunk The chunk of data to be scanned
+ * @param {Function} callback Function to execute upon scanning the chunk
+ */
+MultipartParser.prototype._scan = function (chunk, callback) {
+  const scanner = this._scanner;
+  let scanned = chunk.length;
+
+  // The preamble and epilogue are only buffered for those listening for them
+  scanner.retainPreamble = this.listenerCount('preamble') > 0;
+  scanner.retainEpilogue = this.listenerCount('epilogue') > 0;
+  try {
+    scanned = scanner.write(chunk);
+  } catch (err) {
+    this._onScanError(err);
+  }
+
+  if (this._error) {
+    return callback();
+  }
+
+  // Bytes of the preamble and epilogue count towards the size of the message
+  if (this.root === this &&
+      this._totalSize + scanner.textSize > this.maxTotalSize) {
+    this._emitError(MultipartError.MessageTooLarge({
+      part: this._curPart,
+      chunk: chunk
+    }));
+    return callback();
   }
+
+  if (scanned < chunk.length) {
+    this._pendingWrite = { chunk: chunk.slice(scanned), callback: callback };
+    return;
+  }
+
+  Util.emitProgress(this, false);
+  callback();
 };
 
 
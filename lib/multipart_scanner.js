@@ -0,0 +1,1005 @@
+'use strict';
+/**
+ * @file A low-level multipart message scanner
+ *
+ * The write() method of this multipart message scanner is very heavily inspired
+ * by the node-formidable npm package. The core algorithm is pretty much the
+ * same except for the fact that the state is maintained between calls to the
+ * write() method, and that boundaries are searched for using a skip table.
+ *
+ * @author Anand Suresh <anandsuresh@gmail.com>
+ * @copyright Copyright (C) 2017 Anand Suresh
+ * @license Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const node = {
+  util: require('util')
+};
+const inception = {
+  debug: require('inception.debug')('inception:streams:multipart:scanner'),
+  primitives: require('inception.primitives')
+};
+const MultipartError = require('./multipart_error');
+const MultipartByteParserState = require('./multipart_byte_parser_state');
+const _ = require('lodash');
+
+
+/**
+ * Characters of interest for parsing
+ * @type {Object}
+ */
+const CHARS = {
+  A: 'a'.charCodeAt(0),
+  Z: 'z'.charCodeAt(0),
+  CR: '\r'.charCodeAt(0),
+  LF: '\n'.charCodeAt(0),
+  COLON: ':'.charCodeAt(0),
+  SPACE: ' '.charCodeAt(0),
+  TAB: '\t'.charCodeAt(0),
+  HYPHEN: '-'.charCodeAt(0),
+
+  lower: (byte) => byte | 0x20
+};
+
+
+/**
+ * Characters, besides letters and hyphens, allowed in header names by RFC 7230
+ * @type {Object}
+ */
+const TOKEN_CHARS = _.reduce('!#$%&\'*+.^_`|~0123456789'.split(''),
+  (chars, char) => {
+    chars[char.charCodeAt(0)] = true;
+    return chars;
+  }, {});
+
+
+/**
+ * The states in which the parser is parsing the headers of a part
+ * @type {Object}
+ */
+const HEADER_STATES = {
+  [MultipartByteParserState.STATES.HEADER_NAME_START]: true,
+  [MultipartByteParserState.STATES.HEADER_NAME]: true,
+  [MultipartByteParserState.STATES.HEADER_VALUE_START]: true,
+  [MultipartByteParserState.STATES.HEADER_VALUE]: true,
+  [MultipartByteParserState.STATES.HEADER_VALUE_END]: true,
+  [MultipartByteParserState.STATES.HEADERS_END]: true
+};
+
+
+/**
+ * Deviations from RFC 2046 tolerated in lenient mode, keyed by warning code
+ * @enum {String}
+ * @readonly
+ */
+const WARNINGS = {
+  BARE_LF: 'Line terminated by <LF> instead of <CR><LF>!',
+  TRANSPORT_PADDING: 'Boundary followed by linear whitespace!',
+  MISSING_FINAL_BOUNDARY: 'Message not terminated by the final boundary!',
+  BAD_HEADER_NAME: 'Header name contains non-alphabetic characters!'
+};
+
+
+/**
+ * The callbacks of a scanner handler, each of which is optional
+ * @type {Array}
+ */
+const CALLBACKS = [
+  'onPreamble',
+  'onPartBegin',
+  'onHeaderName',
+  'onHeaderValue',
+  'onHeaderEnd',
+  'onHeadersEnd',
+  'onPartData',
+  'onPartEnd',
+  'onEpilogue',
+  'onEnd',
+  'onWarning'
+];
+
+
+/**
+ * A low-level multipart message scanner
+ *
+ * The scanner runs over the chunks of a multipart message, held in Buffers or
+ * plain Uint8Arrays, invoking the callbacks of the handler as it goes, without
+ * the overhead of a stream, of emitting events, or of slicing the chunks:
+ *
+ * - `onPreamble(buffer, start, end)`: the text preceding the first boundary
+ * - `onPartBegin()`: the start of a part
+ * - `onHeaderName(buffer, start, end)`: (a piece of) the name of a header
+ * - `onHeaderValue(buffer, start, end)`: (a piece of) the value of a header
+ * - `onHeaderEnd()`: the end of a header
+ * - `onHeadersEnd()`: the end of the headers of a part
+ * - `onPartData(buffer, start, end)`: (a piece of) the body of a part
+ * - `onPartEnd()`: the end of a part
+ * - `onEpilogue(buffer, start, end)`: the text following the final boundary
+ * - `onEnd()`: the end of the message
+ * - `onWarning(warning)`: a deviation from RFC 2046 tolerated in lenient mode
+ *
+ * Callbacks handed data receive the buffer containing it, along with the start
+ * and end offsets of the data, instead of a slice of the buffer. The buffer is
+ * either the chunk being scanned, or a copy of data held back from earlier
+ * chunks, so chunks must not be modified once written.
+ *
+ * Callbacks may pause the scanner, such as to wait on a decision about a part
+ * once its headers are scanned, in which case the rest of the chunk is written
+ * again once resumed.
+ *
+ * @param {Object} opts Configuration options for the scanner
+ * @param {String|Buffer} opts.boundary The multipart message boundary
+ * @param {Number} [opts.maxHeaderSize=Infinity] The maximum size of the headers
+ *   of a part
+ * @param {Boolean} [opts.strict=true] Whether to fail on deviations from RFC
+ *   2046, instead of warning about each one that is tolerated
+ * @param {Boolean} [opts.retainPreamble=true] Whether to buffer the preamble
+ *   until the first boundary, to hand it to the handler
+ * @param {Boolean} [opts.retainEpilogue=true] Whether to buffer the epilogue
+ *   until the end of the message, to hand it to the handler
+ * @param {Object} [handler] The callbacks to invoke as the message is scanned
+ * @constructor
+ */
+function MultipartScanner(opts, handler) {
+  if (!(this instanceof MultipartScanner)) {
+    return new MultipartScanner(opts, handler);
+  }
+
+  const boundary = Buffer.isBuffer(opts.boundary)
+    ? opts.boundary
+    : MultipartScanner._constructBoundary(opts.boundary);
+
+  MultipartScanner.super_.call(this, {
+    boundary: boundary,
+    maxHeaderSize: opts.maxHeaderSize || Infinity,
+    strict: opts.strict !== false,
+    retainPreamble: opts.retainPreamble !== false,
+    retainEpilogue: opts.retainEpilogue !== false
+  });
+
+  // Callbacks are bound once, so that they are cheap to invoke while scanning
+  handler = handler || {};
+  this._handler = _.reduce(CALLBACKS, (callbacks, name) => {
+    callbacks[name] = _.isFunction(handler[name])
+      ? handler[name].bind(handler)
+      : _.noop;
+    return callbacks;
+  }, {});
+
+  this._state = new MultipartByteParserState(boundary.length);
+
+  // A boundary may be preceded by a bare <LF> instead of <CR><LF> when lenient
+  this._search = MultipartScanner._getSkipTable(this.strict
+    ? boundary
+    : boundary.slice(1));
+  this._preamble = [];
+  this._epilogue = [];
+  this._textSize = 0;
+  this._offset = 0;
+  this._paused = false;
+}
+node.util.inherits(MultipartScanner, inception.primitives.Object);
+
+
+/**
+ * The multipart message boundary
+ * @name MultipartScanner#boundary
+ * @type {Buffer}
+ */
+Object.defineProperty(MultipartScanner.prototype, 'boundary', {
+  get: function () {
+    return this._properties.boundary;
+  }
+});
+
+
+/**
+ * The maximum size of the headers of a part
+ * @name MultipartScanner#maxHeaderSize
+ * @type {Number}
+ */
+Object.defineProperty(MultipartScanner.prototype, 'maxHeaderSize', {
+  get: function () {
+    return this._properties.maxHeaderSize;
+  }
+});
+
+
+/**
+ * Whether the preamble is buffered, to hand it to the handler
+ *
+ * It may be turned off while scanning, once nobody is interested in it, in
+ * which case whatever was buffered is dropped, and it is not handed over.
+ * @name MultipartScanner#retainPreamble
+ * @type {Boolean}
+ */
+Object.defineProperty(MultipartScanner.prototype, 'retainPreamble', {
+  get: function () {
+    return this._properties.retainPreamble;
+  },
+  set: function (retain) {
+    this._properties.retainPreamble = retain;
+  }
+});
+
+
+/**
+ * Whether the epilogue is buffered, to hand it to the handler
+ *
+ * It may be turned off while scanning, as for the preamble.
+ * @name MultipartScanner#retainEpilogue
+ * @type {Boolean}
+ */
+Object.defineProperty(MultipartScanner.prototype, 'retainEpilogue', {
+  get: function () {
+    return this._properties.retainEpilogue;
+  },
+  set: function (retain) {
+    this._properties.retainEpilogue = retain;
+  }
+});
+
+
+/**
+ * The no. of bytes of the preamble, including the first boundary, and of the
+ * epilogue scanned so far, whether retained or not
+ * @name MultipartScanner#textSize
+ * @type {Number}
+ */
+Object.defineProperty(MultipartScanner.prototype, 'textSize', {
+  get: function () {
+    return this._textSize;
+  }
+});
+
+
+/**
+ * Whether to fail on deviations from RFC 2046, instead of tolerating them
+ * @name MultipartScanner#strict
+ * @type {Boolean}
+ */
+Object.defineProperty(MultipartScanner.prototype, 'strict', {
+  get: function () {
+    return this._properties.strict;
+  }
+});
+
+
+/**
+ * Deviations from RFC 2046 tolerated in lenient mode, keyed by warning code
+ * @type {Object}
+ */
+MultipartScanner.WARNINGS = WARNINGS;
+
+
+/**
+ * Scans the next chunk of the multipart message
+ *
+ * Scanning stops short of the end of the chunk if the scanner is paused by
+ * one of the callbacks, in which case the rest of the chunk is to be written
+ * again once the scanner is resumed.
+ *
+ * @param {Uint8Array} chunk The chunk to scan
+ * @return {Number} The no. of bytes of the chunk scanned
+ * @throws {MultipartError} If the message is malformed, or its headers too
+ *   large
+ */
+MultipartScanner.prototype.write = function (chunk) {
+  const STATES = MultipartByteParserState.STATES;
+  const FLAGS = MultipartByteParserState.FLAGS;
+  const BOUNDARY = this.boundary;
+  const BOUNDARY_LENGTH = this.boundary.length;
+  const MAX_HEADER_SIZE = this.maxHeaderSize;
+  const MAX_PADDING = MultipartByteParserState.MAX_PADDING;
+  const BUFFER_LENGTH = chunk.length;
+  const STRICT = this.strict;
+
+  const handler = this._handler;
+  const state = this._state;
+  const emit = (marker, callback, end, resetMarker) => {
+    const start = state.getMarker(marker);
+    if (start === null) {
+      return;
+    }
+
+    // Markers are updated even if a chunk boundary leaves nothing to emit
+    if (start < end) {
+      callback(chunk, start, end);
+    }
+
+    if (resetMarker === true) {
+      state.mark(marker, 0);
+    } else {
+      state.clear(marker);
+    }
+  };
+  const warn = (code) => this._warn(code, curPos);
+  const emitPreamble = (trailer) => {
+    if (state.isBareLF) {
+      warn('BARE_LF');
+    }
+    this._emitPreamble(chunk, curPos + 1, trailer);
+  };
+  const isPadding = (byte) => !STRICT && state.padding < MAX_PADDING &&
+    (byte === CHARS.SPACE || byte === CHARS.TAB);
+
+  // Early exit if the message has errored out
+  if (state.hasErrored) {
+    return BUFFER_LENGTH;
+  }
+
+  inception.debug(`received ${chunk.length} bytes`, state);
+
+  let curByte = null;
+  let lowByte = null;
+  let curPos = null;
+  let prevIndex = null;
+
+  for (curPos = 0; curPos < BUFFER_LENGTH && !this._paused; curPos++) {
+    curByte = chunk[curPos];
+
+    // Headers are bounded, as they are buffered until the end of each header
+    if (HEADER_STATES[state.state] === true &&
+        ++state.headerSize > MAX_HEADER_SIZE) {
+      state.setErrored();
+      throw MultipartError.HeaderTooLarge({
+        limit: MAX_HEADER_SIZE,
+        state: state
+      });
+    }
+
+    switch (state.state) {
+      case STATES.INITIALIZED:
+        state.index = 0;
+        state.updateState(STATES.BOUNDARY);
+
+      // Deliberate fall-through to process the current character
+      // eslint-disable-next-line no-fallthrough
+      case STATES.BOUNDARY:
+        if (state.index === BOUNDARY_LENGTH - 2) {
+          if (curByte === CHARS.HYPHEN) {
+            state.setFlags(FLAGS.FINAL_BOUNDARY);
+            state.index++;
+            break;
+          } else if (curByte === CHARS.CR) {
+            state.index++;
+            break;
+          } else if (!STRICT && curByte === CHARS.LF) {
+            warn('BARE_LF');
+            emitPreamble(state.padding + 1);
+            this._beginPart();
+            break;
+          } else if (isPadding(curByte)) {
+            if (state.padding++ === 0) {
+              warn('TRANSPORT_PADDING');
+            }
+            break;
+          }
+
+          throw this._fail({
+            msg: 'Multipart message boundary not followed by -- or <CR><LF>!',
+            byte: curByte,
+            state: state
+          });
+        } else if (state.index === BOUNDARY_LENGTH - 1) {
+          if (state.isFinalBoundary && curByte === CHARS.HYPHEN) {
+            emitPreamble(state.padding + 2);
+            state.resetFlags();
+            state.padding = 0;
+            state.updateState(STATES.END);
+          } else if (!state.isFinalBoundary && curByte === CHARS.LF) {
+            emitPreamble(state.padding + 2);
+            this._beginPart();
+          } else {
+            throw this._fail({
+              msg: 'Multipart message boundary not followed by -- or <CR><LF>!',
+              byte: curByte,
+              state: state
+            });
+          }
+
+          break;
+        }
+
+      // This is intentionally setup this way as opposed to writing a single
+      // if-else condition. The idea is to force checks on the byte twice to
+      // account for the boundary start for the first part which will not have
+      // a leading <CR><LF>.
+        if (curByte !== BOUNDARY[state.index + 2]) {
+          state.unsetFlags(FLAGS.BARE_LF);
+          state.index = -2;
+        }
+
+        if (curByte === BOUNDARY[state.index + 2]) {
+          state.index++;
+        } else if (!STRICT && state.index === -2 && curByte === CHARS.LF) {
+          state.setFlags(FLAGS.BARE_LF);
+          state.index = 0;
+        }
+
+        break;
+
+      case STATES.HEADER_NAME_START:
+        state.index = 0;
+        state.mark('headerName', curPos);
+        state.updateState(STATES.HEADER_NAME);
+
+      // Deliberate fall-through to process the current character
+      // eslint-disable-next-line no-fallthrough
+      case STATES.HEADER_NAME:
+        lowByte = CHARS.lower(curByte);
+        if (_.inRange(lowByte, CHARS.A, CHARS.Z + 1) ||
+            curByte === CHARS.HYPHEN) {
+          state.index++;
+          break;
+        } else if (!STRICT && TOKEN_CHARS[curByte] === true) {
+          if (!state.isBadHeaderName) {
+            warn('BAD_HEADER_NAME');
+            state.setFlags(FLAGS.BAD_HEADER_NAME);
+          }
+          state.index++;
+          break;
+        } else if (curByte === CHARS.COLON) {
+          if (state.index !== 0) {
+            state.unsetFlags(FLAGS.BAD_HEADER_NAME);
+            emit('headerName', handler.onHeaderName, curPos);
+            state.updateState(STATES.HEADER_VALUE_START);
+            break;
+          }
+
+          throw this._fail({
+            msg: 'Empty header name!',
+            byte: curByte,
+            state: state
+          });
+        } else if (curByte === CHARS.CR) {
+          state.clear('headerName');
+          state.updateState(STATES.HEADERS_END);
+          break;
+        } else if (!STRICT && curByte === CHARS.LF && state.index === 0) {
+          warn('BARE_LF');
+          state.clear('headerName');
+          handler.onHeadersEnd();
+          state.updateState(STATES.PART_DATA_START);
+          break;
+        }
+
+        throw this._fail({
+          msg: 'Invalid character found parsing header field name!',
+          byte: curByte,
+          state: state
+        });
+
+      case STATES.HEADER_VALUE_START:
+        if (curByte === CHARS.SPACE) {
+          break;
+        }
+
+        state.mark('headerValue', curPos);
+        state.updateState(STATES.HEADER_VALUE);
+
+      // Deliberate fall-through to process the current character
+      // eslint-disable-next-line no-fallthrough
+      case STATES.HEADER_VALUE:
+        if (curByte === CHARS.CR) {
+          emit('headerValue', handler.onHeaderValue, curPos);
+          handler.onHeaderEnd();
+          state.updateState(STATES.HEADER_VALUE_END);
+        } else if (!STRICT && curByte === CHARS.LF) {
+          warn('BARE_LF');
+          emit('headerValue', handler.onHeaderValue, curPos);
+          handler.onHeaderEnd();
+          state.updateState(STATES.HEADER_NAME_START);
+        }
+        break;
+
+      case STATES.HEADER_VALUE_END:
+        if (curByte !== CHARS.LF) {
+          throw this._fail({
+            msg: 'Header value not followed by <CR><LF>!',
+            byte: curByte,
+            state: state
+          });
+        }
+
+        state.updateState(STATES.HEADER_NAME_START);
+        break;
+
+      case STATES.HEADERS_END:
+        if (curByte !== CHARS.LF) {
+          throw this._fail({
+            msg: 'Headers not followed by <CR><LF>!',
+            byte: curByte,
+            state: state
+          });
+        }
+
+        handler.onHeadersEnd();
+        state.updateState(STATES.PART_DATA_START);
+        break;
+
+      case STATES.PART_DATA_START:
+        state.mark('partData', curPos);
+        state.updateState(STATES.PART_DATA);
+
+      // Deliberate fall-through to process the current character
+      // eslint-disable-next-line no-fallthrough
+      case STATES.PART_DATA:
+        prevIndex = state.index;
+
+      // Skip over the remainder of the buffer to the next possible boundary
+        if (state.index === 0) {
+          curPos = this._findBoundary(chunk, curPos);
+          curByte = chunk[curPos];
+        }
+
+        if (state.index < BOUNDARY_LENGTH) {
+          if (curByte === BOUNDARY[state.index]) {
+            if (state.index === 0) {
+              emit('partData', handler.onPartData, curPos);
+            }
+
+            state.index++;
+          } else if (!STRICT && state.index === 0 && curByte === CHARS.LF) {
+            // The missing <CR> is skipped over when replaying the lookbehind
+            emit('partData', handler.onPartData, curPos);
+            state.setFlags(FLAGS.BARE_LF);
+            state.index = 2;
+          } else {
+            state.index = 0;
+          }
+        } else if (state.index === BOUNDARY_LENGTH + state.padding) {
+          state.index++;
+
+          if (curByte === CHARS.CR) {
+            state.setFlags(FLAGS.PART_BOUNDARY);
+          } else if (curByte === CHARS.HYPHEN) {
+            state.setFlags(FLAGS.FINAL_BOUNDARY);
+          } else if (!STRICT && curByte === CHARS.LF) {
+            warn('BARE_LF');
+            this._endPart(curPos);
+            this._beginPart();
+            break;
+          } else if (isPadding(curByte)) {
+            if (state.padding++ === 0) {
+              warn('TRANSPORT_PADDING');
+            }
+          } else {
+            state.index = 0;
+          }
+        } else if (state.index - 1 === BOUNDARY_LENGTH + state.padding) {
+          if (state.isPartBoundary) {
+            state.index = 0;
+            if (curByte === CHARS.LF) {
+              this._endPart(curPos);
+              this._beginPart();
+              break;
+            }
+          } else if (state.isFinalBoundary) {
+            if (curByte === CHARS.HYPHEN) {
+              this._endPart(curPos);
+              state.updateState(STATES.END);
+            } else {
+              state.index = 0;
+            }
+          } else {
+            state.index = 0;
+          }
+        }
+
+        if (state.index > 0) {
+          state.lookbehind[state.index - 1] = curByte;
+        } else if (prevIndex > 0) {
+          this._replayLookbehind(prevIndex);
+          state.resetFlags();
+          state.padding = 0;
+          prevIndex = 0;
+          state.mark('partData', curPos);
+
+        // Reconsider the current character as it could be a boundary start
+          curPos--;
+        }
+
+        break;
+
+      // Everything following the final boundary is part of the epilogue
+      case STATES.END:
+        this._textSize += BUFFER_LENGTH - curPos;
+        this._retain('_epilogue', this.retainEpilogue, chunk.subarray(curPos));
+        curPos = BUFFER_LENGTH;
+        break;
+
+      default:
+        throw this._fail({
+          msg: `Unknown parser state '${state.state}'!`,
+          byte: curByte,
+          state: state
+        });
+    }
+  }
+
+  // Skipping to the end of the chunk leaves the position just past it
+  curPos = Math.min(curPos, BUFFER_LENGTH);
+
+  // The preamble may span several chunks before the first boundary is found
+  if (state.state === STATES.BOUNDARY) {
+    this._textSize += curPos;
+    this._retain('_preamble', this.retainPreamble, curPos < BUFFER_LENGTH
+      ? chunk.subarray(0, curPos)
+      : chunk);
+  }
+
+  emit('headerName', handler.onHeaderName, curPos, true);
+  emit('headerValue', handler.onHeaderValue, curPos, true);
+  if (state.state !== STATES.PART_DATA || state.index === 0) {
+    emit('partData', handler.onPartData, curPos, true);
+  }
+
+  this._offset += curPos;
+  return curPos;
+};
+
+
+/**
+ * Pauses the scanner, so that it stops scanning the chunk being written once
+ * the current callback returns
+ */
+MultipartScanner.prototype.pause = function () {
+  this._paused = true;
+};
+
+
+/**
+ * Resumes the scanner, once paused
+ */
+MultipartScanner.prototype.resume = function () {
+  this._paused = false;
+};
+
+
+/**
+ * Ends the multipart message, once all of it has been scanned
+ *
+ * @throws {MultipartError} If the message ends unexpectedly
+ */
+MultipartScanner.prototype.end = function () {
+  const state = this._state;
+
+  if (state.hasErrored) {
+    return;
+  }
+
+  if (state.state !== MultipartByteParserState.STATES.END &&
+      (this.strict || !this._endWithoutFinalBoundary())) {
+    throw this._fail({
+      msg: 'Unexpected end of multipart message!',
+      state: state
+    });
+  }
+
+  this._emitEpilogue();
+  inception.debug('end of message');
+  this._handler.onEnd();
+};
+
+
+/**
+ * Marks the message as errored, so that the rest of it is ignored, and returns
+ * a ParseError with the specified metadata
+ *
+ * @param {Object} metadata The metadata of the error
+ * @return {MultipartError}
+ */
+MultipartScanner.prototype._fail = function (metadata) {
+  this._state.setErrored();
+  return MultipartError.ParseError(metadata);
+};
+
+
+/**
+ * Hands the data held back in the lookbehind, while matching what turned out
+ * not to be a boundary, to the handler
+ *
+ * The data is copied, as the lookbehind is reused for the next match.
+ *
+ * @param {Number} end The no. of bytes held back
+ */
+MultipartScanner.prototype._replayLookbehind = function (end) {
+  const state = this._state;
+
+  // The <CR> missing before a bare <LF> was never held back
+  const start = state.isBareLF ? 1 : 0;
+  if (start < end) {
+    const data = Buffer.alloc(end - start);
+    state.lookbehind.copy(data, 0, start, end);
+    this._handler.onPartData(data, 0, data.length);
+  }
+};
+
+
+/**
+ * Returns the position of the next possible boundary in the specified chunk
+ *
+ * Complete boundaries are searched for using the Boyer-Moore-Horspool
+ * algorithm, shifting the window by as many bytes as the skip table allows for
+ * its last byte. Most bytes are not in the boundary and shift the window by the
+ * full skip, which is tested for first, so that the search runs ahead without
+ * waiting on the table to compute the shift.
+ *
+ * Failing that, the position of a boundary split across chunks, i.e. of the
+ * longest suffix of the chunk that is a prefix of the boundary, is returned.
+ * The boundary is then matched a byte at a time, as it may turn out not to be a
+ * boundary after all.
+ *
+ * @param {Buffer} chunk The chunk to search
+ * @param {Number} start The position to search from
+ * @return {Number} The position of the boundary, or the length of the chunk
+ */
+MultipartScanner.prototype._findBoundary = function (chunk, start) {
+  const boundary = this._search.boundary;
+  const skipTable = this._search.skipTable;
+  const maxSkip = this._search.maxSkip;
+  const last = boundary.length - 1;
+  const lastByte = boundary[last];
+  const end = chunk.length - last;
+  let pos = start;
+  let byte = 0;
+  let i = 0;
+
+  while (pos < end) {
+    byte = chunk[pos + last];
+    if (byte !== lastByte && skipTable[byte] === maxSkip) {
+      pos += maxSkip;
+      continue;
+    }
+
+    if (byte === lastByte) {
+      for (i = last - 1; i >= 0 && chunk[pos + i] === boundary[i]; i--) {
+        // Compare the rest of the window from right to left
+      }
+
+      if (i < 0) {
+        return (!this.strict && pos > start && chunk[pos - 1] === CHARS.CR)
+          ? pos - 1
+          : pos;
+      }
+    }
+
+    pos += skipTable[byte];
+  }
+
+  pos = Math.max(start, chunk.length - this.boundary.length + 1);
+  for (; pos < chunk.length; pos++) {
+    if (MultipartScanner._isPrefix(chunk, pos, this.boundary) ||
+        (!this.strict && MultipartScanner._isPrefix(chunk, pos, boundary))) {
+      break;
+    }
+  }
+
+  return pos;
+};
+
+
+/**
+ * Emits a warning about a deviation from RFC 2046 tolerated in lenient mode
+ *
+ * @param {String} code The code of the warning
+ * @param {Number} pos The position of the deviation in the current chunk
+ */
+MultipartScanner.prototype._warn = function (code, pos) {
+  const warning = {code: code, msg: WARNINGS[code], offset: this._offset + pos};
+
+  inception.debug('warning:', warning);
+  this._handler.onWarning(warning);
+};
+
+
+/**
+ * Begins a new part once its boundary has been parsed
+ */
+MultipartScanner.prototype._beginPart = function () {
+  const state = this._state;
+
+  state.resetFlags();
+  state.index = 0;
+  state.padding = 0;
+  state.headerSize = 0;
+  this._handler.onPartBegin();
+  state.updateState(MultipartByteParserState.STATES.HEADER_NAME_START);
+};
+
+
+/**
+ * Ends the current part once the boundary following it has been parsed
+ *
+ * @param {Number} pos The position of the end of the boundary in the chunk
+ */
+MultipartScanner.prototype._endPart = function (pos) {
+  if (this._state.isBareLF) {
+    this._warn('BARE_LF', pos);
+  }
+
+  this._state.resetFlags();
+  this._state.padding = 0;
+  this._handler.onPartEnd();
+};
+
+
+/**
+ * Ends the message in lenient mode, if it ends after a part, or the boundary
+ * following it, instead of the final boundary
+ *
+ * @return {Boolean} Whether the message could be ended
+ */
+MultipartScanner.prototype._endWithoutFinalBoundary = function () {
+  const STATES = MultipartByteParserState.STATES;
+  const state = this._state;
+
+  if (state.state === STATES.PART_DATA) {
+    // A partially matched boundary is part of the data after all
+    if (state.index > 0 && state.index < this.boundary.length) {
+      this._replayLookbehind(state.index);
+      state.resetFlags();
+    }
+    this._endPart(0);
+  } else if (state.state !== STATES.HEADER_NAME_START ||
+      state.headerSize !== 0) {
+    return false;
+  }
+
+  this._warn('MISSING_FINAL_BOUNDARY', 0);
+  state.updateState(STATES.END);
+  return true;
+};
+
+
+/**
+ * Buffers the specified piece of the preamble or epilogue, unless it is no
+ * longer retained, in which case what was buffered of it is dropped for good
+ *
+ * @param {String} name The buffer, i.e. `_preamble` or `_epilogue`
+ * @param {Boolean} retain Whether the text is still retained
+ * @param {Uint8Array} piece The piece of the text
+ * @return {Boolean} Whether the piece was buffered
+ */
+MultipartScanner.prototype._retain = function (name, retain, piece) {
+  if (!retain) {
+    this[name] = null;
+  } else if (this[name] !== null) {
+    this[name].push(piece);
+  }
+
+  return this[name] !== null;
+};
+
+
+/**
+ * Hands the preamble, i.e. the text preceding the first boundary, if any, to
+ * the handler
+ *
+ * The preamble excludes the <CR><LF> that precedes the first boundary, as well
+ * as the boundary itself, along with the <CR><LF> or -- that follows it.
+ *
+ * @param {Uint8Array} chunk The chunk containing the first boundary
+ * @param {Number} end The position following the first boundary in the chunk
+ * @param {Number} trailer The no. of bytes following the first boundary
+ */
+MultipartScanner.prototype._emitPreamble = function (chunk, end, trailer) {
+  this._textSize += end;
+  if (!this._retain('_preamble', this.retainPreamble,
+      chunk.subarray(0, end))) {
+    return;
+  }
+
+  const buf = Buffer.concat(this._preamble);
+  let length = buf.length - trailer - (this.boundary.length - 2);
+
+  if (buf[length - 1] === CHARS.LF) {
+    length -= (buf[length - 2] === CHARS.CR) ? 2 : 1;
+  }
+
+  this._preamble = [];
+  if (length > 0) {
+    this._handler.onPreamble(buf, 0, length);
+  }
+};
+
+
+/**
+ * Hands the epilogue, i.e. the text following the final boundary, if any, to
+ * the handler
+ *
+ * The epilogue excludes the <CR><LF> that follows the final boundary.
+ */
+MultipartScanner.prototype._emitEpilogue = function () {
+  if (this._epilogue === null) {
+    return;
+  }
+
+  const buf = Buffer.concat(this._epilogue);
+  let start = 0;
+  if (buf[0] === CHARS.CR && buf[1] === CHARS.LF) {
+    start = 2;
+  } else if (!this.strict && buf[0] === CHARS.LF) {
+    start = 1;
+  }
+
+  this._epilogue = [];
+  if (start < buf.length) {
+    this._handler.onEpilogue(buf, start, buf.length);
+  }
+};
+
+
+/**
+ * Constructs the full multipart message boundary
+ *
+ * @param {String} boundary The boundary as reported in the content-type
+ * @return {Buffer}
+ */
+MultipartScanner._constructBoundary = function (boundary) {
+  let boundaryBuffer = Buffer.alloc(boundary.length + 4);
+  boundaryBuffer.write('\r\n--');
+  boundaryBuffer.write(boundary, 4);
+  return boundaryBuffer;
+};
+
+
+/**
+ * Returns the Boyer-Moore-Horspool skip table for the specified boundary, i.e.
+ * how far the search window may be shifted given its last byte
+ *
+ * Skips are capped to fit in a byte; skipping less than allowed is still safe.
+ *
+ * @param {Buffer} boundary The boundary to search for
+ * @return {Object} The `boundary`, its `skipTable` and the `maxSkip`
+ */
+MultipartScanner._getSkipTable = function (boundary) {
+  const maxSkip = Math.min(boundary.length, 255);
+  const skipTable = new Uint8Array(256).fill(maxSkip);
+
+  for (let i = 0; i < boundary.length - 1; i++) {
+    skipTable[boundary[i]] = Math.min(boundary.length - 1 - i, maxSkip);
+  }
+
+  return {boundary: boundary, skipTable: skipTable, maxSkip: maxSkip};
+};
+
+
+/**
+ * Checks whether the remainder of the chunk, from the specified position, is a
+ * prefix of the boundary
+ *
+ * @param {Buffer} chunk The chunk to check
+ * @param {Number} pos The position in the chunk to check from
+ * @param {Buffer} boundary The boundary
+ * @return {Boolean}
+ */
+MultipartScanner._isPrefix = function (chunk, pos, boundary) {
+  for (let i = 0; pos + i < chunk.length; i++) {
+    if (i === boundary.length || chunk[pos + i] !== boundary[i]) {
+      return false;
+    }
+  }
+
+  return true;
+};
+
+
+/**
+ * Export the class
+ * @type {MultipartScanner}
+ */
+module.exports = MultipartScanner;
@@ -28,8 +28,11 @@ const inception = {
   debug: require('inception.debug')('inception:streams:multipart:streamer'),
   primitives: require('inception.primitives')
 };
+const Headers = require('./headers');
 const Part = require('./part');
 const MultipartError = require('./multipart_error');
+const TransferEncoding = require('./transfer_encoding');
+const Util = require('./util');
 const uuid = require('uuid');
 const _ = require('lodash');
 
@@ -45,6 +48,19 @@ const _ = require('lodash');
 const REDUCER = (reduced, value, key) => `${reduced}${key}: ${value}\r\n`;
 
 
+/**
+ * A reducer used to generate headers for the individual parts, folding header
+ * lines longer than 78 characters
+ *
+ * @param {String} reduced The reduced value accumulated over iterations
+ * @param {String} value The value of the header
+ * @param {String} key The name of the header
+ * @return {String}
+ */
+const FOLDING_REDUCER = (reduced, value, key) =>
+  `${reduced}${Headers.fold(`${key}: ${value}`)}\r\n`;
+
+
 /**
  * Ensures that the specified value is defined
  *
@@ -59,6 +75,15 @@ const IS_DEFINED = (val) => (val !== undefined && val !== null);
  *
  * @param {Object} [opts] Configuration options for the multipart message streamer
  * @param {String} [opts.boundary] The boundary to use for the message
+ * @param {Object} [opts.encoders] Transfer-encoding encoders, keyed by name,
+ *   that take precedence over those registered with TransferEncoding
+ * @param {Boolean} [opts.foldHeaders=false] Whether to fold long header lines
+ * @param {String|Buffer} [opts.preamble] Text to write before the first part
+ * @param {String|Buffer} [opts.epilogue] Text to write after the last part
+ * @param {AbortSignal} [opts.signal] A signal that destroys the streamer when
+ *   aborted
+ * @param {Number} [opts.progressInterval=100] The minimum no. of milliseconds
+ *   between `progress` events
  * @constructor
  */
 function MultipartStreamer(opts) {
@@ -68,16 +93,41 @@ function MultipartStreamer(opts) {
 
   opts = opts || {};
   opts.boundary = opts.boundary || uuid.v4();
+  opts.encoders = opts.encoders || {};
+  opts.foldHeaders = opts.foldHeaders === true;
+  opts.preamble = IS_DEFINED(opts.preamble) ? opts.preamble : null;
+  opts.epilogue = IS_DEFINED(opts.epilogue) ? opts.epilogue : null;
+  opts.progressInterval = IS_DEFINED(opts.progressInterval)
+    ? opts.progressInterval
+    : 100;
   opts.parts = [];
+
+  const signal = Util.takeSignal(opts);
+
   inception.debug('new: ', opts);
   MultipartStreamer.super_.call(this, opts);
+  this._properties.signal = signal;
 
   this._error = false;
   this._ready = false;
+  this._ended = false;
+  this._sources = [];
+  this._bytesEmitted = 0;
+  this._partIndex = -1;
+  this._partBytes = 0;
+  this._lastProgress = 0;
   this._stream = new inception.primitives.stream.PassThrough()
     .on('error', (err) => this._emitError(err))
     .on('readable', () => this._readParts())
-    .on('end', () => this.push(null));
+    .on('end', () => {
+      this._ended = true;
+      Util.emitProgress(this, true);
+      this.push(null);
+    });
+
+  if (IS_DEFINED(signal)) {
+    Util.watchSignal(this, signal);
+  }
 }
 node.util.inherits(MultipartStreamer, inception.primitives.stream.Readable);
 
@@ -108,6 +158,96 @@ Object.defineProperty(MultipartStreamer.prototype, 'boundary', {
 });
 
 
+/**
+ * Transfer-encoding encoders that take precedence over registered ones
+ * @name MultipartStreamer#encoders
+ * @type {Object}
+ */
+Object.defineProperty(MultipartStreamer.prototype, 'encoders', {
+  get: function () {
+    return this._properties.encoders;
+  }
+});
+
+
+/**
+ * Whether or not header lines longer than 78 characters are folded
+ * @name MultipartStreamer#foldHeaders
+ * @type {Boolean}
+ */
+Object.defineProperty(MultipartStreamer.prototype, 'foldHeaders', {
+  get: function () {
+    return this._properties.foldHeaders;
+  }
+});
+
+
+/**
+ * The text written before the first part of the message, if any
+ * @name MultipartStreamer#preamble
+ * @type {String|Buffer}
+ */
+Object.defineProperty(MultipartStreamer.prototype, 'preamble', {
+  get: function () {
+    return this._properties.preamble;
+  }
+});
+
+
+/**
+ * The text written after the last part of the message, if any
+ * @name MultipartStreamer#epilogue
+ * @type {String|Buffer}
+ */
+Object.defineProperty(MultipartStreamer.prototype, 'epilogue', {
+  get: function () {
+    return this._properties.epilogue;
+  }
+});
+
+
+/**
+ * The signal that destroys the streamer when aborted, if any
+ * @name MultipartStreamer#signal
+ * @type {AbortSignal}
+ */
+Object.defineProperty(MultipartStreamer.prototype, 'signal', {
+  get: function () {
+    return this._properties.signal;
+  }
+});
+
+
+/**
+ * The minimum no. of milliseconds between `progress` events
+ * @name MultipartStreamer#progressInterval
+ * @type {Number}
+ */
+Object.defineProperty(MultipartStreamer.prototype, 'progressInterval', {
+  get: function () {
+    return this._properties.progressInterval;
+  }
+});
+
+
+/**
+ * The progress of the streamer, i.e. the no. of bytes of the message emitted,
+ * along with the index and no. of bytes of the body of the part being
+ * streamed, if any
+ * @name MultipartStreamer#progress
+ * @type {Object}
+ */
+Object.defineProperty(MultipartStreamer.prototype, 'progress', {
+  get: function () {
+    return {
+      bytesEmitted: this._bytesEmitted,
+      partIndex: this._partIndex < 0 ? null : this._partIndex,
+      partBytes: this._partBytes
+    };
+  }
+});
+
+
 /**
  * Sets up the parts for streaming
  */
@@ -116,22 +256,29 @@ MultipartStreamer.prototype._setup = function () {
 
   this._ready = true;
 
+  // The <CR><LF> preceding the first boundary is part of the boundary itself
+  if (IS_DEFINED(this.preamble)) {
+    stream.write(this.preamble, 'utf8');
+    stream.write('\r\n', 'binary');
+  }
+
   (function handlePart(index) {
     if (index === this.parts.length) {
-      return stream.end(`--${this.boundary}--\r\n`, 'binary');
+      stream.write(`--${this.boundary}--\r\n`, 'binary');
+      if (IS_DEFINED(this.epilogue)) {
+        stream.write(this.epilogue, 'utf8');
+      }
+
+      return stream.end();
     }
 
     const part = this.parts[index];
 
-    const contentDisposition = ['form-data'];
-    if (IS_DEFINED(part.name)) {
-      contentDisposition.push(`name="${part.name}"`);
-    }
-    if (IS_DEFINED(part.filename)) {
-      contentDisposition.push(`filename="${part.filename}"`);
-    }
-    if (contentDisposition.length > 1) {
-      part.headers['Content-Disposition'] = contentDisposition.join('; ');
+    if (IS_DEFINED(part.name) || IS_DEFINED(part.filename)) {
+      part.headers['Content-Disposition'] = Headers.format('form-data', {
+        name: part.name,
+        filename: part.filename
+      }, { extended: ['filename'] });
     }
 
     if (IS_DEFINED(part.id)) {
@@ -146,16 +293,25 @@ MultipartStreamer.prototype._setup = function () {
       part.headers['Content-Transfer-Encoding'] = part.transferEncoding;
     }
 
-    const serializedHeaders = _.reduce(part.headers, REDUCER, '');
+    const serializedHeaders = _.reduce(part.headers,
+      this.foldHeaders ? FOLDING_REDUCER : REDUCER, '');
     const headers = `--${this.boundary}\r\n${serializedHeaders}\r\n`;
     inception.debug(`streaming part ${index} (${part.type}):\n${headers}`);
-    stream.write(headers, 'binary', (err) => {
+    stream.write(headers, 'utf8', (err) => {
       if (err) {
         return this._emitError(err);
       }
 
-      part
-        .once('error', (err) => this._emitError(err))
+      const source = IS_DEFINED(part.transferEncoding)
+        ? part.pipe(TransferEncoding.createEncodeStream(part.transferEncoding,
+            this.encoders))
+        : part;
+
+      this._partIndex = index;
+      this._partBytes = 0;
+      part.once('error', (err) => this._emitError(err));
+      source
+        .on('data', (chunk) => (this._partBytes += chunk.length))
         .once('end', () => {
           if (!this._error) {
             stream.write('\r\n', 'binary', (err) => {
@@ -178,13 +334,19 @@ MultipartStreamer.prototype._setup = function () {
  * Pushes part data to the readable interface
  */
 MultipartStreamer.prototype._readParts = function () {
+  const bytesEmitted = this._bytesEmitted;
   let chunk;
   while ((chunk = this._stream.read()) !== null) {
     inception.debug(`pushing ${chunk.length} bytes`);
+    this._bytesEmitted += chunk.length;
     if (!this.push(chunk)) {
       break;
     }
   }
+
+  if (this._bytesEmitted > bytesEmitted) {
+    Util.emitProgress(this, false);
+  }
 };
 
 
@@ -198,15 +360,97 @@ MultipartStreamer.prototype._read = function () {
 
 
 /**
- * Emits an error event
+ * Destroys the streamer with the specified error
+ *
+ * Only the first error is emitted, as streaming stops once an error occurs.
  *
  * @param {Error} err The error that occurred
- * @return {Boolean}
+ * @return {Boolean} Whether the error was emitted
  */
 MultipartStreamer.prototype._emitError = function (err) {
-  this._error = true;
+  if (this._error || this.destroyed) {
+    return false;
+  }
+
   inception.debug(`error: ${err.message}`);
-  return this.emit('error', MultipartError.Unexpected(err));
+  this.destroy(MultipartError.Unexpected(err));
+  return true;
+};
+
+
+/**
+ * Overridden destroy function for the Readable stream
+ *
+ * The internal stream, every part and the stream it is read from are
+ * destroyed, which closes any files being read. Errors other than those of
+ * the streamer are wrapped in an Aborted error, which is also the error of
+ * streamers destroyed without one, unless they already failed or ended.
+ *
+ * @param {Error} err The error that caused the streamer to be destroyed
+ * @param {Function} callback Function to call once destroyed
+ */
+MultipartStreamer.prototype._destroy = function (err, callback) {
+  let error = null;
+  if (err instanceof MultipartError) {
+    error = err;
+  } else if (!this._error && !this._ended) {
+    error = MultipartError.Aborted(err || undefined);
+  }
+
+  inception.debug('destroying streamer:', error);
+  this._error = true;
+  this._stream.destroy();
+  _.forEach(this.parts, (part) => part.destroy());
+  _.forEach(this._sources, (source) => {
+    if (_.isFunction(source.destroy)) {
+      source.destroy();
+    }
+  });
+
+  callback(error);
+};
+
+
+/**
+ * Ensures that the headers for a part can be safely serialized
+ *
+ * @param {Object} args The definition for the part
+ * @throws {MultipartError} If a header name or value is invalid
+ */
+MultipartStreamer._validateHeaders = function (args) {
+  const headers = _.extend({}, args.headers);
+  _.forEach({
+    'Content-ID': args.contentId,
+    'Content-Type': args.contentType,
+    'Content-Transfer-Encoding': args.transferEncoding
+  }, (value, name) => {
+    if (IS_DEFINED(value)) {
+      headers[name] = value;
+    }
+  });
+
+  _.forEach(headers, (value, name) => {
+    if (!Headers.isValidName(name) || !Headers.isValidValue(value)) {
+      throw MultipartError.BadHeader({ name: name, value: value });
+    }
+  });
+};
+
+
+/**
+ * Ensures that a stream part can be encoded and its headers serialized
+ *
+ * @param {Object} args The definition for the part
+ * @throws {MultipartError} If the encoding, or a header, is invalid
+ */
+MultipartStreamer.prototype._validateStreamPart = function (args) {
+  if (IS_DEFINED(args.transferEncoding) &&
+      TransferEncoding.createEncoder(args.transferEncoding,
+        this.encoders) === null) {
+    throw MultipartError.UnsupportedEncoding(args.transferEncoding);
+  }
+
+  MultipartStreamer._validateHeaders(args);
 };
 
 
@@ -244,6 +488,7 @@ MultipartStreamer.prototype.addFieldPart = function (args) {
  * @param {String} [args.contentId] The content-id for the part
  * @param {Object} [args.headers] The headers for the part
  * @return {MultipartStreamer}
+ * @throws {MultipartError} If a header name or value is invalid
  */
 MultipartStreamer.prototype.addObjectPart = function (args) {
   if (!IS_DEFINED(args) ||
@@ -252,6 +497,8 @@ MultipartStreamer.prototype.addObjectPart = function (args) {
     throw new TypeError('A valid JSON object is required!');
   }
 
+  MultipartStreamer._validateHeaders(args);
+
   const part = new Part({
     type: Part.TYPES.OBJECT,
     value: args.value,
@@ -280,6 +527,7 @@ MultipartStreamer.prototype.addObjectPart = function (args) {
  * @param {String} [args.contentId] The content-id for the part
  * @param {Object} [args.headers] The headers for the part
  * @return {MultipartStreamer}
+ * @throws {MultipartError} If the encoding, or a header, is invalid
  */
 MultipartStreamer.prototype.addStreamPart = function (args) {
   if (!(IS_DEFINED(args) &&
@@ -288,6 +536,8 @@ MultipartStreamer.prototype.addStreamPart = function (args) {
     throw new TypeError('A stream and corresponding content-type is required!');
   }
 
+  this._validateStreamPart(args);
+
   const part = new Part({
     type: Part.TYPES.STREAM,
     contentType: args.contentType,
@@ -298,9 +548,10 @@ MultipartStreamer.prototype.addStreamPart = function (args) {
     headers: args.headers
   });
   args.value
-    .on('error', (err) => part.emit('error', err))
+    .on('error', (err) => this._emitError(err))
     .pipe(part);
 
+  this._sources.push(args.value);
   this.parts.push(part);
   return this;
 };
@@ -318,6 +569,7 @@ MultipartStreamer.prototype.addStreamPart = function (args) {
  * @param {String} [args.contentId] The content-id for the part
  * @param {Object} [args.headers] The headers for the part
  * @return {MultipartStreamer}
+ * @throws {MultipartError} If the encoding, or a header, is invalid
  */
 MultipartStreamer.prototype.addFilePart = function (args) {
   if (!(IS_DEFINED(args) && IS_DEFINED(args.value))) {
@@ -325,9 +577,12 @@ MultipartStreamer.prototype.addFilePart = function (args) {
   }
 
   args.filename = args.filename || node.path.basename(args.value);
-  args.value = node.fs.createReadStream(args.value);
   args.contentType = args.contentType || 'application/octet-stream';
 
+  // Validate before opening the file, so as not to leak the file descriptor
+  this._validateStreamPart(args);
+  args.value = node.fs.createReadStream(args.value);
+
   return this.addStreamPart(args);
 };
 
@@ -44,10 +44,14 @@ const IS_DEFINED = (val) => (val !== undefined && val !== null);
  * @param {*} [opts.value] The value for the part
  * @param {String} [opts.name] The name of the part, if any
  * @param {String} [opts.filename] The filename of the part, if any
+ * @param {String} [opts.rawFilename] The filename as sent, if sanitized
  * @param {String} [opts.transferEncoding] The encoding for the part
  * @param {String} [opts.contentType] The content-type of the part
+ * @param {String} [opts.detectedType] The type detected from the content
  * @param {String} [opts.contentId] The content-id of the part, if any
  * @param {Object} [opts.headers] The headers for the part
+ * @param {Part} [opts.parent] The enclosing multipart part, if nested
+ * @param {Array} [opts.path] The position of the part within the message
  */
 function Part(opts) {
   opts = opts || {};
@@ -56,7 +60,8 @@ function Part(opts) {
     if (IS_DEFINED(opts.contentType) &&
         opts.contentType.indexOf('/json') >= 0) {
       opts.type = Part.TYPES.OBJECT;
-    } else if (IS_DEFINED(opts.name) && !IS_DEFINED(opts.filename)) {
+    } else if (IS_DEFINED(opts.name) && !IS_DEFINED(opts.filename) &&
+        !IS_DEFINED(opts.rawFilename)) {
       opts.type = Part.TYPES.FIELD;
     } else {
       opts.type = Part.TYPES.STREAM;
@@ -68,12 +73,19 @@ function Part(opts) {
     value: opts.value || null,
     name: opts.name || null,
     filename: opts.filename || null,
+    rawFilename: opts.rawFilename || opts.filename || null,
     transferEncoding: opts.transferEncoding || null,
     contentType: opts.contentType || null,
+    detectedType: opts.detectedType || null,
     contentId: opts.contentId || null,
     headers: opts.headers || {},
+    parent: opts.parent || null,
+    path: opts.path || [],
     allowHalfOpen: true
   });
+
+  this._skipped = false;
+  this._lastRead = 0;
 }
 node.util.inherits(Part, inception.primitives.stream.PassThrough);
 
@@ -85,7 +97,8 @@ node.util.inherits(Part, inception.primitives.stream.PassThrough);
 Part.TYPES = {
   FIELD: 'field',
   OBJECT: 'object',
-  STREAM: 'stream'
+  STREAM: 'stream',
+  MULTIPART: 'multipart'
 };
 
 
@@ -137,6 +150,18 @@ Object.defineProperty(Part.prototype, 'filename', {
 });
 
 
+/**
+ * The filename for the part as sent, before it was sanitized (if available)
+ * @name Part#rawFilename
+ * @type {String}
+ */
+Object.defineProperty(Part.prototype, 'rawFilename', {
+  get: function () {
+    return this._properties.rawFilename;
+  }
+});
+
+
 /**
  * The encoding for the part
  * @name Part#transferEncoding
@@ -161,6 +186,19 @@ Object.defineProperty(Part.prototype, 'contentType', {
 });
 
 
+/**
+ * The MIME type detected from the leading bytes of the part, if its field has
+ * a list of allowed types
+ * @name Part#detectedType
+ * @type {String}
+ */
+Object.defineProperty(Part.prototype, 'detectedType', {
+  get: function () {
+    return this._properties.detectedType;
+  }
+});
+
+
 /**
  * The content-id  for the part
  * @name Part#id
@@ -185,6 +223,87 @@ Object.defineProperty(Part.prototype, 'headers', {
 });
 
 
+/**
+ * The enclosing multipart part, if this part was parsed from a nested message
+ * @name Part#parent
+ * @type {Part}
+ */
+Object.defineProperty(Part.prototype, 'parent', {
+  get: function () {
+    return this._properties.parent;
+  }
+});
+
+
+/**
+ * The indices of the part, and each of its ancestors, within their messages
+ * @name Part#path
+ * @type {Array}
+ */
+Object.defineProperty(Part.prototype, 'path', {
+  get: function () {
+    return this._properties.path;
+  }
+});
+
+
+/**
+ * Whether the remaining data of the part is being discarded
+ * @name Part#skipped
+ * @type {Boolean}
+ */
+Object.defineProperty(Part.prototype, 'skipped', {
+  get: function () {
+    return this._skipped;
+  }
+});
+
+
+/**
+ * Discards the remaining data of the part, without buffering it
+ *
+ * The part is unpiped from its destinations, and any data already buffered is
+ * read out, so that the part ends once the rest of it has been parsed.
+ *
+ * @return {Part}
+ */
+Part.prototype.skip = function () {
+  this._skipped = true;
+  this.unpipe();
+  this.resume();
+  return this;
+};
+
+
+/**
+ * Records when the part was last read from, so that parts read slowly can be
+ * told apart from those not read at all
+ *
+ * Flowing parts, piped ones and iterated ones are read through here as well.
+ *
+ * @param {Number} [size] The no. of bytes to read
+ * @return {Buffer|null}
+ * @override
+ */
+Part.prototype.read = function (size) {
+  this._lastRead = Date.now();
+  return Part.super_.prototype.read.call(this, size);
+};
+
+
+/**
+ * Passes data through, unless the part is being skipped
+ *
+ * @param {Buffer} chunk The chunk of data written to the part
+ * @param {String} encoding The encoding of the chunk
+ * @param {Function} callback Function to execute upon handling the chunk
+ * @override
+ */
+Part.prototype._transform = function (chunk, encoding, callback) {
+  callback(null, this._skipped ? undefined : chunk);
+};
+
+
 /**
  * Export the class
  * @type {Part}
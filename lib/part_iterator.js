@@ -0,0 +1,275 @@
+'use strict';
+/**
+ * @file An async iterator over the parts of a multipart message
+ *
+ * @author Anand Suresh <anandsuresh@gmail.com>
+ * @copyright Copyright (C) 2017 Anand Suresh
+ * @license Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const node = {
+  util: require('util')
+};
+const inception = {
+  debug: require('inception.debug')('inception:streams:multipart:iterator'),
+  primitives: require('inception.primitives')
+};
+const Part = require('./part');
+
+
+/**
+ * An async iterator over the parts parsed by a multipart message parser
+ *
+ * Parts are yielded in the order in which they appear in the message. Stream
+ * parts have to be consumed before the next part is yielded; a stream part
+ * that has not been read from by the time the next part is requested is
+ * skipped, i.e. its contents are discarded.
+ *
+ * The iterator must be created before any data is written to the parser.
+ *
+ * @param {MultipartParser} parser The parser whose parts to iterate over
+ * @constructor
+ */
+function PartIterator(parser) {
+  if (!(this instanceof PartIterator)) {
+    return new PartIterator(parser);
+  }
+
+  PartIterator.super_.call(this, { parser: parser });
+
+  this._entries = [];
+  this._index = 0;
+  this._current = null;
+  this._currentEnded = false;
+  this._waiter = null;
+  this._queue = Promise.resolve();
+  this._error = null;
+  this._ended = false;
+  this._done = false;
+
+  // Parts are recorded as they are encountered, since field and object parts
+  // are only emitted once their values have been buffered
+  const entries = this._entries;
+  const handlePart = parser.handlePart;
+  parser.handlePart = function (part) {
+    entries.push({ part: part, ready: false });
+    return handlePart.call(this, part);
+  };
+
+  parser
+    .on('part', (part) => this._onPart(part))
+    .on('error', (err) => this._onError(err))
+    .once('end', () => this._onEnd());
+}
+node.util.inherits(PartIterator, inception.primitives.Object);
+
+
+/**
+ * The parser whose parts are iterated over
+ * @name PartIterator#parser
+ * @type {MultipartParser}
+ */
+Object.defineProperty(PartIterator.prototype, 'parser', {
+  get: function () {
+    return this._properties.parser;
+  }
+});
+
+
+/**
+ * Handles a part emitted by the parser
+ *
+ * @param {Part} part The part that was emitted
+ */
+PartIterator.prototype._onPart = function (part) {
+  for (let i = this._index; i < this._entries.length; i++) {
+    if (this._entries[i].part === part) {
+      this._entries[i].ready = true;
+      break;
+    }
+  }
+
+  if (this._done) {
+    PartIterator._skip(part);
+    return;
+  }
+
+  this._notify();
+};
+
+
+/**
+ * Handles an error emitted by the parser, or by the current part
+ *
+ * @param {Error} err The error that occurred
+ */
+PartIterator.prototype._onError = function (err) {
+  if (this._error === null) {
+    this._error = err;
+  }
+
+  this._notify();
+};
+
+
+/**
+ * Handles the end of the multipart message
+ */
+PartIterator.prototype._onEnd = function () {
+  this._ended = true;
+  this._notify();
+};
+
+
+/**
+ * Settles the pending call to next(), if it can be settled
+ */
+PartIterator.prototype._notify = function () {
+  const waiter = this._waiter;
+  if (waiter === null) {
+    return;
+  }
+
+  if (this._error !== null) {
+    this._waiter = null;
+    this._done = true;
+    return waiter.reject(this._error);
+  }
+
+  const current = this._current;
+  if (current !== null && current.type === Part.TYPES.STREAM &&
+      !this._currentEnded) {
+    return;
+  }
+
+  const entry = this._entries[this._index];
+  if (entry && entry.ready) {
+    this._index++;
+    this._waiter = null;
+    this._setCurrent(entry.part);
+    return waiter.resolve({ value: entry.part, done: false });
+  }
+
+  if (this._ended) {
+    this._waiter = null;
+    this._done = true;
+    this._setCurrent(null);
+    return waiter.resolve({ value: undefined, done: true });
+  }
+};
+
+
+/**
+ * Tracks the part that was last yielded by the iterator
+ *
+ * @param {Part} part The part that was yielded
+ */
+PartIterator.prototype._setCurrent = function (part) {
+  this._current = part;
+  this._currentEnded = false;
+
+  // Parts that are stored before being emitted have been consumed already
+  if (part !== null && part.type === Part.TYPES.STREAM &&
+      part._readableState.endEmitted) {
+    this._currentEnded = true;
+  } else if (part !== null && part.type === Part.TYPES.STREAM) {
+    inception.debug(`yielding part ${part.path.join('.')}`);
+    part
+      .once('error', (err) => this._onError(err))
+      .once('end', () => {
+        if (this._current === part) {
+          this._currentEnded = true;
+          this._notify();
+        }
+      });
+  }
+};
+
+
+/**
+ * Returns a promise for the next part of the multipart message
+ *
+ * @return {Promise}
+ */
+PartIterator.prototype.next = function () {
+  const next = () => new Promise((resolve, reject) => {
+    if (this._done) {
+      return resolve({ value: undefined, done: true });
+    }
+
+    if (this._current !== null) {
+      PartIterator._skip(this._current);
+    }
+
+    this._waiter = { resolve: resolve, reject: reject };
+    this._notify();
+  });
+
+  this._queue = this._queue.then(next, next);
+  return this._queue;
+};
+
+
+/**
+ * Stops iterating over the parts, discarding the contents of any stream parts
+ * that have not been consumed
+ *
+ * @return {Promise}
+ */
+PartIterator.prototype.return = function () {
+  this._done = true;
+  if (this._current !== null) {
+    PartIterator._skip(this._current);
+  }
+
+  for (let i = this._index; i < this._entries.length; i++) {
+    if (this._entries[i].ready) {
+      PartIterator._skip(this._entries[i].part);
+    }
+  }
+
+  return Promise.resolve({ value: undefined, done: true });
+};
+
+
+/**
+ * Discards the contents of a stream part, unless it is already being consumed
+ *
+ * @param {Part} part The part to skip
+ */
+PartIterator._skip = function (part) {
+  if (part.type === Part.TYPES.STREAM &&
+      part._readableState.flowing === null) {
+    inception.debug(`skipping part ${part.path.join('.')}`);
+    part.resume();
+  }
+};
+
+
+/**
+ * Make the iterator usable with `for await`
+ *
+ * @return {PartIterator}
+ */
+PartIterator.prototype[Symbol.asyncIterator] = function () {
+  return this;
+};
+
+
+/**
+ * Export the class
+ * @type {PartIterator}
+ */
+module.exports = PartIterator;
@@ -0,0 +1,168 @@
+'use strict';
+/**
+ * @file Detects the type of content from its leading bytes
+ *
+ * @author Anand Suresh <anandsuresh@gmail.com>
+ * @copyright Copyright (C) 2017 Anand Suresh
+ * @license Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const _ = require('lodash');
+
+
+/**
+ * The prefix of the MIME types of Office Open XML documents
+ * @type {String}
+ */
+const OOXML = 'application/vnd.openxmlformats-officedocument';
+
+
+/**
+ * Signatures of well-known types of content
+ *
+ * Each signature lists the bytes expected at the specified offset, with null
+ * standing for any byte. Container formats also list the types built on them,
+ * which share their signature, such as office documents stored as ZIP files.
+ *
+ * @type {Array}
+ */
+const SIGNATURES = [
+  {
+    type: 'image/png',
+    bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]
+  },
+  { type: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { type: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38, 0x37, 0x61] },
+  { type: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38, 0x39, 0x61] },
+  { type: 'image/bmp', bytes: [0x42, 0x4d] },
+  { type: 'image/tiff', bytes: [0x49, 0x49, 0x2a, 0x00] },
+  { type: 'image/tiff', bytes: [0x4d, 0x4d, 0x00, 0x2a] },
+  {
+    type: 'image/webp',
+    bytes: [0x52, 0x49, 0x46, 0x46, null, null, null, null,
+      0x57, 0x45, 0x42, 0x50]
+  },
+  { type: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] },
+  {
+    type: 'application/zip',
+    bytes: [0x50, 0x4b, 0x03, 0x04],
+    compatible: [
+      'application/epub+zip',
+      'application/java-archive',
+      'application/vnd.oasis.opendocument.presentation',
+      'application/vnd.oasis.opendocument.spreadsheet',
+      'application/vnd.oasis.opendocument.text',
+      `${OOXML}.presentationml.presentation`,
+      `${OOXML}.spreadsheetml.sheet`,
+      `${OOXML}.wordprocessingml.document`
+    ]
+  },
+  { type: 'application/gzip', bytes: [0x1f, 0x8b, 0x08] },
+  { type: 'application/wasm', bytes: [0x00, 0x61, 0x73, 0x6d] },
+  { type: 'audio/mpeg', bytes: [0x49, 0x44, 0x33] },
+  {
+    type: 'audio/wav',
+    bytes: [0x52, 0x49, 0x46, 0x46, null, null, null, null,
+      0x57, 0x41, 0x56, 0x45]
+  },
+  {
+    type: 'video/mp4',
+    offset: 4,
+    bytes: [0x66, 0x74, 0x79, 0x70],
+    compatible: [
+      'audio/mp4',
+      'audio/x-m4a',
+      'image/avif',
+      'image/heic',
+      'image/heif',
+      'video/3gpp',
+      'video/quicktime'
+    ]
+  }
+];
+
+
+/**
+ * Export the interface
+ * @type {Sniffer}
+ */
+const Sniffer = exports = module.exports;
+
+
+/**
+ * The number of leading bytes needed to detect any of the known types
+ * @type {Number}
+ */
+Sniffer.MAX_LENGTH = _.max(_.map(SIGNATURES,
+  (sig) => (sig.offset || 0) + sig.bytes.length));
+
+
+/**
+ * Returns the type of the specified content, as detected from its leading
+ * bytes
+ *
+ * @param {Buffer} buf The leading bytes of the content
+ * @return {String} The detected MIME type, or null if unknown
+ */
+Sniffer.sniff = function (buf) {
+  const sig = _.find(SIGNATURES, (sig) => Sniffer._matches(buf, sig));
+  return sig ? sig.type : null;
+};
+
+
+/**
+ * Checks whether the specified MIME type is one that can be detected, either
+ * by itself or through the container format it is built on
+ *
+ * @param {String} type The MIME type to check
+ * @return {Boolean}
+ */
+Sniffer.isKnown = function (type) {
+  return _.some(SIGNATURES,
+    (sig) => sig.type === type || _.includes(sig.compatible, type));
+};
+
+
+/**
+ * Checks whether content of the detected type can be of the declared type,
+ * i.e. whether the types are the same, or the declared type is built on the
+ * container format detected
+ *
+ * @param {String} detected The detected MIME type
+ * @param {String} declared The declared MIME type
+ * @return {Boolean}
+ */
+Sniffer.isCompatible = function (detected, declared) {
+  return detected === declared || _.some(SIGNATURES, (sig) =>
+    sig.type === detected && _.includes(sig.compatible, declared));
+};
+
+
+/**
+ * Checks whether the specified content matches the specified signature
+ *
+ * @param {Buffer} buf The leading bytes of the content
+ * @param {Object} sig The signature to match
+ * @return {Boolean}
+ */
+Sniffer._matches = function (buf, sig) {
+  const offset = sig.offset || 0;
+  if (buf.length < offset + sig.bytes.length) {
+    return false;
+  }
+
+  return _.every(sig.bytes,
+    (byte, index) => byte === null || buf[offset + index] === byte);
+};
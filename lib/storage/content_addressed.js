@@ -0,0 +1,172 @@
+'use strict';
+/**
+ * @file A content-addressed storage adapter for parts of multipart messages
+ *
+ * @author Anand Suresh <anandsuresh@gmail.com>
+ * @copyright Copyright (C) 2017 Anand Suresh
+ * @license Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const node = {
+  crypto: require('crypto'),
+  fs: require('fs'),
+  os: require('os'),
+  path: require('path'),
+  stream: require('stream'),
+  util: require('util')
+};
+const inception = {
+  debug: require('inception.debug')('inception:streams:multipart:storage'),
+  primitives: require('inception.primitives')
+};
+const uuid = require('uuid');
+const _ = require('lodash');
+
+
+/**
+ * A storage adapter that writes parts of multipart messages to a directory,
+ * under the digest of their contents
+ *
+ * Parts are written to temporary files first, and renamed once their digests
+ * are known. Parts with identical contents are thus only stored once, which is
+ * also why stored files are never removed by the adapter.
+ *
+ * @param {Object} [opts] Configuration options for the storage
+ * @param {String} [opts.dir=os.tmpdir()] The directory to store files in
+ * @param {String} [opts.algorithm=sha256] The hash algorithm to use
+ * @constructor
+ */
+function ContentAddressedStorage(opts) {
+  if (!(this instanceof ContentAddressedStorage)) {
+    return new ContentAddressedStorage(opts);
+  }
+
+  opts = opts || {};
+
+  inception.debug('new:', opts);
+  ContentAddressedStorage.super_.call(this, {
+    dir: opts.dir || node.os.tmpdir(),
+    algorithm: opts.algorithm || 'sha256'
+  });
+}
+node.util.inherits(ContentAddressedStorage, inception.primitives.Object);
+
+
+/**
+ * The directory files are stored in
+ * @name ContentAddressedStorage#dir
+ * @type {String}
+ */
+Object.defineProperty(ContentAddressedStorage.prototype, 'dir', {
+  enumerable: true,
+  get: function () {
+    return this._properties.dir;
+  }
+});
+
+
+/**
+ * The hash algorithm used to address the contents of files
+ * @name ContentAddressedStorage#algorithm
+ * @type {String}
+ */
+Object.defineProperty(ContentAddressedStorage.prototype, 'algorithm', {
+  enumerable: true,
+  get: function () {
+    return this._properties.algorithm;
+  }
+});
+
+
+/**
+ * Creates a temporary file to write the contents of a part to
+ *
+ * @return {Object} The write target for the part
+ */
+ContentAddressedStorage.prototype.createWriteTarget = function () {
+  const hash = node.crypto.createHash(this.algorithm);
+  const tmpPath = node.path.join(this.dir, `.${uuid.v4()}.tmp`);
+  const dst = node.fs.createWriteStream(tmpPath, { flags: 'wx' });
+  const closed = new Promise((resolve, reject) => {
+    dst.once('error', reject).once('close', resolve);
+  });
+  closed.catch(_.noop);
+
+  // The digest is computed as the contents are written
+  const src = new node.stream.Transform({
+    transform: (chunk, encoding, callback) => {
+      hash.update(chunk);
+      callback(null, chunk);
+    }
+  });
+  src.pipe(dst);
+
+  // The parser only watches the stream it writes to, so that it does not
+  // wait on it forever once the file can no longer be written to
+  dst.once('error', (err) => src.destroy(err));
+
+  return {
+    stream: src,
+    finalize: () => closed.then(() => {
+      const digest = hash.digest('hex');
+      const path = node.path.join(this.dir, digest);
+
+      inception.debug(`storing ${tmpPath} as ${path}`);
+      return ContentAddressedStorage._rename(tmpPath, path).then(() => ({
+        digest: digest,
+        path: path,
+        size: dst.bytesWritten
+      }));
+    }),
+    abort: () => {
+      const remove = () => new Promise((resolve) => {
+        node.fs.unlink(tmpPath, () => resolve());
+      });
+
+      // The file is only removed once closed, as it may not be open just yet
+      src.unpipe(dst);
+      dst.destroy();
+      return closed.then(remove, remove);
+    }
+  };
+};
+
+
+/**
+ * Renames a file; since files are named after their contents, the file is
+ * removed instead if the new name already exists
+ *
+ * @param {String} from The current path of the file
+ * @param {String} to The new path of the file
+ * @return {Promise}
+ */
+ContentAddressedStorage._rename = function (from, to) {
+  return new Promise((resolve, reject) => {
+    node.fs.link(from, to, (err) => {
+      if (err && err.code !== 'EEXIST') {
+        return reject(err);
+      }
+
+      node.fs.unlink(from, () => resolve());
+    });
+  });
+};
+
+
+/**
+ * Export the class
+ * @type {ContentAddressedStorage}
+ */
+module.exports = ContentAddressedStorage;
@@ -0,0 +1,274 @@
+'use strict';
+/**
+ * @file A storage adapter for writing parts of multipart messages to disk
+ *
+ * @author Anand Suresh <anandsuresh@gmail.com>
+ * @copyright Copyright (C) 2017 Anand Suresh
+ * @license Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const node = {
+  fs: require('fs'),
+  os: require('os'),
+  path: require('path'),
+  util: require('util')
+};
+const inception = {
+  debug: require('inception.debug')('inception:streams:multipart:storage'),
+  primitives: require('inception.primitives')
+};
+const Filename = require('../filename');
+const uuid = require('uuid');
+const _ = require('lodash');
+
+
+/**
+ * The maximum number of attempts at finding an unused name for a file
+ * @type {Number}
+ */
+const MAX_ATTEMPTS = 100;
+
+
+/**
+ * A storage adapter that writes parts of multipart messages to a directory
+ *
+ * Files are stored under generated names, unless `preserveFilename` is set, in
+ * which case they are stored under their sanitized original names, suffixed
+ * with a counter if a file with that name already exists. Existing files are
+ * never overwritten.
+ *
+ * @param {Object} [opts] Configuration options for the storage
+ * @param {String} [opts.dir=os.tmpdir()] The directory to store files in
+ * @param {Boolean} [opts.preserveFilename=false] Whether to store files under
+ *   their original names
+ * @param {Object} [opts.filenamePolicy] Overrides for the policy used to
+ *   sanitize original names
+ * @constructor
+ */
+function DiskStorage(opts) {
+  if (!(this instanceof DiskStorage)) {
+    return new DiskStorage(opts);
+  }
+
+  opts = opts || {};
+
+  inception.debug('new:', opts);
+  DiskStorage.super_.call(this, {
+    dir: opts.dir || node.os.tmpdir(),
+    preserveFilename: opts.preserveFilename === true,
+    filenamePolicy: opts.filenamePolicy || {},
+    files: []
+  });
+}
+node.util.inherits(DiskStorage, inception.primitives.Object);
+
+
+/**
+ * The directory files are stored in
+ * @name DiskStorage#dir
+ * @type {String}
+ */
+Object.defineProperty(DiskStorage.prototype, 'dir', {
+  enumerable: true,
+  get: function () {
+    return this._properties.dir;
+  }
+});
+
+
+/**
+ * Whether or not files are stored under their original names
+ * @name DiskStorage#preserveFilename
+ * @type {Boolean}
+ */
+Object.defineProperty(DiskStorage.prototype, 'preserveFilename', {
+  enumerable: true,
+  get: function () {
+    return this._properties.preserveFilename;
+  }
+});
+
+
+/**
+ * Overrides for the policy used to sanitize original names
+ * @name DiskStorage#filenamePolicy
+ * @type {Object}
+ */
+Object.defineProperty(DiskStorage.prototype, 'filenamePolicy', {
+  get: function () {
+    return this._properties.filenamePolicy;
+  }
+});
+
+
+/**
+ * The files written so far, including those still being written; aborted
+ * files are removed from this list
+ * @name DiskStorage#files
+ * @type {Array}
+ */
+Object.defineProperty(DiskStorage.prototype, 'files', {
+  enumerable: true,
+  get: function () {
+    return this._properties.files;
+  }
+});
+
+
+/**
+ * Creates a file to write the contents of a part to
+ *
+ * @param {Object} info The metadata of the part being stored
+ * @param {String} [info.filename] The filename of the part, if any
+ * @return {Promise} Resolves to the write target for the part
+ */
+DiskStorage.prototype.createWriteTarget = function (info) {
+  return this._open(info.filename, 0).then((dst) => {
+    const file = { path: dst.path, size: 0 };
+
+    inception.debug(`storing ${info.filename} in ${file.path}`);
+    this.files.push(file);
+
+    return {
+      stream: dst,
+      finalize: () => {
+        file.size = dst.bytesWritten;
+        return file;
+      },
+      abort: () => {
+        _.pull(this.files, file);
+        return DiskStorage._remove(dst);
+      },
+      remove: () => {
+        _.pull(this.files, file);
+        return DiskStorage._unlink(file.path);
+      }
+    };
+  });
+};
+
+
+/**
+ * Opens a new file for a part with the specified filename
+ *
+ * @param {String} filename The filename of the part, if any
+ * @param {Number} attempt The number of names that were already in use
+ * @return {Promise} Resolves to a writable stream for the file
+ */
+DiskStorage.prototype._open = function (filename, attempt) {
+  if (attempt >= MAX_ATTEMPTS) {
+    return Promise.reject(Error(`Unable to store '${filename}'!`));
+  }
+
+  const name = this.preserveFilename
+    ? DiskStorage._sanitize(filename, attempt, this.filenamePolicy)
+    : uuid.v4();
+  const path = node.path.join(this.dir, name);
+
+  return new Promise((resolve, reject) => {
+    const dst = node.fs.createWriteStream(path, { flags: 'wx' })
+      .once('open', () => {
+        dst.removeListener('error', reject);
+        resolve(dst);
+      })
+      .once('error', reject);
+  }).catch((err) => {
+    if (err.code !== 'EEXIST') {
+      throw err;
+    }
+
+    return this._open(filename, attempt + 1);
+  });
+};
+
+
+/**
+ * Removes all files written so far
+ *
+ * @return {Promise}
+ */
+DiskStorage.prototype.cleanup = function () {
+  const files = this.files.splice(0, this.files.length);
+
+  return Promise.all(_.map(files, (file) => DiskStorage._unlink(file.path)));
+};
+
+
+/**
+ * Stops writing to the specified file, and removes it
+ *
+ * @param {WriteStream} dst The stream writing to the file
+ * @return {Promise}
+ */
+DiskStorage._remove = function (dst) {
+  dst.once('error', _.noop).destroy();
+  return DiskStorage._unlink(dst.path);
+};
+
+
+/**
+ * Removes the specified file, ignoring errors
+ *
+ * @param {String} path The path of the file
+ * @return {Promise}
+ */
+DiskStorage._unlink = function (path) {
+  return new Promise((resolve) => {
+    inception.debug(`removing ${path}`);
+    node.fs.unlink(path, () => resolve());
+  });
+};
+
+
+/**
+ * Returns a name, safe to use in a path, for the specified filename
+ *
+ * Names that are empty once sanitized are replaced with generated ones. A
+ * counter is appended to the name, before its extension, for all but the
+ * first attempt; the name is truncated further to make room for it, so that
+ * it stays within the maximum length of the policy.
+ *
+ * @param {String} filename The original filename
+ * @param {Number} [attempt=0] The number of names that were already in use
+ * @param {Object} [policy] Overrides for the policy used to sanitize the name
+ * @return {String}
+ * @see Filename.sanitize
+ */
+DiskStorage._sanitize = function (filename, attempt, policy) {
+  let name = Filename.sanitize(filename, policy);
+  if (name === null) {
+    name = uuid.v4();
+  }
+
+  if (attempt > 0) {
+    const suffix = `-${attempt}`;
+    const maxLength = _.get(policy, 'maxLength',
+      Filename.DEFAULT_POLICY.maxLength);
+
+    name = Filename._truncate(name, maxLength - suffix.length);
+
+    const ext = node.path.extname(name);
+    name = `${name.substr(0, name.length - ext.length)}${suffix}${ext}`;
+  }
+
+  return name;
+};
+
+
+/**
+ * Export the class
+ * @type {DiskStorage}
+ */
+module.exports = DiskStorage;
@@ -0,0 +1,78 @@
+'use strict';
+/**
+ * @file A storage adapter for buffering parts of multipart messages in memory
+ *
+ * @author Anand Suresh <anandsuresh@gmail.com>
+ * @copyright Copyright (C) 2017 Anand Suresh
+ * @license Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const node = {
+  stream: require('stream'),
+  util: require('util')
+};
+const inception = {
+  primitives: require('inception.primitives')
+};
+
+
+/**
+ * A storage adapter that buffers parts of multipart messages in memory
+ *
+ * Parts are stored as Buffers; the limits of the parser bound the memory used.
+ *
+ * @constructor
+ */
+function MemoryStorage() {
+  if (!(this instanceof MemoryStorage)) {
+    return new MemoryStorage();
+  }
+
+  MemoryStorage.super_.call(this, {});
+}
+node.util.inherits(MemoryStorage, inception.primitives.Object);
+
+
+/**
+ * Creates a buffer to write the contents of a part to
+ *
+ * @return {Object} The write target for the part
+ */
+MemoryStorage.prototype.createWriteTarget = function () {
+  let chunks = [];
+  let size = 0;
+
+  return {
+    stream: new node.stream.Writable({
+      write: (chunk, encoding, callback) => {
+        chunks.push(chunk);
+        size += chunk.length;
+        callback();
+      }
+    }),
+    finalize: () => ({ buffer: Buffer.concat(chunks, size), size: size }),
+    abort: () => {
+      chunks = [];
+      size = 0;
+    }
+  };
+};
+
+
+/**
+ * Export the class
+ * @type {MemoryStorage}
+ */
+module.exports = MemoryStorage;
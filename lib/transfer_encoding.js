@@ -0,0 +1,212 @@
+'use strict';
+/**
+ * @file A registry of content-transfer-encoding codecs
+ *
+ * @author Anand Suresh <anandsuresh@gmail.com>
+ * @copyright Copyright (C) 2017 Anand Suresh
+ * @license Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const node = {
+  stream: require('stream')
+};
+const encodings = {
+  base64: require('./encodings/base64'),
+  identity: require('./encodings/identity'),
+  quotedPrintable: require('./encodings/quoted_printable'),
+  uuencode: require('./encodings/uuencode')
+};
+const _ = require('lodash');
+
+
+/**
+ * Export the interface
+ * @type {TransferEncoding}
+ */
+const TransferEncoding = exports = module.exports;
+
+
+/**
+ * Decoders for the supported transfer-encodings, keyed by lower-case name
+ *
+ * A decoder is created by calling the registered function with the name of
+ * the encoding, and must implement the following methods:
+ *
+ * - `write(chunk)`: Decodes a Buffer, returning the decoded data as a Buffer
+ * - `end()`: Returns any data held back by the decoder, or null
+ *
+ * @type {Object}
+ */
+TransferEncoding.DECODERS = {
+  'binary': encodings.identity.Decoder,
+  '7bit': encodings.identity.Decoder,
+  '8bit': encodings.identity.Decoder,
+  'base64': encodings.base64.Decoder,
+  'quoted-printable': encodings.quotedPrintable.Decoder,
+  'x-uuencode': encodings.uuencode.Decoder,
+  'x-uue': encodings.uuencode.Decoder,
+  'uuencode': encodings.uuencode.Decoder
+};
+
+
+/**
+ * Encoders for the supported transfer-encodings, keyed by lower-case name
+ *
+ * Encoders are created, and implement the same methods, as decoders do.
+ *
+ * @type {Object}
+ */
+TransferEncoding.ENCODERS = {
+  'binary': encodings.identity.Encoder,
+  '7bit': encodings.identity.Encoder,
+  '8bit': encodings.identity.Encoder,
+  'base64': encodings.base64.Encoder,
+  'quoted-printable': encodings.quotedPrintable.Encoder
+};
+
+
+/**
+ * Normalizes the name of a transfer-encoding
+ *
+ * @param {String} encoding The name of the transfer-encoding
+ * @return {String}
+ */
+TransferEncoding._normalize = function (encoding) {
+  return String(encoding).trim().toLowerCase();
+};
+
+
+/**
+ * Registers a codec in the specified registry
+ *
+ * @param {Object} registry The registry of codecs
+ * @param {String} encoding The name of the transfer-encoding
+ * @param {Function} createCodec Function that creates a new codec
+ */
+TransferEncoding._register = function (registry, encoding, createCodec) {
+  if (!_.isString(encoding) || !_.isFunction(createCodec)) {
+    throw new TypeError('An encoding and a function to create codecs is ' +
+      'required!');
+  }
+
+  registry[TransferEncoding._normalize(encoding)] = createCodec;
+};
+
+
+/**
+ * Creates a codec from the specified registries
+ *
+ * @param {Object} registry The registry of codecs
+ * @param {String} encoding The name of the transfer-encoding
+ * @param {Object} [overrides] Codecs that take precedence over the registry
+ * @return {Object|null} The codec, or null if the encoding is not supported
+ */
+TransferEncoding._create = function (registry, encoding, overrides) {
+  const name = TransferEncoding._normalize(encoding);
+
+  if (_.has(overrides, name)) {
+    return overrides[name](name);
+  }
+
+  return _.has(registry, name) ? registry[name](name) : null;
+};
+
+
+/**
+ * Registers a decoder for the specified transfer-encoding, replacing any
+ * previously registered decoder
+ *
+ * @param {String} encoding The name of the transfer-encoding
+ * @param {Function} createDecoder Function that creates a new decoder
+ */
+TransferEncoding.registerDecoder = function (encoding, createDecoder) {
+  TransferEncoding._register(TransferEncoding.DECODERS, encoding,
+    createDecoder);
+};
+
+
+/**
+ * Registers an encoder for the specified transfer-encoding, replacing any
+ * previously registered encoder
+ *
+ * @param {String} encoding The name of the transfer-encoding
+ * @param {Function} createEncoder Function that creates a new encoder
+ */
+TransferEncoding.registerEncoder = function (encoding, createEncoder) {
+  TransferEncoding._register(TransferEncoding.ENCODERS, encoding,
+    createEncoder);
+};
+
+
+/**
+ * Creates a decoder for the specified transfer-encoding
+ *
+ * @param {String} encoding The name of the transfer-encoding
+ * @param {Object} [decoders] Decoders, keyed by lower-case name, that take
+ *   precedence over registered ones
+ * @return {Object|null} The decoder, or null if the encoding is not supported
+ */
+TransferEncoding.createDecoder = function (encoding, decoders) {
+  return TransferEncoding._create(TransferEncoding.DECODERS, encoding,
+    decoders);
+};
+
+
+/**
+ * Creates an encoder for the specified transfer-encoding
+ *
+ * @param {String} encoding The name of the transfer-encoding
+ * @param {Object} [encoders] Encoders, keyed by lower-case name, that take
+ *   precedence over registered ones
+ * @return {Object|null} The encoder, or null if the encoding is not supported
+ */
+TransferEncoding.createEncoder = function (encoding, encoders) {
+  return TransferEncoding._create(TransferEncoding.ENCODERS, encoding,
+    encoders);
+};
+
+
+/**
+ * Creates a Transform stream that encodes data for the specified
+ * transfer-encoding
+ *
+ * @param {String} encoding The name of the transfer-encoding
+ * @param {Object} [encoders] Encoders, keyed by lower-case name, that take
+ *   precedence over registered ones
+ * @return {Transform|null} The stream, or null if the encoding is not supported
+ */
+TransferEncoding.createEncodeStream = function (encoding, encoders) {
+  const encoder = TransferEncoding.createEncoder(encoding, encoders);
+  if (encoder === null) {
+    return null;
+  }
+
+  return new node.stream.Transform({
+    transform: function (chunk, encoding, next) {
+      const encoded = encoder.write(chunk);
+      if (encoded && encoded.length > 0) {
+        this.push(encoded);
+      }
+      next();
+    },
+    flush: function (next) {
+      const encoded = encoder.end();
+      if (encoded && encoded.length > 0) {
+        this.push(encoded);
+      }
+      next();
+    }
+  });
+};
@@ -0,0 +1,88 @@
+'use strict';
+/**
+ * @file Helpers shared by the parser and the streamer
+ *
+ * @author Anand Suresh <anandsuresh@gmail.com>
+ * @copyright Copyright (C) 2017 Anand Suresh
+ * @license Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const MultipartError = require('./multipart_error');
+
+
+/**
+ * Export the interface
+ * @type {Util}
+ */
+const Util = exports = module.exports;
+
+
+/**
+ * Removes the AbortSignal from the options of a stream, and returns it
+ *
+ * Streams destroy themselves with a generic error once their own signal
+ * aborts, so the signal is kept out of the options they are created with, and
+ * watched using `Util.watchSignal()` instead.
+ *
+ * @param {Object} opts The options of the stream
+ * @return {AbortSignal} The signal, or null if none was specified
+ */
+Util.takeSignal = function (opts) {
+  const signal = opts.signal || null;
+
+  delete opts.signal;
+  return signal;
+};
+
+
+/**
+ * Destroys a stream with an Aborted error once the specified signal aborts
+ *
+ * The signal is no longer watched once the stream ends or closes.
+ *
+ * @param {Stream} stream The stream to destroy
+ * @param {AbortSignal} signal The signal
+ */
+Util.watchSignal = function (stream, signal) {
+  const onAbort = () => stream.destroy(MultipartError.Aborted({
+    reason: signal.reason
+  }));
+
+  if (signal.aborted) {
+    return process.nextTick(onAbort);
+  }
+
+  const unwatch = () => signal.removeEventListener('abort', onAbort);
+  signal.addEventListener('abort', onAbort);
+  stream.once('end', unwatch).once('close', unwatch);
+};
+
+
+/**
+ * Emits a `progress` event on a stream with the `progress` of the stream,
+ * unless one was emitted less than its `progressInterval` ago
+ *
+ * @param {Stream} stream The stream to emit the event on
+ * @param {Boolean} [force=false] Whether to emit the event regardless
+ */
+Util.emitProgress = function (stream, force) {
+  const now = Date.now();
+  if (!force && now - stream._lastProgress < stream.progressInterval) {
+    return;
+  }
+
+  stream._lastProgress = now;
+  stream.emit('progress', stream.progress);
+};
@@ -0,0 +1,71 @@
+'use strict';
+/**
+ * @file Unit tests for the character set decoders
+ *
+ * @author Anand Suresh <anandsuresh@gmail.com>
+ * @copyright Copyright (C) 2017 Anand Suresh
+ * @license Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const chai = require('chai');
+const expect = chai.expect;
+const Charset = require('../lib/charset');
+
+
+describe('Charset', function () {
+  describe('.decode', function () {
+    it('should decode the supported character sets', function () {
+      const bytes = Buffer.from([0x63, 0x61, 0x66, 0xe9, 0x20, 0x80]);
+
+      expect(Charset.decode(Buffer.from('café'), 'UTF-8')).to.equal('café');
+      expect(Charset.decode(bytes, 'ISO-8859-1')).to.equal('café \u0080');
+      expect(Charset.decode(bytes, 'windows-1252')).to.equal('café €');
+      expect(Charset.decode(Buffer.from([0x81]), 'cp1252'))
+        .to.equal('\u0081');
+    });
+
+    it('should return null for unsupported character sets', function () {
+      expect(Charset.decode(Buffer.from('a'), 'x-unknown')).to.be.null;
+    });
+
+    it('should use the decoders specified', function () {
+      const decoders = { 'x-upper': (bytes) => bytes.toString().toUpperCase() };
+
+      expect(Charset.decode(Buffer.from('a'), 'X-Upper', decoders))
+        .to.equal('A');
+      expect(Charset.isSupported('x-upper', decoders)).to.be.true;
+      expect(Charset.isSupported('x-upper')).to.be.false;
+    });
+  });
+
+
+  describe('.registerDecoder', function () {
+    afterEach(function () {
+      delete Charset.DECODERS['x-reversed'];
+    });
+
+    it('should register decoders by normalized name', function () {
+      Charset.registerDecoder(' X-Reversed ',
+        (bytes) => bytes.toString().split('').reverse().join(''));
+
+      expect(Charset.decode(Buffer.from('abc'), 'x-reversed')).to.equal('cba');
+    });
+
+    it('should require a name and a function', function () {
+      expect(() => Charset.registerDecoder('x-reversed')).to.throw(TypeError);
+      expect(() => Charset.registerDecoder(null, () => '')).to.throw(TypeError);
+    });
+  });
+});
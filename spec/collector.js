@@ -0,0 +1,314 @@
+'use strict';
+/**
+ * @file Test cases for the Collector
+ *
+ * @author Anand Suresh <anandsuresh@gmail.com>
+ * @copyright Copyright (C) 2017 Anand Suresh
+ * @license Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const node = {
+  fs: require('fs'),
+  os: require('os'),
+  path: require('path'),
+  stream: require('stream')
+};
+const chai = require('chai');
+const expect = chai.expect;
+const Collector = require('../lib/collector');
+const Helpers = require('./helpers');
+const Multipart = require('../index');
+const MultipartError = require('../lib/multipart_error');
+const sinon = require('sinon');
+const _ = require('lodash');
+
+
+describe('Collector', function () {
+  const large = _.repeat('0123456789abcdef', 4096);
+  const message = Helpers.createMessage([{
+    headers: { 'Content-Disposition': 'form-data; name="field"' },
+    body: 'value'
+  }, {
+    headers: { 'Content-Disposition': 'form-data; name="tag"' },
+    body: 'a'
+  }, {
+    headers: { 'Content-Disposition': 'form-data; name="tag"' },
+    body: 'b'
+  }, {
+    headers: {
+      'Content-Disposition': 'form-data; name="object"',
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify([{ foo: 'bar' }])
+  }, {
+    headers: {
+      'Content-Disposition': 'form-data; name="small"; filename="small.txt"',
+      'Content-Type': 'text/plain'
+    },
+    body: 'small file'
+  }, {
+    headers: {
+      'Content-Disposition': 'form-data; name="large"; filename="large.txt"',
+      'Content-Type': 'text/plain'
+    },
+    body: large
+  }], { epilogue: '' });
+
+
+  /**
+   * Creates a request that streams the specified message
+   *
+   * @param {Buffer} [buf=message] The message to stream
+   * @return {PassThrough}
+   */
+  function request(buf) {
+    return Helpers.createRequest(buf || message);
+  }
+
+
+  describe('Multipart.parseAll', function () {
+    let files = [];
+
+    afterEach(function () {
+      _.forEach(files, (file) => file.path && node.fs.unlinkSync(file.path));
+      files = [];
+    });
+
+
+    it('should collect fields by name', function () {
+      return Multipart.parseAll(request()).then((result) => {
+        files = result.files;
+        expect(result.fields).to.deep.equal({
+          field: 'value',
+          tag: ['a', 'b'],
+          object: [{ foo: 'bar' }]
+        });
+      });
+    });
+
+    it('should not let fields replace the prototype', function () {
+      const buf = Helpers.createMessage([{
+        headers: {
+          'Content-Disposition': 'form-data; name="__proto__"',
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ isAdmin: true })
+      }, {
+        headers: { 'Content-Disposition': 'form-data; name="field"' },
+        body: 'value'
+      }]);
+
+      return Multipart.parseAll(request(buf)).then((result) => {
+        expect(Object.getPrototypeOf(result.fields)).to.equal(Object.prototype);
+        expect(result.fields.isAdmin).to.be.undefined;
+        expect(result.fields).to.deep.equal({ field: 'value' });
+      });
+    });
+
+    it('should expand structured field names if asked to', function () {
+      const buf = Helpers.createMessage(_.map([
+        ['user[name]', 'a'],
+        ['user[emails][]', 'a@example.com'],
+        ['__proto__[admin]', 'true']
+      ], (field) => ({
+        headers: { 'Content-Disposition': `form-data; name="${field[0]}"` },
+        body: field[1]
+      })), { epilogue: '' });
+
+      const opts = { expandFields: true };
+      return Multipart.parseAll(request(buf), opts).then((result) => {
+        expect(result.fields).to.deep.equal({
+          user: { name: 'a', emails: ['a@example.com'] }
+        });
+      });
+    });
+
+    it('should buffer small files, and write large ones to disk', function () {
+      const opts = { maxBufferSize: 1024 };
+
+      return Multipart.parseAll(request(), opts).then((result) => {
+        files = result.files;
+        expect(files).to.have.length(2);
+
+        expect(files[0]).to.include({
+          name: 'small',
+          filename: 'small.txt',
+          contentType: 'text/plain',
+          size: 10,
+          path: null
+        });
+        expect(files[0].buffer.toString()).to.equal('small file');
+
+        expect(files[1]).to.include({
+          name: 'large',
+          filename: 'large.txt',
+          size: large.length,
+          buffer: null
+        });
+        expect(node.path.dirname(files[1].path)).to.equal(node.os.tmpdir());
+        expect(node.fs.readFileSync(files[1].path, 'utf8')).to.equal(large);
+      });
+    });
+
+    it('should collect the locators of stored parts', function () {
+      const opts = { storage: new Multipart.MemoryStorage() };
+
+      return Multipart.parseAll(request(), opts).then((result) => {
+        expect(result.files).to.have.length(2);
+        _.forEach(result.files, (file) => {
+          expect(file.buffer).to.be.null;
+          expect(file.size).to.equal(file.locator.size);
+        });
+        expect(result.files[0].locator.buffer.toString())
+          .to.equal('small file');
+      });
+    });
+
+    it('should enforce the limits of the parser', function () {
+      return Multipart.parseAll(request(), { maxPartSize: 1024 })
+        .then(() => {
+          throw Error('Expected an error!');
+        }, (err) => {
+          expect(err).to.be.an.instanceof(MultipartError);
+          expect(err.isPartTooLarge).to.be.true;
+        });
+    });
+
+    it('should remove files written to disk upon errors', function () {
+      const uploadDir = node.fs.mkdtempSync(
+        node.path.join(node.os.tmpdir(), 'multipart-'));
+      const buf = Buffer.concat([
+        message.slice(0, message.indexOf('--boundary--')),
+        message
+      ]);
+
+      return Multipart.parseAll(request(buf), {
+        maxBufferSize: 0,
+        uploadDir: uploadDir
+      }).then(() => {
+        throw Error('Expected an error!');
+      }, (err) => {
+        expect(err).to.be.an.instanceof(MultipartError);
+        expect(node.fs.readdirSync(uploadDir)).to.be.empty;
+        node.fs.rmdirSync(uploadDir);
+      });
+    });
+
+    it('should close files written to disk upon errors', function () {
+      const createWriteStream = node.fs.createWriteStream;
+      const stub = sinon.stub(node.fs, 'createWriteStream', function () {
+        const dst = createWriteStream.apply(node.fs, arguments);
+
+        dst.once('close', () => (dst.isClosed = true));
+        return dst;
+      });
+
+      const signal = Helpers.createSignal();
+      const req = new node.stream.PassThrough();
+      req.headers = {
+        'content-type': 'multipart/form-data; boundary=boundary'
+      };
+
+      const promise = Multipart.parseAll(req, {
+        maxBufferSize: 1024,
+        signal: signal
+      });
+      req.write(message.slice(0, message.indexOf(large) + large.length / 2));
+      setTimeout(() => signal.abort(), 20);
+
+      return promise.then(() => {
+        throw Error('Expected an error!');
+      }, (err) => {
+        expect(err.isAborted).to.be.true;
+        expect(stub.callCount).to.equal(1);
+        expect(stub.returnValues[0].isClosed).to.be.true;
+        expect(node.fs.existsSync(stub.args[0][0])).to.be.false;
+      }).then(() => stub.restore(), (err) => {
+        stub.restore();
+        throw err;
+      });
+    });
+
+    it('should reject once the signal aborts', function () {
+      const signal = Helpers.createSignal();
+      const req = new node.stream.PassThrough();
+      req.headers = {
+        'content-type': 'multipart/form-data; boundary=boundary'
+      };
+
+      const promise = Multipart.parseAll(req, { signal: signal });
+      req.write(message.slice(0, message.indexOf('small file') + 5));
+      setImmediate(() => signal.abort());
+
+      return promise.then(() => {
+        throw Error('Expected an error!');
+      }, (err) => {
+        expect(err).to.be.an.instanceof(MultipartError);
+        expect(err.isAborted).to.be.true;
+      });
+    });
+
+    it('should reject if the boundary is unknown', function () {
+      return Multipart.parseAll(new node.stream.PassThrough())
+        .then(() => {
+          throw Error('Expected an error!');
+        }, (err) => expect(err.isBadContentType).to.be.true);
+    });
+  });
+
+
+  describe('Multipart.parse', function () {
+    it('should return a parser piped from the stream', function (done) {
+      const names = [];
+
+      Multipart.parse(request())
+        .on('error', done)
+        .on('part', (part) => {
+          names.push(part.name);
+          part.resume();
+        })
+        .on('end', () => {
+          expect(names).to.have.members([
+            'field', 'tag', 'tag', 'object', 'small', 'large'
+          ]);
+          done();
+        });
+    });
+  });
+
+
+  describe('._addField', function () {
+    it('should key parts without names by content-ID', function () {
+      const fields = {};
+
+      Collector._addField(fields, {}, { contentId: 'id', value: { a: 1 } });
+      Collector._addField(fields, {}, { value: 'anonymous' });
+      expect(fields).to.deep.equal({ id: { a: 1 }, '': 'anonymous' });
+    });
+
+    it('should drop parts named after prototype keys', function () {
+      const fields = {};
+
+      _.forEach(['__proto__', 'constructor', 'hasOwnProperty'], (name) => {
+        Collector._addField(fields, {}, { name: name, value: { admin: 1 } });
+      });
+      Collector._addField(fields, {}, { name: 'field', value: 'value' });
+      expect(Object.getPrototypeOf(fields)).to.equal(Object.prototype);
+      expect(fields.admin).to.be.undefined;
+      expect(_.has(fields, 'constructor')).to.be.false;
+      expect(fields).to.deep.equal({ field: 'value' });
+    });
+  });
+});
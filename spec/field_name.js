@@ -0,0 +1,118 @@
+'use strict';
+/**
+ * @file Unit tests for the expansion of structured field names
+ *
+ * @author Anand Suresh <anandsuresh@gmail.com>
+ * @copyright Copyright (C) 2017 Anand Suresh
+ * @license Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const chai = require('chai');
+const expect = chai.expect;
+const FieldName = require('../lib/field_name');
+
+
+describe('FieldName', function () {
+  describe('.parse', function () {
+    it('should split bracket and dot notation into keys', function () {
+      expect(FieldName.parse('name')).to.deep.equal(['name']);
+      expect(FieldName.parse('user[emails][]'))
+        .to.deep.equal(['user', 'emails', '']);
+      expect(FieldName.parse('items[0][qty]'))
+        .to.deep.equal(['items', '0', 'qty']);
+      expect(FieldName.parse('user.address[city]'))
+        .to.deep.equal(['user', 'address', 'city']);
+    });
+
+    it('should only split dot notation if allowed', function () {
+      expect(FieldName.parse('a.b[c]', { allowDots: false }))
+        .to.deep.equal(['a.b', 'c']);
+    });
+
+    it('should keep keys beyond the depth as they are', function () {
+      expect(FieldName.parse('a[b][c][d]', { depth: 2 }))
+        .to.deep.equal(['a', 'b', 'c', '[d]']);
+    });
+
+    it('should keep malformed brackets as they are', function () {
+      expect(FieldName.parse('a[b')).to.deep.equal(['a', '[b']);
+      expect(FieldName.parse('[a]')).to.deep.equal(['[a]']);
+    });
+
+    it('should reject names with prototype keys', function () {
+      expect(FieldName.parse('__proto__[admin]')).to.be.null;
+      expect(FieldName.parse('a[constructor][prototype]')).to.be.null;
+      expect(FieldName.parse('a.hasOwnProperty')).to.be.null;
+    });
+  });
+
+
+  describe('.expand', function () {
+    it('should expand names into nested objects and arrays', function () {
+      expect(FieldName.expand([
+        ['user[name]', 'a'],
+        ['user[emails][]', 'a@example.com'],
+        ['user[emails][]', 'b@example.com'],
+        ['items[0][qty]', '1'],
+        ['items[1][qty]', '2'],
+        ['tag', 'x'],
+        ['tag', 'y']
+      ])).to.deep.equal({
+        user: { name: 'a', emails: ['a@example.com', 'b@example.com'] },
+        items: [{ qty: '1' }, { qty: '2' }],
+        tag: ['x', 'y']
+      });
+    });
+
+    it('should compact sparse arrays, preserving order', function () {
+      expect(FieldName.expand([['a[5]', 'c'], ['a[1]', 'b']]))
+        .to.deep.equal({ a: ['b', 'c'] });
+    });
+
+    it('should use large indices as object keys', function () {
+      expect(FieldName.expand([['a[21]', 'b']])).to.deep.equal({
+        a: { 21: 'b' }
+      });
+      expect(FieldName.expand([['a[3]', 'b']], { arrayLimit: 2 }))
+        .to.deep.equal({ a: { 3: 'b' } });
+    });
+
+    it('should turn arrays with other keys into objects', function () {
+      expect(FieldName.expand([['a[0]', 'b'], ['a[c]', 'd']]))
+        .to.deep.equal({ a: { 0: 'b', c: 'd' } });
+    });
+
+    it('should keep plain values alongside nested ones', function () {
+      expect(FieldName.expand([['a', '1'], ['a[b]', '2'], ['a[c]', '3']]))
+        .to.deep.equal({ a: ['1', { b: '2', c: '3' }] });
+    });
+
+    it('should not merge the values of object parts', function () {
+      expect(FieldName.expand([['a', { b: 1 }], ['a', { c: 2 }]]))
+        .to.deep.equal({ a: [{ b: 1 }, { c: 2 }] });
+    });
+
+    it('should ignore fields with prototype keys', function () {
+      const fields = FieldName.expand([
+        ['__proto__[admin]', 'true'],
+        ['user[__proto__][admin]', 'true'],
+        ['user[name]', 'a']
+      ]);
+
+      expect(fields).to.deep.equal({ user: { name: 'a' } });
+      expect({}.admin).to.be.undefined;
+    });
+  });
+});
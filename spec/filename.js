@@ -0,0 +1,119 @@
+'use strict';
+/**
+ * @file Test cases for the Filename module
+ *
+ * @author Anand Suresh <anandsuresh@gmail.com>
+ * @copyright Copyright (C) 2017 Anand Suresh
+ * @license Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const chai = require('chai');
+const expect = chai.expect;
+const Filename = require('../lib/filename');
+const _ = require('lodash');
+
+
+describe('Filename', function () {
+  describe('.sanitize', function () {
+    const sanitize = Filename.sanitize;
+
+    it('should return null for missing or empty filenames', function () {
+      _.forEach([null, undefined, '', '/', '..', '...', ' . ', '\u0000'],
+        (filename) => expect(sanitize(filename)).to.be.null);
+    });
+
+    it('should leave safe filenames as they are', function () {
+      _.forEach(['a.txt', 'report 2017.pdf', '文.pdf', 'a.b.c'],
+        (filename) => expect(sanitize(filename)).to.equal(filename));
+    });
+
+    it('should strip directories', function () {
+      _.forEach({
+        '/etc/passwd': 'passwd',
+        '../../etc/passwd': 'passwd',
+        'C:\\Windows\\system.ini': 'system.ini',
+        'a/b\\c.txt': 'c.txt'
+      }, (expected, filename) => {
+        expect(sanitize(filename)).to.equal(expected);
+      });
+    });
+
+    it('should strip control and reserved characters', function () {
+      _.forEach({
+        'a\u0000b.txt': 'ab.txt',
+        'a\r\nb.txt': 'ab.txt',
+        'a\u0085b.txt': 'ab.txt',
+        'a:b*c?d"e<f>g|h.txt': 'abcdefgh.txt'
+      }, (expected, filename) => {
+        expect(sanitize(filename)).to.equal(expected);
+      });
+    });
+
+    it('should strip bidirectional override characters', function () {
+      expect(sanitize('invoice\u202Efdp.exe')).to.equal('invoicefdp.exe');
+      expect(sanitize('a\u2066b\u2069.txt')).to.equal('ab.txt');
+    });
+
+    it('should strip leading dots, and trailing dots and spaces', function () {
+      expect(sanitize('.htaccess')).to.equal('htaccess');
+      expect(sanitize('..hidden')).to.equal('hidden');
+      expect(sanitize(' a.txt. . ')).to.equal('a.txt');
+    });
+
+    it('should prefix names reserved on Windows', function () {
+      _.forEach({
+        'CON': '_CON',
+        'nul.txt': '_nul.txt',
+        'com1': '_com1',
+        'LPT9.tar.gz': '_LPT9.tar.gz',
+        'console.txt': 'console.txt'
+      }, (expected, filename) => {
+        expect(sanitize(filename)).to.equal(expected);
+      });
+    });
+
+    it('should normalize filenames', function () {
+      expect(sanitize('e\u0301.txt')).to.equal('\u00e9.txt');
+      expect(sanitize('e\u0301.txt', { normalize: false }))
+        .to.equal('e\u0301.txt');
+    });
+
+    it('should truncate long filenames, preserving extensions', function () {
+      const long = sanitize(`${_.repeat('a', 300)}.txt`);
+      expect(long).to.have.length(255);
+      expect(long).to.match(/^a+\.txt$/);
+
+      const multibyte = sanitize(`${_.repeat('文', 100)}.txt`);
+      expect(Buffer.byteLength(multibyte)).to.be.at.most(255);
+      expect(multibyte).to.equal(`${_.repeat('文', 83)}.txt`);
+
+      expect(sanitize('abcdef', { maxLength: 4 })).to.equal('abcd');
+      expect(sanitize('a.verylongextension', { maxLength: 8 }))
+        .to.equal('a.verylo');
+    });
+
+    it('should follow the specified policy', function () {
+      const policy = {
+        replacement: '_',
+        allowLeadingDots: true,
+        allowReservedNames: true
+      };
+
+      expect(sanitize('a:b.txt', policy)).to.equal('a_b.txt');
+      expect(sanitize('.htaccess', policy)).to.equal('.htaccess');
+      expect(sanitize('CON', policy)).to.equal('CON');
+    });
+  });
+});
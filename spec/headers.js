@@ -0,0 +1,209 @@
+'use strict';
+/**
+ * @file Unit tests for the header helpers
+ *
+ * @author Anand Suresh <anandsuresh@gmail.com>
+ * @copyright Copyright (C) 2017 Anand Suresh
+ * @license Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const chai = require('chai');
+const expect = chai.expect;
+const Headers = require('../lib/headers');
+const _ = require('lodash');
+
+
+describe('Headers', function () {
+  describe('.parse', function () {
+    const parse = Headers.parse;
+
+    it('should return no value or parameters for invalid values', function () {
+      _.forEach([null, undefined, 42], (value) => {
+        expect(parse(value)).to.deep.equal({ value: null, params: {} });
+      });
+    });
+
+    it('should return the value preceding the parameters', function () {
+      _.forEach({
+        'form-data': 'form-data',
+        ' form-data ; name=foo': 'form-data',
+        'multipart/mixed;boundary=foo': 'multipart/mixed'
+      }, (expected, value) => {
+        expect(parse(value).value).to.equal(expected);
+      });
+    });
+
+    it('should parse plain parameters', function () {
+      expect(parse('form-data; name=foo; FileName="bar.txt"').params)
+        .to.deep.equal({ name: 'foo', filename: 'bar.txt' });
+    });
+
+    it('should ignore parameters without values', function () {
+      expect(parse('form-data; name=; filename; foo=bar;').params)
+        .to.deep.equal({ foo: 'bar' });
+    });
+
+    it('should unescape quoted values', function () {
+      _.forEach({
+        'form-data; name="a\\"b"': 'a"b',
+        'form-data; name="a\\\\b"': 'a\\b',
+        'form-data; name="a;b"': 'a;b',
+        'form-data; name="C:\\dir\\file"': 'C:\\dir\\file',
+        'form-data; name="a"b"; filename=c': 'a"b'
+      }, (expected, value) => {
+        expect(parse(value).params.name).to.equal(expected);
+      });
+    });
+
+    it('should decode extended parameters', function () {
+      _.forEach({
+        'form-data; filename*=UTF-8\'\'%E6%96%87.pdf': '文.pdf',
+        'form-data; filename*=utf-8\'ja\'%E6%96%87.pdf': '文.pdf',
+        'form-data; filename*=ISO-8859-1\'\'%E9t%E9.txt': 'été.txt',
+        'form-data; filename*=\'\'plain%20name.txt': 'plain name.txt'
+      }, (expected, value) => {
+        expect(parse(value).params.filename).to.equal(expected);
+      });
+    });
+
+    it('should join parameter continuations', function () {
+      const value = 'attachment; ' +
+        'filename*0*=UTF-8\'\'%D0%9F%D1%80%D0%B8; ' +
+        'filename*1*=%D0%B2%D0%B5%D1%82; ' +
+        'filename*2=".txt"';
+
+      expect(parse(value).params.filename).to.equal('Привет.txt');
+      expect(parse('attachment; name*0=foo; name*1=bar').params.name)
+        .to.equal('foobar');
+    });
+
+    it('should prefer extended parameters to plain ones', function () {
+      expect(parse('form-data; filename="a.txt"; filename*=UTF-8\'\'b.txt')
+        .params.filename).to.equal('b.txt');
+      expect(parse('form-data; filename*0*=UTF-8\'\'b.txt; filename="a.txt"')
+        .params.filename).to.equal('b.txt');
+    });
+
+    it('should fall back to plain parameters if malformed', function () {
+      expect(parse('form-data; filename="a.txt"; filename*=b.txt')
+        .params.filename).to.equal('a.txt');
+    });
+
+    it('should not pollute the prototype of the parameters', function () {
+      const params = parse('form-data; __proto__=foo; name=bar').params;
+      expect(Object.getPrototypeOf(params)).to.equal(Object.prototype);
+      expect(params).to.deep.equal({ name: 'bar' });
+    });
+
+    it('should ignore parameters named after prototype keys', function () {
+      const params = parse([
+        'form-data',
+        '__proto__*0=foo',
+        'constructor*=UTF-8\'\'bar',
+        'name=qux'
+      ].join('; ')).params;
+
+      expect(({})[0]).to.be.undefined;
+      expect(Object.prototype).to.not.have.ownProperty('0');
+      expect(params).to.deep.equal({ name: 'qux' });
+    });
+  });
+
+
+  describe('.format', function () {
+    const format = Headers.format;
+
+    it('should quote parameters and skip undefined ones', function () {
+      expect(format('form-data', { name: 'foo', filename: null }))
+        .to.equal('form-data; name="foo"');
+      expect(format('form-data', { name: 42, filename: 'a b.txt' }))
+        .to.equal('form-data; name="42"; filename="a b.txt"');
+    });
+
+    it('should escape quotes, backslashes and control characters', function () {
+      expect(format('form-data', { filename: 'a"b\\c\r\nX-Evil: 1\x00' }))
+        .to.equal('form-data; filename="a\\"b\\\\c%0D%0AX-Evil: 1%00"');
+    });
+
+    it('should encode non-ASCII values of extended parameters', function () {
+      const opts = { extended: ['filename'] };
+
+      expect(format('form-data', { name: 'имя', filename: '文 (1).pdf' }, opts))
+        .to.equal('form-data; name="имя"; filename="_ (1).pdf"; ' +
+          'filename*=UTF-8\'\'%E6%96%87%20%281%29.pdf');
+      expect(format('form-data', { filename: 'plain.pdf' }, opts))
+        .to.equal('form-data; filename="plain.pdf"');
+    });
+
+    it('should format values that parse back to the original', function () {
+      const params = { name: 'a"\\;b', filename: 'Привет "мир".txt' };
+      const formatted = format('form-data', params, { extended: ['filename'] });
+
+      expect(Headers.parse(formatted)).to.deep.equal({
+        value: 'form-data',
+        params: params
+      });
+    });
+  });
+
+
+  describe('.isValidName', function () {
+    it('should only accept RFC 7230 tokens', function () {
+      _.forEach(['X-Custom2', 'x_custom', 'Content-Type', '!#$%&\'*+.^`|~'],
+        (name) => expect(Headers.isValidName(name)).to.be.true);
+      _.forEach([null, '', 'X Custom', 'X-Custom:', 'X\r\nY', 'Näme', 42],
+        (name) => expect(Headers.isValidName(name)).to.be.false);
+    });
+  });
+
+
+  describe('.isValidValue', function () {
+    it('should reject values containing control characters', function () {
+      _.forEach(['', 'text/plain; charset=utf-8', 'a\tb', 'café', 42],
+        (value) => expect(Headers.isValidValue(value)).to.be.true);
+      _.forEach([null, undefined, {}, 'a\r\nb', 'a\nb', 'a\x00b', NaN],
+        (value) => expect(Headers.isValidValue(value)).to.be.false);
+    });
+  });
+
+
+  describe('.fold', function () {
+    it('should not fold short lines', function () {
+      expect(Headers.fold('X-Short: value')).to.equal('X-Short: value');
+    });
+
+    it('should fold long lines at whitespace', function () {
+      const words = _.times(30, (i) => `word${i}`);
+      const line = `X-Long: ${words.join(' ')}`;
+      const folded = Headers.fold(line);
+      const lines = folded.split('\r\n');
+
+      expect(lines).to.have.length.above(1);
+      _.forEach(lines, (line, index) => {
+        expect(line).to.have.length.of.at.most(78);
+        if (index > 0) {
+          expect(line).to.match(/^ \S/);
+        }
+      });
+      expect(folded.replace(/\r\n/g, '')).to.equal(line);
+    });
+
+    it('should leave lines without whitespace as they are', function () {
+      const line = `X-Long: ${_.repeat('a', 100)}`;
+
+      expect(Headers.fold(line)).to.equal(line);
+    });
+  });
+});
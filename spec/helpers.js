@@ -21,8 +21,10 @@
 
 const node = {
   fs: require('fs'),
-  path: require('path')
+  path: require('path'),
+  stream: require('stream')
 };
+const Parser = require('../lib/multipart_parser');
 const _ = require('lodash');
 
 
@@ -48,3 +50,169 @@ Helpers.FIXTURES = (function loadFixtures() {
 
   return fixtures;
 }());
+
+
+/**
+ * Creates a minimal AbortSignal, that is aborted by calling its abort() method
+ *
+ * @return {Object}
+ */
+Helpers.createSignal = function () {
+  const listeners = [];
+
+  return {
+    aborted: false,
+    reason: undefined,
+    addEventListener: (type, listener) => listeners.push(listener),
+    removeEventListener: (type, listener) => _.pull(listeners, listener),
+    abort: function (reason) {
+      this.aborted = true;
+      this.reason = reason;
+      _.forEach(listeners.slice(), (listener) => listener());
+    }
+  };
+};
+
+
+/**
+ * Creates a multipart message with the specified parts
+ *
+ * @param {Array} parts The parts of the message, each with its `headers`, as
+ *   an object, and its `body`, as a String or a Buffer
+ * @param {Object} [opts] Options for the message
+ * @param {String} [opts.boundary=boundary] The boundary of the message
+ * @param {String} [opts.preamble] The preamble of the message, if any
+ * @param {String} [opts.epilogue] The epilogue of the message, if any
+ * @return {Buffer}
+ */
+Helpers.createMessage = function (parts, opts) {
+  opts = opts || {};
+
+  const boundary = opts.boundary || 'boundary';
+  const chunks = [];
+
+  if (_.isString(opts.preamble)) {
+    chunks.push(Buffer.from(`${opts.preamble}\r\n`));
+  }
+  _.forEach(parts, (part) => {
+    const lines = _.map(part.headers, (value, name) => `${name}: ${value}`);
+
+    chunks.push(Buffer.from([`--${boundary}`].concat(lines, '', '')
+      .join('\r\n')));
+    chunks.push(Buffer.isBuffer(part.body)
+      ? part.body
+      : Buffer.from(part.body || ''));
+    chunks.push(Buffer.from('\r\n'));
+  });
+  chunks.push(Buffer.from(`--${boundary}--`));
+  if (_.isString(opts.epilogue)) {
+    chunks.push(Buffer.from(`\r\n${opts.epilogue}`));
+  }
+
+  return Buffer.concat(chunks);
+};
+
+
+/**
+ * Creates a request that streams the specified message, on the next tick, so
+ * that it can be handed to the parser first
+ *
+ * @param {Buffer} message The message to stream
+ * @param {String} [boundary=boundary] The boundary of the message
+ * @return {PassThrough}
+ */
+Helpers.createRequest = function (message, boundary) {
+  const req = new node.stream.PassThrough();
+
+  req.headers = {
+    'content-type': `multipart/form-data; boundary=${boundary || 'boundary'}`
+  };
+  process.nextTick(() => req.end(message));
+  return req;
+};
+
+
+/**
+ * Parses the specified message with a new parser
+ *
+ * The message is piped into the parser from a source stream, on the next
+ * tick, so that listeners can be attached to the parser first. Parts are
+ * collected in `parts`, and the values of fields in `fields`; parts are read
+ * through, unless handled by `onPart`.
+ *
+ * @param {Buffer|Array} message The message, or the chunks to write it in
+ * @param {Object} opts Options for the parser
+ * @param {Object} [harness] How to write the message and handle its parts
+ * @param {Number} [harness.chunkSize] The size of the chunks to write the
+ *   message in, to split it across chunks
+ * @param {Boolean} [harness.end=true] Whether to end the message once written
+ * @param {Function} [harness.onPart] Handles each part, along with the context
+ * @param {Function} [callback] Function to execute with the error, if any, and
+ *   the context, once the parser fails or ends
+ * @return {Object} The context, i.e. the `src`, the `parser`, its `parts` and
+ *   `fields`
+ */
+Helpers.parse = function (message, opts, harness, callback) {
+  if (_.isFunction(harness)) {
+    callback = harness;
+    harness = {};
+  }
+
+  harness = harness || {};
+  callback = _.once(callback || _.noop);
+
+  const ctx = {
+    src: new node.stream.PassThrough(),
+    parser: new Parser(opts),
+    parts: [],
+    fields: {}
+  };
+  const size = harness.chunkSize || message.length;
+  const chunks = _.isArray(message)
+    ? message
+    : _.map(_.range(0, message.length, size),
+      (offset) => message.slice(offset, offset + size));
+
+  ctx.parser
+    .on('error', (err) => callback(err, ctx))
+    .on('part', (part) => {
+      ctx.parts.push(part);
+      if (part.type === 'field' || part.type === 'object') {
+        ctx.fields[part.name] = part.value;
+      }
+
+      if (_.isFunction(harness.onPart)) {
+        return harness.onPart(part, ctx);
+      }
+      part.resume();
+    })
+    .on('end', () => callback(null, ctx));
+
+  ctx.src.pipe(ctx.parser);
+  process.nextTick(() => {
+    _.forEach(chunks, (chunk) => {
+      ctx.src.write(chunk);
+    });
+    if (harness.end !== false) {
+      ctx.src.end();
+    }
+  });
+  return ctx;
+};
+
+
+/**
+ * Reads the contents of the specified part
+ *
+ * @param {Part} part The part to read
+ * @return {Promise} Resolves to the contents of the part
+ */
+Helpers.read = function (part) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    part
+      .on('error', reject)
+      .on('data', (chunk) => chunks.push(chunk))
+      .on('end', () => resolve(Buffer.concat(chunks)));
+  });
+};
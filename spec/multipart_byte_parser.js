@@ -45,7 +45,7 @@ describe('MultipartByteParser', function () {
 
   describe('stream', function () {
     const boundary = MultipartByteParser._constructBoundary('boundary');
-    const message = new Buffer(
+    const message = Buffer.from(
       '--boundary\r\n' +
       'Content-Type: application/json\r\n' +
       '\r\n' +
@@ -109,12 +109,23 @@ describe('MultipartByteParser', function () {
     });
 
     it('should emit `headerEnd` for each header', function (done) {
+      const values = [];
+      let value = '';
+
       parser
         .on('error', done)
-        .on('headerValue', function (buf, start, end) {
-          expect(buf.toString('utf8', start, end)).to.equal('application/json');
+        .on('headerValue', (buf) => (value += buf.toString()))
+        .on('headerEnd', () => {
+          values.push(value);
+          value = '';
         })
-        .on('headerValue', verifyEvents(2, done))
+        .on('headerEnd', verifyEvents(2, () => {
+          expect(values).to.deep.equal([
+            'application/json',
+            'application/json'
+          ]);
+          done();
+        }))
         .end(message);
     });
 
@@ -152,6 +163,109 @@ describe('MultipartByteParser', function () {
         .end(message);
     });
 
+    it('should not emit `preamble` when there is none', function (done) {
+      parser
+        .on('error', done)
+        .on('preamble', () => done(Error('Unexpected preamble!')))
+        .on('end', done)
+        .end(message);
+    });
+
+    it('should emit `preamble` before the first part', function (done) {
+      const preamble = 'This is a multi-part message in MIME format.\r\n';
+      let begun = false;
+
+      parser
+        .on('error', done)
+        .on('partBegin', () => (begun = true))
+        .on('preamble', (buf) => {
+          expect(begun).to.be.false;
+          expect(buf.toString()).to.equal(preamble);
+        })
+        .on('end', done);
+
+      // Split the message within the preamble and the first boundary
+      const buf = Buffer.concat([Buffer.from(`${preamble}\r\n`), message]);
+      parser.write(buf.slice(0, 10));
+      parser.write(buf.slice(10, preamble.length + 5));
+      parser.end(buf.slice(preamble.length + 5));
+    });
+
+    it('should emit `epilogue` before `end`', function (done) {
+      let epilogue = null;
+
+      parser
+        .on('error', done)
+        .on('epilogue', (buf) => (epilogue = buf.toString()))
+        .on('end', () => {
+          expect(epilogue).to.equal('--boundary--trailer');
+          done();
+        });
+
+      parser.write(message);
+      parser.end(Buffer.from('trailer'));
+    });
+
+    it('should emit `error` when headers exceed limits', function (done) {
+      parser = new MultipartByteParser({
+        boundary: boundary,
+        maxHeaderSize: 16
+      });
+
+      parser
+        .on('error', (err) => {
+          expect(err.isHeaderTooLarge).to.be.true;
+          expect(err.metadata.limit).to.equal(16);
+          done();
+        })
+        .end(message);
+    });
+
+    it('should count header sizes for each part', function (done) {
+      parser = new MultipartByteParser({
+        boundary: boundary,
+        maxHeaderSize: 40
+      });
+
+      parser
+        .on('error', done)
+        .on('end', done)
+        .end(message);
+    });
+
+    it('should find boundaries split across chunks', function () {
+      function parse(chunks) {
+        const data = [];
+        const parser = new MultipartByteParser({ boundary: boundary });
+
+        return new Promise((resolve, reject) => {
+          let part = null;
+
+          parser
+            .on('error', reject)
+            .on('partBegin', () => (part = []))
+            .on('partData', (chunk) => part.push(chunk))
+            .on('partEnd', () => data.push(Buffer.concat(part).toString()))
+            .on('end', () => resolve(data));
+
+          chunks.forEach((chunk) => parser.write(chunk));
+          parser.end();
+        });
+      }
+
+      const positions = [];
+      for (let i = 1; i < message.length; i++) {
+        positions.push(i);
+      }
+
+      return Promise.all(positions.map((i) => {
+        return parse([message.slice(0, i), message.slice(i)]);
+      }))
+        .then((results) => results.forEach((data) => {
+          expect(data).to.deep.equal(['{"foo":"bar"}', '{"bar":"baz"}']);
+        }));
+    });
+
     it('should emit `error` when an error is encountered', function (done) {
       parser
         .on('error', (err) => {
@@ -163,6 +277,168 @@ describe('MultipartByteParser', function () {
   });
 
 
+  describe('lenient', function () {
+    const boundary = MultipartByteParser._constructBoundary('boundary');
+
+
+    function parse(message, opts, chunkSize) {
+      const result = { parts: [], warnings: [], preamble: null };
+      const parser = new MultipartByteParser(Object.assign({
+        boundary: boundary,
+        strict: false
+      }, opts));
+      let part = null;
+      let name = null;
+
+      return new Promise((resolve, reject) => {
+        parser
+          .on('error', reject)
+          .on('warning', (warning) => result.warnings.push(warning))
+          .on('preamble', (chunk) => (result.preamble = chunk.toString()))
+          .on('partBegin', () => {
+            part = { headers: {}, data: '' };
+            name = '';
+          })
+          .on('headerName', (chunk) => (name += chunk.toString()))
+          .on('headerValue', (chunk) => {
+            part.headers[name] = (part.headers[name] || '') + chunk;
+          })
+          .on('headerEnd', () => (name = ''))
+          .on('partData', (chunk) => (part.data += chunk.toString()))
+          .on('partEnd', () => result.parts.push(part))
+          .on('end', () => resolve(result));
+
+        message = Buffer.from(message);
+        chunkSize = chunkSize || message.length;
+        for (let i = 0; i < message.length; i += chunkSize) {
+          parser.write(message.slice(i, i + chunkSize));
+        }
+        parser.end();
+      });
+    }
+
+    function codes(result) {
+      return result.warnings.map((warning) => warning.code);
+    }
+
+
+    it('should be strict by default', function (done) {
+      const parser = new MultipartByteParser({ boundary: boundary });
+
+      expect(parser.strict).to.be.true;
+      parser
+        .on('error', (err) => {
+          expect(err.isParseError).to.be.true;
+          done();
+        })
+        .end('--boundary\nfoo: bar\n\nbaz\n--boundary--');
+    });
+
+    it('should tolerate bare <LF> line endings', function () {
+      const message = 'preamble\n--boundary\nfoo: bar\n\nbaz\nqux\n' +
+        '--boundary\nfoo: quux\n\n\n--boundary--\nepilogue';
+
+      return Promise.all([parse(message), parse(message, {}, 1)])
+        .then((results) => results.forEach((result) => {
+          expect(result.preamble).to.equal('preamble');
+          expect(result.parts).to.deep.equal([
+            { headers: { foo: 'bar' }, data: 'baz\nqux' },
+            { headers: { foo: 'quux' }, data: '' }
+          ]);
+          expect(codes(result)).to.deep.equal(new Array(9).fill('BARE_LF'));
+        }));
+    });
+
+    it('should not mistake data for a bare <LF> boundary', function () {
+      const message = '--boundary\r\n\r\na\n--bound\r\n--boundar\n' +
+        '\r\n--boundary--';
+
+      return Promise.all([parse(message), parse(message, {}, 1)])
+        .then((results) => results.forEach((result) => {
+          expect(result.parts).to.deep.equal([
+            { headers: {}, data: 'a\n--bound\r\n--boundar\n' }
+          ]);
+          expect(result.warnings).to.be.empty;
+        }));
+    });
+
+    it('should tolerate transport padding after boundaries', function () {
+      const message = 'preamble\r\n--boundary \t\r\n\r\nfoo' +
+        '\r\n--boundary  \r\n\r\nbar\r\n--boundary  x\r\n--boundary--';
+
+      return Promise.all([parse(message), parse(message, {}, 1)])
+        .then((results) => results.forEach((result) => {
+          expect(result.preamble).to.equal('preamble');
+          expect(result.parts).to.deep.equal([
+            { headers: {}, data: 'foo' },
+            { headers: {}, data: 'bar\r\n--boundary  x' }
+          ]);
+          expect(codes(result)).to.deep.equal([
+            'TRANSPORT_PADDING', 'TRANSPORT_PADDING', 'TRANSPORT_PADDING'
+          ]);
+        }));
+    });
+
+    it('should tolerate a missing final boundary', function () {
+      return Promise.all([
+        parse('--boundary\r\n\r\nfoo\r\n--bou'),
+        parse('--boundary\r\n\r\nfoo\r\n--boundary\r\n'),
+        parse('--boundary\r\n\r\nfoo\r\n--boundary')
+      ])
+        .then((results) => results.forEach((result) => {
+          expect(result.parts[0].data).to.match(/^foo/);
+          expect(codes(result)).to.deep.equal(['MISSING_FINAL_BOUNDARY']);
+        }))
+        .then(() => parse('--boundary\r\n\r\nfoo\r\n--bou'))
+        .then((result) => {
+          expect(result.parts[0].data).to.equal('foo\r\n--bou');
+        });
+    });
+
+    it('should not tolerate a message truncated in the headers', function () {
+      return parse('--boundary\r\nfoo: bar\r\n')
+        .then(() => expect.fail())
+        .catch((err) => expect(err.isParseError).to.be.true);
+    });
+
+    it('should tolerate header names with digits or underscores', function () {
+      const message = '--boundary\r\nX-Custom2: foo\r\nx_y_z: bar\r\n' +
+        'Zz: baz\r\n\r\n\r\n--boundary--';
+
+      return parse(message, {}, 1).then((result) => {
+        expect(result.parts[0].headers).to.deep.equal({
+          'X-Custom2': 'foo',
+          'x_y_z': 'bar',
+          'Zz': 'baz'
+        });
+        expect(codes(result)).to.deep.equal([
+          'BAD_HEADER_NAME', 'BAD_HEADER_NAME'
+        ]);
+      });
+    });
+
+    it('should report the offset of each deviation', function () {
+      return parse('--boundary\r\nX2: foo\r\n\r\n\r\n--boundary--')
+        .then((result) => {
+          expect(result.warnings).to.deep.equal([{
+            code: 'BAD_HEADER_NAME',
+            msg: MultipartByteParser.WARNINGS.BAD_HEADER_NAME,
+            offset: 13
+          }]);
+        });
+    });
+
+    it('should accept header names ending with z when strict', function () {
+      return parse('--boundary\r\nZz: baz\r\n\r\n\r\n--boundary--', {
+        strict: true
+      })
+        .then((result) => {
+          expect(result.parts[0].headers).to.deep.equal({ Zz: 'baz' });
+        });
+    });
+  });
+
+
   describe('._constructBoundary', function () {
     it('should return a buffer with the boundary', function () {
       let boundary = MultipartByteParser._constructBoundary('boundary');
@@ -170,13 +446,4 @@ describe('MultipartByteParser', function () {
       expect(boundary.length).to.equal(12);
     });
   });
-
-
-  describe('._getBoundaryChars', function () {
-    it('should return an object with all boundary characters', function () {
-      let boundaryChars = MultipartByteParser._getBoundaryChars('boundary');
-      expect(boundaryChars).to.be.a('object');
-      expect(boundaryChars).to.contain.all.keys('boundary'.split(''));
-    });
-  });
 });
@@ -24,10 +24,32 @@ const expect = chai.expect;
 const Helpers = require('./helpers');
 const MultipartError = require('../lib/multipart_error');
 const Parser = require('../lib/multipart_parser');
+const sinon = require('sinon');
 const _ = require('lodash');
 
 
 describe('MultipartParser', function () {
+  const NESTED = Helpers.createMessage([
+    {
+      headers: { 'Content-Disposition': 'form-data; name="field"' },
+      body: 'value'
+    },
+    {
+      headers: {
+        'Content-Disposition': 'form-data; name="files"',
+        'Content-Type': 'multipart/mixed; boundary=Inner'
+      },
+      body: Helpers.createMessage(_.map(['a', 'b'], (name) => ({
+        headers: {
+          'Content-Disposition': `file; filename="${name}.txt"`,
+          'Content-Type': 'text/plain'
+        },
+        body: `contents of ${name}`
+      })), { boundary: 'Inner' })
+    }
+  ], { boundary: 'outer', epilogue: '' });
+
+
   describe('new', function () {
     it('should be callable', function () {
       expect(Parser).to.be.a('function');
@@ -181,6 +203,1305 @@ describe('MultipartParser', function () {
   });
 
 
+  describe('nested parsing', function () {
+    it('should emit `end` once every part has been emitted', function (done) {
+      const opts = { boundary: 'outer', nested: true };
+
+      Helpers.parse(NESTED, opts, (err, ctx) => {
+        expect(err).to.be.null;
+        expect(_.map(ctx.parts, 'type')).to.have.members([
+          'field', 'multipart', 'stream', 'stream'
+        ]);
+        done();
+      });
+    });
+
+    it('should not parse nested multipart parts by default', function (done) {
+      Helpers.parse(NESTED, { boundary: 'outer' }, (err, ctx) => {
+        expect(err).to.be.null;
+        expect(ctx.parser.nested).to.be.false;
+        expect(ctx.parts).to.have.lengthOf(2);
+
+        const nested = _.find(ctx.parts, { name: 'files' });
+        expect(nested.type).to.equal('field');
+        expect(nested.value).to.contain('--Inner--');
+        done();
+      });
+    });
+
+    it('should recursively parse nested multipart parts', function (done) {
+      const contents = {};
+      const onPart = (part) => {
+        if (part.type !== 'stream') {
+          return part.resume();
+        }
+
+        contents[part.filename] = Helpers.read(part);
+      };
+      const opts = { boundary: 'outer', nested: true };
+
+      Helpers.parse(NESTED, opts, { onPart: onPart }, (err, ctx) => {
+        if (err) {
+          return done(err);
+        }
+
+        const types = _.map(ctx.parts, 'type');
+        expect(types).to.include.members(['multipart', 'stream', 'field']);
+
+        const container = _.find(ctx.parts, { type: 'multipart' });
+        expect(container.name).to.equal('files');
+        expect(container.path).to.deep.equal([1]);
+        expect(container.parent).to.be.null;
+
+        Promise.all(_.map(['a', 'b'], (name, index) => {
+          const part = _.find(ctx.parts, { filename: `${name}.txt` });
+          expect(part.parent).to.equal(container);
+          expect(part.path).to.deep.equal([1, index]);
+          return contents[part.filename].then((buf) => {
+            expect(buf.toString()).to.equal(`contents of ${name}`);
+          });
+        })).then(() => done(), done);
+      });
+    });
+
+    it('should enforce the part limit across nested messages', function (done) {
+      const opts = { boundary: 'outer', nested: true, maxParts: 4 };
+
+      Helpers.parse(NESTED, opts, (err) => {
+        expect(err).to.be.an.instanceof(MultipartError);
+        expect(err.isTooManyParts).to.be.true;
+        done();
+      });
+    });
+
+    it('should enforce the size limit across nested messages', function (done) {
+      const opts = { boundary: 'outer', nested: true, maxTotalSize: 150 };
+
+      Helpers.parse(NESTED, opts, (err) => {
+        expect(err).to.be.an.instanceof(MultipartError);
+        expect(err.isMessageTooLarge).to.be.true;
+        done();
+      });
+    });
+  });
+
+
+  describe('limits', function () {
+    // Write a byte at a time to split headers across chunks
+    function parse(opts, callback) {
+      Helpers.parse(NESTED, _.extend({ boundary: 'outer' }, opts),
+        { chunkSize: 1 }, (err, ctx) => callback(err, ctx.parser));
+    }
+
+
+    it('should have defaults that do not restrict messages', function () {
+      const parser = new Parser({ boundary: 'outer' });
+
+      expect(parser.maxFields).to.equal(Infinity);
+      expect(parser.maxFiles).to.equal(Infinity);
+      expect(parser.maxFieldSize).to.equal(Infinity);
+      expect(parser.maxFileSize).to.equal(Infinity);
+      expect(parser.maxHeaderPairs).to.equal(Infinity);
+      expect(parser.maxHeaderSize).to.equal(80 * 1024);
+      expect(parser.maxFieldNameLength).to.equal(Infinity);
+    });
+
+    it('should parse headers split across chunks', function (done) {
+      parse({ nested: true }, (err, parser) => {
+        expect(err).to.be.null;
+        expect(parser.parts).to.have.lengthOf(2);
+        expect(parser.parts[0].name).to.equal('field');
+        expect(parser.parts[0].headers).to.deep.equal({
+          'Content-Disposition': 'form-data; name="field"'
+        });
+        done();
+      });
+    });
+
+    it('should emit `error` when fields exceed limits', function (done) {
+      parse({ maxFields: 1, maxFiles: 1 }, (err) => {
+        expect(err).to.be.an.instanceof(MultipartError);
+        expect(err.isTooManyFields).to.be.true;
+        expect(err.metadata.limit).to.equal(1);
+        expect(err.metadata.part.name).to.equal('files');
+        done();
+      });
+    });
+
+    it('should emit `error` when files exceed limits', function (done) {
+      parse({ nested: true, maxFields: 1, maxFiles: 1 }, (err) => {
+        expect(err).to.be.an.instanceof(MultipartError);
+        expect(err.isTooManyFiles).to.be.true;
+        expect(err.metadata.part.filename).to.equal('b.txt');
+        expect(err.metadata.part.path).to.deep.equal([1, 1]);
+        done();
+      });
+    });
+
+    it('should emit `error` when field size exceeds limits', function (done) {
+      parse({ nested: true, maxFieldSize: 4, maxFileSize: 20 }, (err) => {
+        expect(err).to.be.an.instanceof(MultipartError);
+        expect(err.isFieldTooLarge).to.be.true;
+        expect(err.metadata.part.name).to.equal('field');
+        done();
+      });
+    });
+
+    it('should emit `error` when file size exceeds limits', function (done) {
+      parse({ nested: true, maxFieldSize: 5, maxFileSize: 4 }, (err) => {
+        expect(err).to.be.an.instanceof(MultipartError);
+        expect(err.isFileTooLarge).to.be.true;
+        expect(err.metadata.part.filename).to.equal('a.txt');
+        done();
+      });
+    });
+
+    it('should emit `error` when headers exceed limits', function (done) {
+      parse({ nested: true, maxHeaderPairs: 1 }, (err) => {
+        expect(err).to.be.an.instanceof(MultipartError);
+        expect(err.isTooManyHeaders).to.be.true;
+        expect(err.metadata.part.name).to.equal('files');
+        done();
+      });
+    });
+
+    it('should emit `error` when header size exceeds limits', function (done) {
+      parse({ nested: true, maxHeaderSize: 60 }, (err) => {
+        expect(err).to.be.an.instanceof(MultipartError);
+        expect(err.isHeaderTooLarge).to.be.true;
+        expect(err.metadata.limit).to.equal(60);
+        expect(err.metadata.part.name).to.equal('files');
+        done();
+      });
+    });
+
+    it('should emit `error` when field names exceed limits', function (done) {
+      parse({ maxFieldNameLength: 4 }, (err) => {
+        expect(err).to.be.an.instanceof(MultipartError);
+        expect(err.isFieldNameTooLong).to.be.true;
+        expect(err.metadata.part.name).to.equal('field');
+        done();
+      });
+    });
+  });
+
+
+  describe('field types', function () {
+    const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+
+    function message(contentType, contents) {
+      return Helpers.createMessage([{
+        headers: {
+          'Content-Disposition': 'form-data; name="avatar"; filename="a.png"',
+          'Content-Type': contentType
+        },
+        body: contents
+      }], { epilogue: '' });
+    }
+
+    // Write a byte at a time to split the signature across chunks
+    function parse(opts, msg, callback) {
+      const done = _.once(callback);
+      const onPart = (part) => Helpers.read(part)
+        .then((data) => done(null, part, data), done);
+
+      Helpers.parse(msg, _.extend({ boundary: 'boundary' }, opts), {
+        chunkSize: 1,
+        onPart: onPart
+      }, (err) => err && done(err));
+    }
+
+
+    it('should normalize the allowed types', function () {
+      const parser = new Parser({
+        boundary: 'boundary',
+        fieldTypes: {
+          avatar: ['Image/PNG'],
+          doc: { types: ['application/pdf'], maxSize: 10 }
+        }
+      });
+
+      expect(parser.fieldTypes).to.deep.equal({
+        avatar: { types: ['image/png'], maxSize: Infinity },
+        doc: { types: ['application/pdf'], maxSize: 10 }
+      });
+    });
+
+    it('should accept parts matching the allowed types', function (done) {
+      const contents = Buffer.concat([PNG, Buffer.from('rest of the image')]);
+      const opts = { fieldTypes: { avatar: ['image/png', 'image/jpeg'] } };
+
+      parse(opts, message('image/png', contents), (err, part, data) => {
+        expect(err).to.be.null;
+        expect(part.detectedType).to.equal('image/png');
+        expect(data).to.deep.equal(contents);
+        done();
+      });
+    });
+
+    it('should accept documents stored as ZIP files', function (done) {
+      const type = 'application/vnd.openxmlformats-officedocument.' +
+        'wordprocessingml.document';
+      const contents = Buffer.from('PK\u0003\u0004\u0014\u0000\u0006\u0000');
+      const opts = { fieldTypes: { avatar: [type] } };
+
+      parse(opts, message(type, contents), (err, part, data) => {
+        expect(err).to.be.null;
+        expect(part.detectedType).to.equal('application/zip');
+        expect(data).to.deep.equal(contents);
+        done();
+      });
+    });
+
+    it('should accept images stored as ISO media files', function (done) {
+      const contents = Buffer.from('\u0000\u0000\u0000\u0018ftypheic');
+      const opts = { fieldTypes: { avatar: ['image/heic'] } };
+
+      parse(opts, message('image/heic', contents), (err, part, data) => {
+        expect(err).to.be.null;
+        expect(part.detectedType).to.equal('video/mp4');
+        expect(data).to.deep.equal(contents);
+        done();
+      });
+    });
+
+    it('should accept parts shorter than signatures', function (done) {
+      const opts = { fieldTypes: { avatar: ['text/plain'] } };
+
+      const msg = message('text/plain', Buffer.from('hi'));
+
+      parse(opts, msg, (err, part, data) => {
+        expect(err).to.be.null;
+        expect(part.detectedType).to.be.null;
+        expect(data.toString()).to.equal('hi');
+        done();
+      });
+    });
+
+    it('should not sniff parts of other fields', function (done) {
+      const opts = { fieldTypes: { other: ['image/png'] } };
+
+      parse(opts, message('image/jpeg', PNG), (err, part) => {
+        expect(err).to.be.null;
+        expect(part.detectedType).to.be.null;
+        done();
+      });
+    });
+
+    it('should emit `error` for disallowed content-types', function (done) {
+      const opts = { fieldTypes: { avatar: ['image/png'] } };
+
+      parse(opts, message('image/gif', PNG), (err) => {
+        expect(err).to.be.an.instanceof(MultipartError);
+        expect(err.isDisallowedType).to.be.true;
+        expect(err.metadata.type).to.equal('image/gif');
+        expect(err.metadata.allowed).to.deep.equal(['image/png']);
+        done();
+      });
+    });
+
+    it('should emit `error` for mismatched content', function (done) {
+      const opts = { fieldTypes: { avatar: ['image/png', 'image/jpeg'] } };
+
+      parse(opts, message('image/jpeg', PNG), (err) => {
+        expect(err).to.be.an.instanceof(MultipartError);
+        expect(err.isTypeMismatch).to.be.true;
+        expect(err.metadata.type).to.equal('image/jpeg');
+        expect(err.metadata.detected).to.equal('image/png');
+        done();
+      });
+    });
+
+    it('should emit `error` for undetectable content', function (done) {
+      const opts = { fieldTypes: { avatar: ['image/png'] } };
+
+      parse(opts, message('image/png', Buffer.from('<?php')), (err) => {
+        expect(err).to.be.an.instanceof(MultipartError);
+        expect(err.isTypeMismatch).to.be.true;
+        expect(err.metadata.detected).to.be.null;
+        done();
+      });
+    });
+
+    it('should emit `error` for undetectable container content',
+      function (done) {
+        const opts = { fieldTypes: { avatar: ['image/heic'] } };
+
+        const msg = message('image/heic', Buffer.from('not an image'));
+
+        parse(opts, msg, (err) => {
+          expect(err).to.be.an.instanceof(MultipartError);
+          expect(err.isTypeMismatch).to.be.true;
+          expect(err.metadata.detected).to.be.null;
+          done();
+        });
+      });
+
+    it('should emit `error` when parts exceed the size', function (done) {
+      const opts = {
+        fieldTypes: { avatar: { types: ['image/png'], maxSize: 16 } }
+      };
+      const contents = Buffer.concat([PNG, Buffer.from('rest of the image')]);
+
+      parse(opts, message('image/png', contents), (err) => {
+        expect(err).to.be.an.instanceof(MultipartError);
+        expect(err.isFileTooLarge).to.be.true;
+        expect(err.metadata.limit).to.equal(16);
+        done();
+      });
+    });
+  });
+
+
+  describe('charsets', function () {
+    function parse(opts, fields, callback) {
+      const message = Helpers.createMessage(_.map(fields, (field) => ({
+        headers: _.omitBy({
+          'Content-Disposition': `form-data; name="${field.name}"`,
+          'Content-Type': field.contentType
+        }, _.isUndefined),
+        body: Buffer.from(field.value, 'latin1')
+      })), { epilogue: '' });
+
+      Helpers.parse(message, _.extend({ boundary: 'boundary' }, opts),
+        (err, ctx) => callback(err, ctx.fields));
+    }
+
+
+    it('should decode fields as UTF-8 by default', function (done) {
+      const value = Buffer.from('café').toString('latin1');
+
+      parse({}, [{ name: 'a', value: value }], (err, values) => {
+        expect(err).to.be.null;
+        expect(values.a).to.equal('café');
+        done();
+      });
+    });
+
+    it('should use the default charset specified', function (done) {
+      const opts = { defaultCharset: 'windows-1252' };
+
+      const fields = [{ name: 'a', value: 'caf\u00e9 \u0080' }];
+
+      parse(opts, fields, (err, values) => {
+        expect(err).to.be.null;
+        expect(values.a).to.equal('café €');
+        done();
+      });
+    });
+
+    it('should honour the charset of the content-type', function (done) {
+      const fields = [
+        {
+          name: 'a',
+          value: 'caf\u00e9',
+          contentType: 'text/plain; charset=latin1'
+        },
+        {
+          name: 'b',
+          value: '{"a":"caf\u00e9"}',
+          contentType: 'application/json; charset=ISO-8859-1'
+        }
+      ];
+
+      parse({}, fields, (err, values) => {
+        expect(err).to.be.null;
+        expect(values.a).to.equal('café');
+        expect(values.b).to.deep.equal({ a: 'café' });
+        done();
+      });
+    });
+
+    it('should honour the `_charset_` field', function (done) {
+      const fields = [
+        { name: '_charset_', value: 'windows-1252' },
+        { name: 'a', value: '\u0080' },
+        {
+          name: 'b',
+          value: '\u00e2\u0082\u00ac',
+          contentType: 'text/plain; charset=utf-8'
+        }
+      ];
+
+      parse({}, fields, (err, values) => {
+        expect(err).to.be.null;
+        expect(values._charset_).to.equal('windows-1252');
+        expect(values.a).to.equal('€');
+        expect(values.b).to.equal('€');
+        done();
+      });
+    });
+
+    it('should use the charset decoders specified', function (done) {
+      const opts = {
+        defaultCharset: 'x-upper',
+        charsets: { 'x-upper': (bytes) => bytes.toString().toUpperCase() }
+      };
+
+      parse(opts, [{ name: 'a', value: 'abc' }], (err, values) => {
+        expect(err).to.be.null;
+        expect(values.a).to.equal('ABC');
+        done();
+      });
+    });
+
+    it('should emit `error` for unsupported charsets', function (done) {
+      const fields = [
+        {
+          name: 'a',
+          value: 'abc',
+          contentType: 'text/plain; charset=x-unknown'
+        }
+      ];
+
+      parse({}, fields, (err) => {
+        expect(err).to.be.an.instanceof(MultipartError);
+        expect(err.isUnsupportedEncoding).to.be.true;
+        expect(err.metadata.charset).to.equal('x-unknown');
+        done();
+      });
+    });
+  });
+
+
+  describe('lenient parsing', function () {
+    const message = Buffer.from([
+      '--outer',
+      'Content-Disposition: form-data; name="field"',
+      'X-Custom2: yes',
+      '',
+      'value',
+      '--outer  ',
+      'Content-Disposition: form-data; name="files"',
+      'Content-Type: multipart/mixed; boundary=inner',
+      '',
+      '--inner',
+      'Content-Disposition: file; filename="a.txt"',
+      '',
+      'contents of a',
+      '--inner--',
+      '--outer',
+      ''
+    ].join('\n'));
+
+
+    it('should fail on deviations from RFC 2046 by default', function (done) {
+      new Parser({ boundary: 'outer' })
+        .on('error', (err) => {
+          expect(err).to.be.an.instanceof(MultipartError);
+          expect(err.isParseError).to.be.true;
+          done();
+        })
+        .end(message);
+    });
+
+    it('should record a warning for each deviation tolerated', function (done) {
+      const parser = new Parser({
+        boundary: 'outer',
+        nested: true,
+        strict: false
+      });
+      const parts = [];
+      const warnings = [];
+
+      expect(parser.strict).to.be.false;
+      parser
+        .on('error', done)
+        .on('warning', (warning) => warnings.push(warning))
+        .on('part', (part) => {
+          parts.push(part);
+          part.resume();
+        })
+        .on('end', () => {
+          expect(parts.map((part) => part.name || part.filename))
+            .to.have.members(['field', 'files', 'a.txt']);
+          expect(_.find(parts, { name: 'field' }).value).to.equal('value');
+          expect(_.find(parts, { name: 'field' }).headers['X-Custom2'])
+            .to.equal('yes');
+          expect(parser.warnings).to.deep.equal(warnings);
+          expect(_.uniq(_.map(warnings, 'code'))).to.have.members([
+            'BARE_LF',
+            'BAD_HEADER_NAME',
+            'TRANSPORT_PADDING',
+            'MISSING_FINAL_BOUNDARY'
+          ]);
+          done();
+        })
+        .end(message);
+    });
+  });
+
+
+  describe('progress', function () {
+    const message = Helpers.createMessage([
+      {
+        headers: { 'Content-Disposition': 'form-data; name="field"' },
+        body: 'value'
+      },
+      {
+        headers: {
+          'Content-Disposition': 'form-data; name="file"; filename="a.txt"'
+        },
+        body: 'contents of a'
+      }
+    ]);
+
+
+    function parse(opts, chunks, callback) {
+      const events = [];
+      const ctx = Helpers.parse(chunks,
+        _.extend({ boundary: 'boundary' }, opts),
+        (err) => callback(err, events, ctx.parser));
+
+      ctx.parser.on('progress', (progress) => events.push(progress));
+    }
+
+
+    it('should report the bytes received per part', function (done) {
+      const chunks = [
+        message.slice(0, 10),
+        message.slice(10, message.indexOf('contents')),
+        message.slice(message.indexOf('contents'))
+      ];
+
+      parse({ progressInterval: 0 }, chunks, (err, events) => {
+        expect(_.map(events, 'bytesReceived')).to.deep.equal([
+          10,
+          chunks[0].length + chunks[1].length,
+          message.length,
+          message.length
+        ]);
+        expect(_.map(events, 'partIndex')).to.deep.equal([null, 1, 1, 1]);
+        expect(_.map(events, 'partBytes')).to.deep.equal([0, 0, 13, 13]);
+        expect(_.map(events, 'percent')).to.deep.equal(_.fill(Array(4), null));
+        done(err);
+      });
+    });
+
+    it('should report the percentage of the content-length', function (done) {
+      const opts = {
+        contentLength: String(message.length * 2),
+        progressInterval: 0
+      };
+
+      parse(opts, [message], (err, events, parser) => {
+        expect(parser.contentLength).to.equal(message.length * 2);
+        expect(_.last(events)).to.deep.equal({
+          bytesReceived: message.length,
+          bytesExpected: message.length * 2,
+          percent: 50,
+          partIndex: 1,
+          partBytes: 13
+        });
+        done(err);
+      });
+    });
+
+    it('should throttle events by the progress interval', function (done) {
+      const chunks = _.map(message, (byte) => Buffer.from([byte]));
+
+      parse({ progressInterval: 60 * 1000 }, chunks, (err, events) => {
+        expect(_.map(events, 'bytesReceived')).to.deep.equal([
+          1,
+          message.length
+        ]);
+        done(err);
+      });
+    });
+  });
+
+
+  describe('destroy', function () {
+    const head = Buffer.from([
+      '--outer',
+      'Content-Disposition: form-data; name="field"',
+      '',
+      'value',
+      '--outer',
+      'Content-Disposition: form-data; name="files"',
+      'Content-Type: multipart/mixed; boundary=Inner',
+      '',
+      '--Inner',
+      'Content-Disposition: file; filename="a.txt"',
+      'Content-Type: text/plain',
+      '',
+      'partial contents of a'
+    ].join('\r\n'));
+
+
+    // Only the head of the message is written, so that parsing is midway
+    function start(opts, onPart) {
+      const ctx = Helpers.parse(head, _.extend({ boundary: 'outer' }, opts), {
+        end: false,
+        onPart: onPart || _.noop
+      });
+
+      ctx.iterator = ctx.parser.iterate();
+      return ctx;
+    }
+
+
+    it('should destroy the current part with the error', function (done) {
+      const err = new Error('client disconnected');
+      let partErr = null;
+      const ctx = start({ nested: true }, (part) => {
+        if (part.filename === 'a.txt') {
+          part.on('error', (e) => (partErr = e)).resume();
+          setImmediate(() => ctx.parser.destroy(err));
+        }
+      });
+
+      ctx.parser.on('error', (parserErr) => {
+        expect(parserErr).to.equal(err);
+        expect(ctx.parser.destroyed).to.be.true;
+        expect(ctx.src.listenerCount('data')).to.equal(0);
+        setImmediate(() => {
+          expect(partErr).to.equal(err);
+          done();
+        });
+      });
+    });
+
+    it('should destroy the part being read when limits are exceeded',
+      function (done) {
+        const events = [];
+        let file = null;
+        const ctx = start({ nested: true, maxPartSize: 32 }, (part) => {
+          if (part.filename === 'a.txt') {
+            file = part
+              .on('data', () => events.push('data'))
+              .on('end', () => events.push('end'))
+              .on('error', (err) => events.push(err));
+            setImmediate(() => ctx.src.write(Buffer.alloc(64, 'a')));
+          }
+        });
+
+        ctx.parser.on('error', (err) => {
+          expect(err.isPartTooLarge).to.be.true;
+          setImmediate(() => {
+            expect(events).to.include('data');
+            expect(events).to.not.include('end');
+            expect(_.last(events)).to.equal(err);
+            expect(file.destroyed).to.be.true;
+            done();
+          });
+        });
+      });
+
+    it('should fail with an Aborted error by default', function (done) {
+      const ctx = start({});
+
+      ctx.parser
+        .on('error', (err) => {
+          expect(err).to.be.an.instanceof(MultipartError);
+          expect(err.isAborted).to.be.true;
+          done();
+        })
+        .destroy();
+    });
+
+    it('should not fail once the message has been parsed', function (done) {
+      const parser = new Parser({ boundary: 'outer' });
+
+      parser
+        .on('error', done)
+        .on('end', () => {
+          parser.on('close', () => done()).destroy();
+        })
+        .end(Buffer.from('--outer\r\n\r\nvalue\r\n--outer--'));
+    });
+
+    it('should be destroyed when the signal aborts', function (done) {
+      const signal = Helpers.createSignal();
+      const ctx = start({ signal: signal });
+
+      expect(ctx.parser.signal).to.equal(signal);
+      ctx.parser.on('error', (err) => {
+        expect(err.isAborted).to.be.true;
+        expect(err.metadata.reason).to.equal('deadline');
+        done();
+      });
+      setImmediate(() => signal.abort('deadline'));
+    });
+
+    it('should be destroyed if the signal has aborted', function (done) {
+      const signal = Helpers.createSignal();
+      signal.abort();
+
+      new Parser({ boundary: 'outer', signal: signal })
+        .on('error', (err) => {
+          expect(err.isAborted).to.be.true;
+          done();
+        });
+    });
+
+    it('should reject pending iterations', function () {
+      const signal = Helpers.createSignal();
+      const ctx = start({ signal: signal, nested: true });
+
+      return ctx.iterator.next()
+        .then((next) => {
+          expect(next.value.name).to.equal('field');
+          return ctx.iterator.next();
+        })
+        .then((next) => {
+          expect(next.value.name).to.equal('files');
+          next.value.resume();
+          return ctx.iterator.next();
+        })
+        .then((next) => {
+          expect(next.value.filename).to.equal('a.txt');
+          setImmediate(() => signal.abort());
+          return ctx.iterator.next();
+        })
+        .then(() => Promise.reject(Error('Unexpected part!')), (err) => {
+          expect(err.isAborted).to.be.true;
+        });
+    });
+  });
+
+
+  describe('timeouts', function () {
+    const head = Buffer.from([
+      '--outer',
+      'Content-Disposition: form-data; name="file"; filename="a.txt"',
+      '',
+      'contents'
+    ].join('\r\n'));
+
+
+    it('should fail when no bytes arrive within the window', function (done) {
+      const parser = new Parser({ boundary: 'outer', partIdleTimeout: 20 });
+      let partErr = null;
+
+      expect(parser.partIdleTimeout).to.equal(20);
+      parser
+        .on('part', (part) => part.on('error', (e) => (partErr = e)).resume())
+        .on('error', (err) => {
+          expect(err).to.be.an.instanceof(MultipartError);
+          expect(err.isTimeout).to.be.true;
+          expect(err.metadata.timeout).to.equal('partIdle');
+          expect(err.metadata.limit).to.equal(20);
+          expect(err.metadata.part.filename).to.equal('a.txt');
+          expect(parser.destroyed).to.be.true;
+          setImmediate(() => {
+            expect(partErr).to.equal(err);
+            done();
+          });
+        })
+        .write(head);
+    });
+
+    it('should not fail while bytes keep arriving', function (done) {
+      const parser = new Parser({ boundary: 'outer', partIdleTimeout: 30 });
+      const chunks = _.map('more contents', (c) => Buffer.from(c));
+
+      chunks.unshift(head);
+
+      parser
+        .on('error', done)
+        .on('part', (part) => part.resume())
+        .on('end', () => done());
+
+      (function write() {
+        if (chunks.length === 0) {
+          return parser.end(Buffer.from('\r\n--outer--'));
+        }
+
+        parser.write(chunks.shift());
+        setTimeout(write, 10);
+      }());
+    });
+
+    it('should fail when the headers of a part take too long', function (done) {
+      const parser = new Parser({ boundary: 'outer', headersTimeout: 20 });
+
+      parser
+        .on('error', (err) => {
+          expect(err.isTimeout).to.be.true;
+          expect(err.metadata.timeout).to.equal('headers');
+          expect(err.metadata.part.name).to.equal('file');
+          done();
+        })
+        .write(head.slice(0, head.indexOf('\r\n\r\n') + 2));
+    });
+
+    it('should fail when the message takes too long', function (done) {
+      const parser = new Parser({
+        boundary: 'outer',
+        partIdleTimeout: 20,
+        totalTimeout: 50
+      });
+      const timer = setInterval(() => parser.write(Buffer.from('.')), 5);
+
+      parser
+        .on('part', (part) => part.resume())
+        .on('error', (err) => {
+          clearInterval(timer);
+          expect(err.isTimeout).to.be.true;
+          expect(err.metadata.timeout).to.equal('total');
+          done();
+        })
+        .write(head);
+    });
+
+    it('should stop once the message has been received', function (done) {
+      const parser = new Parser({
+        boundary: 'outer',
+        partIdleTimeout: 10,
+        headersTimeout: 10,
+        totalTimeout: 10
+      });
+
+      parser
+        .on('error', done)
+        .on('part', (part) => part.resume())
+        .on('end', () => setTimeout(() => {
+          expect(parser.destroyed).to.be.false;
+          done();
+        }, 30))
+        .end(Buffer.concat([head, Buffer.from('\r\n--outer--')]));
+    });
+  });
+
+
+  describe('unconsumed parts', function () {
+    const message = Helpers.createMessage([
+      {
+        headers: {
+          'Content-Disposition': 'form-data; name="file"; filename="a.bin"'
+        },
+        body: Buffer.alloc(1024 * 1024, 'a')
+      },
+      {
+        headers: { 'Content-Disposition': 'form-data; name="field"' },
+        body: 'value'
+      }
+    ], { boundary: 'outer' });
+
+
+    function start(opts, onPart) {
+      return Helpers.parse(message, _.extend({ boundary: 'outer' }, opts), {
+        chunkSize: 16 * 1024,
+        onPart: (part) => part.type === 'stream' && onPart(part)
+      });
+    }
+
+
+    it('should wait for parts to be read by default', function (done) {
+      let file = null;
+      const ctx = start({}, (part) => {
+        file = part;
+        setTimeout(() => part.resume(), 50);
+      });
+      const started = Date.now();
+
+      expect(ctx.parser.unconsumedPartPolicy).to.equal('wait');
+      ctx.parser
+        .on('error', done)
+        .on('end', () => {
+          expect(Date.now() - started).to.be.at.least(45);
+          expect(file.skipped).to.be.false;
+          expect(ctx.fields).to.deep.equal({ field: 'value' });
+          done();
+        });
+    });
+
+    it('should drain parts not read in time', function (done) {
+      let file = null;
+      const ctx = start({
+        unconsumedPartPolicy: 'drain',
+        unconsumedPartTimeout: 20
+      }, (part) => (file = part));
+
+      ctx.parser
+        .on('error', done)
+        .on('end', () => {
+          expect(file.skipped).to.be.true;
+          expect(ctx.fields).to.deep.equal({ field: 'value' });
+          done();
+        });
+    });
+
+    it('should fail on parts not read in time', function (done) {
+      let file = null;
+      const ctx = start({
+        unconsumedPartPolicy: 'error',
+        unconsumedPartTimeout: 20
+      }, (part) => (file = part));
+
+      ctx.parser.on('error', (err) => {
+        expect(err).to.be.an.instanceof(MultipartError);
+        expect(err.isUnconsumedPart).to.be.true;
+        expect(err.metadata.part).to.equal(file);
+        expect(err.metadata.limit).to.equal(20);
+        expect(file.destroyed).to.be.true;
+        done();
+      });
+    });
+
+    it('should not fail on parts being read slowly', function () {
+      const clock = sinon.useFakeTimers('setTimeout', 'clearTimeout', 'Date');
+      let length = 0;
+      let done = false;
+      let ended = null;
+
+      // Each read comes well within the grace period of the previous one,
+      // while reading the whole part takes many times as long
+      const ctx = start({
+        unconsumedPartPolicy: 'error',
+        unconsumedPartTimeout: 20
+      }, (part) => {
+        const read = () => {
+          if (done) {
+            return;
+          }
+
+          clock.tick(15);
+          const chunk = part.read(4 * 1024);
+          length += chunk ? chunk.length : 0;
+          setImmediate(read);
+        };
+
+        ended = new Promise((resolve) => part.once('end', () => {
+          done = true;
+          resolve();
+        }));
+        read();
+      });
+
+      return new Promise((resolve, reject) => {
+        ctx.parser.once('error', reject).once('end', resolve);
+      })
+        .then(() => ended)
+        .then(() => {
+          const elapsed = clock.now;
+
+          clock.restore();
+          expect(length).to.equal(1024 * 1024);
+          expect(elapsed).to.be.above(10 * 20);
+          expect(ctx.fields).to.deep.equal({ field: 'value' });
+        }, (err) => {
+          done = true;
+          clock.restore();
+          throw err;
+        });
+    });
+
+    it('should discard the rest of skipped parts', function (done) {
+      let length = 0;
+      const ctx = start({}, (part) => {
+        part.once('data', (chunk) => {
+          length += chunk.length;
+          part.skip();
+        });
+        part.on('data', (chunk) => (length += chunk.length));
+      });
+
+      ctx.parser
+        .on('error', done)
+        .on('end', () => {
+          expect(length).to.be.below(message.length / 2);
+          expect(ctx.fields).to.deep.equal({ field: 'value' });
+          done();
+        });
+    });
+
+    it('should throw an error for unknown policies', function () {
+      expect(() => new Parser({ unconsumedPartPolicy: 'ignore' }))
+        .to.throw(TypeError);
+    });
+  });
+
+
+  describe('headers handler', function () {
+    const message = Buffer.from([
+      '--outer',
+      'Content-Disposition: form-data; name="field"',
+      '',
+      'value',
+      '--outer',
+      'Content-Disposition: form-data; name="unwanted"; filename="b.bin"',
+      'Content-Transfer-Encoding: x-count',
+      '',
+      'contents of b',
+      '--outer',
+      'Content-Disposition: form-data; name="file"; filename="a.txt"',
+      'Content-Transfer-Encoding: x-count',
+      '',
+      'contents of a',
+      '--outer--'
+    ].join('\r\n'));
+
+
+    function parse(headersHandler, callback) {
+      const decoders = {
+        'x-count': () => ({
+          write: (chunk) => {
+            ctx.decoded += chunk.length;
+            return chunk;
+          },
+          end: () => null
+        })
+      };
+      const ctx = Helpers.parse(message, {
+        boundary: 'outer',
+        decoders: decoders,
+        headersHandler: headersHandler && ((part) => headersHandler(part, ctx))
+      }, (err) => callback(err, ctx));
+
+      ctx.decoded = 0;
+      ctx.headers = [];
+      ctx.parser
+        .on('headers', (part) => ctx.headers.push(part.name))
+        .on('part', (part) => expect(ctx.headers).to.include(part.name));
+    }
+
+
+    it('should emit `headers` for each part before its body', function (done) {
+      parse(null, (err, ctx) => {
+        expect(ctx.headers).to.deep.equal(['field', 'unwanted', 'file']);
+        expect(_.map(ctx.parts, 'name'))
+          .to.have.members(['field', 'unwanted', 'file']);
+        done(err);
+      });
+    });
+
+    it('should skip parts without decoding them', function (done) {
+      const handler = (part) => (part.name === 'unwanted' ? 'skip' : 'accept');
+
+      parse(handler, (err, ctx) => {
+        expect(_.map(ctx.parts, 'name')).to.have.members(['field', 'file']);
+        expect(ctx.decoded).to.equal('contents of a'.length);
+        done(err);
+      });
+    });
+
+    it('should wait for decisions made asynchronously', function (done) {
+      const decisions = [];
+      const handler = (part, ctx) => new Promise((resolve) => {
+        const decoded = ctx.decoded;
+
+        setTimeout(() => {
+          expect(ctx.decoded).to.equal(decoded);
+          decisions.push(part.name);
+          resolve(part.name === 'unwanted' ? 'skip' : undefined);
+        }, 5);
+      });
+
+      parse(handler, (err, ctx) => {
+        expect(decisions).to.deep.equal(['field', 'unwanted', 'file']);
+        expect(_.map(ctx.parts, 'name')).to.have.members(['field', 'file']);
+        expect(ctx.decoded).to.equal('contents of a'.length);
+        done(err);
+      });
+    });
+
+    it('should reject parts with a RejectedPart error', function (done) {
+      const handler = (part) => (part.name === 'unwanted' ? 'reject' : null);
+
+      parse(handler, (err, ctx) => {
+        expect(err).to.be.an.instanceof(MultipartError);
+        expect(err.isRejectedPart).to.be.true;
+        expect(err.metadata.part.name).to.equal('unwanted');
+        expect(ctx.parser.destroyed).to.be.true;
+        done();
+      });
+    });
+
+    it('should fail with an UnknownDecision error otherwise', function (done) {
+      const handler = (part) => (part.name === 'unwanted' ? 'defer' : null);
+
+      parse(handler, (err, ctx) => {
+        expect(err).to.be.an.instanceof(MultipartError);
+        expect(err.isUnknownDecision).to.be.true;
+        expect(err.metadata.part.name).to.equal('unwanted');
+        expect(err.metadata.decision).to.equal('defer');
+        expect(ctx.parser.destroyed).to.be.true;
+        done();
+      });
+    });
+
+    it('should reject parts with the error specified', function (done) {
+      const reason = new Error('unexpected file');
+      const handler = (part) => (part.filename
+        ? Promise.reject(reason)
+        : Promise.resolve('accept'));
+
+      parse(handler, (err, ctx) => {
+        expect(err).to.equal(reason);
+        expect(_.map(ctx.parts, 'name')).to.deep.equal(['field']);
+        expect(ctx.decoded).to.equal(0);
+        done();
+      });
+    });
+  });
+
+
+  describe('transfer-encodings', function () {
+    /**
+     * Parses a single-part message with the specified body and encoding
+     *
+     * @param {String} encoding The content-transfer-encoding of the part
+     * @param {String} body The encoded body of the part
+     * @param {Object} [opts] Additional options for the parser
+     * @return {MultipartParser}
+     */
+    function parse(encoding, body, opts) {
+      const message = Helpers.createMessage([{
+        headers: {
+          'Content-Disposition': 'form-data; name="field"',
+          'Content-Transfer-Encoding': encoding
+        },
+        body: body
+      }]);
+
+      return Helpers.parse(message, _.extend({ boundary: 'boundary' }, opts))
+        .parser;
+    }
+
+
+    it('should decode quoted-printable parts', function (done) {
+      parse('quoted-printable', 'caf=C3=A9=\r\n au lait')
+        .on('error', done)
+        .on('part', (part) => {
+          expect(part.value).to.equal('café au lait');
+          done();
+        });
+    });
+
+    it('should decode line-wrapped base64 parts', function (done) {
+      parse('base64', 'SGVsbG8s\r\nIHdvcmxk\r\nIQ==')
+        .on('error', done)
+        .on('part', (part) => {
+          expect(part.value).to.equal('Hello, world!');
+          done();
+        });
+    });
+
+    it('should use the decoders specified in the options', function (done) {
+      const decoders = {
+        'x-reverse': () => ({
+          write: (chunk) => Buffer.from(chunk.toString().split('').reverse()
+            .join('')),
+          end: () => null
+        })
+      };
+
+      parse('X-Reverse', 'olleh', { decoders: decoders })
+        .on('error', done)
+        .on('part', (part) => {
+          expect(part.value).to.equal('hello');
+          done();
+        });
+    });
+
+    it('should emit `error` for unsupported encodings', function (done) {
+      parse('x-unknown', 'data')
+        .on('error', (err) => {
+          expect(err).to.be.an.instanceof(MultipartError);
+          expect(err.isUnsupportedEncoding).to.be.true;
+          done();
+        });
+    });
+  });
+
+
+  describe('preamble and epilogue', function () {
+    const message = Buffer.from([
+      'This is a multi-part message in MIME format.',
+      '',
+      '--boundary',
+      'Content-Disposition: form-data; name="field"',
+      '',
+      'value',
+      '--boundary--',
+      'This is the epilogue.',
+      ''
+    ].join('\r\n'));
+
+
+    it('should be null when absent', function (done) {
+      const parser = new Parser({ boundary: 'boundary' });
+
+      parser
+        .on('error', done)
+        .on('finish', () => process.nextTick(() => {
+          expect(parser.preamble).to.be.null;
+          expect(parser.epilogue).to.be.null;
+          done();
+        }))
+        .end(message.slice(message.indexOf('--boundary'),
+          message.indexOf('This is the epilogue.')));
+    });
+
+    it('should expose the preamble and the epilogue', function (done) {
+      const parser = new Parser({ boundary: 'boundary' });
+      const events = [];
+
+      parser
+        .on('error', done)
+        .on('preamble', () => events.push('preamble'))
+        .on('part', () => events.push('part'))
+        .on('epilogue', (epilogue) => {
+          expect(events).to.deep.equal(['preamble', 'part']);
+          expect(parser.preamble.toString()).to.equal(
+            'This is a multi-part message in MIME format.\r\n');
+          expect(epilogue.toString()).to.equal('This is the epilogue.\r\n');
+          expect(parser.epilogue).to.equal(epilogue);
+          done();
+        })
+        .end(message);
+    });
+
+    it('should not be buffered without listeners', function (done) {
+      const parser = new Parser({ boundary: 'boundary' });
+
+      parser
+        .on('error', done)
+        .on('finish', () => process.nextTick(() => {
+          expect(parser.preamble).to.be.null;
+          expect(parser.epilogue).to.be.null;
+          expect(parser._scanner._preamble).to.be.null;
+          expect(parser._scanner._epilogue).to.be.null;
+          done();
+        }))
+        .end(message);
+    });
+
+    it('should count towards the maximum size of the message', function (done) {
+      const epilogue = Buffer.alloc(64 * 1024, 'a');
+      const parser = new Parser({
+        boundary: 'boundary',
+        maxTotalSize: 1024
+      });
+
+      parser
+        .on('epilogue', () => done(Error('Unexpected epilogue!')))
+        .on('error', (err) => {
+          expect(err).to.be.an.instanceof(MultipartError);
+          expect(err.isMessageTooLarge).to.be.true;
+          done();
+        });
+      parser.write(message);
+      for (let i = 0; i < epilogue.length; i += 1024) {
+        parser.write(epilogue.slice(i, i + 1024));
+      }
+      parser.end();
+    });
+
+    it('should emit `error` for truncated messages', function (done) {
+      new Parser({ boundary: 'boundary' })
+        .on('error', (err) => {
+          expect(err).to.be.an.instanceof(MultipartError);
+          done();
+        })
+        .end(message.slice(0, message.indexOf('--boundary--')));
+    });
+  });
+
+
   describe('._getContentType', function () {
     const getContentType = Parser._getContentType;
 
@@ -230,7 +1551,8 @@ describe('MultipartParser', function () {
       _.forEach({
         'form-data; name=notQuoted': 'notQuoted',
         'form-data; name="doubleQuoted"': 'doubleQuoted',
-        'form-data; name=\'singleQuoted\'': '\'singleQuoted\''
+        'form-data; name=\'singleQuoted\'': '\'singleQuoted\'',
+        'form-data; name*=UTF-8\'\'%D0%B8%D0%BC%D1%8F': 'имя'
       }, (expected, value) => {
         expect(getFieldName(value)).to.equal(expected);
       });
@@ -259,7 +1581,11 @@ describe('MultipartParser', function () {
         'form-data; filename="hosts"': 'hosts',
         'form-data; filename=\'hosts\'': '\'hosts\'',
         'form-data; filename="/etc/hosts"': 'hosts',
-        'form-data; filename="\\etc\\hosts"': 'hosts'
+        'form-data; filename="\\etc\\hosts"': 'hosts',
+        'form-data; filename="C:\\dir\\a%22b&#0039;.txt"': 'a"b\'.txt',
+        'form-data; filename*=UTF-8\'\'%E6%96%87.pdf': '文.pdf',
+        'form-data; filename*0*=UTF-8\'\'%E6%96%87; filename*1=.pdf': '文.pdf',
+        'form-data; filename="a.pdf"; filename*=UTF-8\'\'b.pdf': 'b.pdf'
       }, (expected, value) => {
         expect(getFileName(value)).to.equal(expected);
       });
@@ -267,6 +1593,71 @@ describe('MultipartParser', function () {
   });
 
 
+  describe('filenames', function () {
+    /**
+     * Parses a single part with the specified filename
+     *
+     * @param {String} filename The filename of the part
+     * @param {Object} [opts] Additional options for the parser
+     * @param {Function} callback Function to execute with the parsed part
+     */
+    function parse(filename, opts, callback) {
+      const disposition = `form-data; name="file"; filename="${filename}"`;
+      const message = Helpers.createMessage([{
+        headers: { 'Content-Disposition': disposition },
+        body: 'data'
+      }]);
+
+      Helpers.parse(message, _.extend({ boundary: 'boundary' }, opts),
+        (err, ctx) => callback(err, ctx.parts[0]));
+    }
+
+
+    it('should sanitize filenames, keeping the raw ones', function (done) {
+      parse('../.con.txt\u202E', {}, (err, part) => {
+        expect(part.type).to.equal('stream');
+        expect(part.rawFilename).to.equal('../.con.txt\u202E');
+        expect(part.filename).to.equal('_con.txt');
+        done(err);
+      });
+    });
+
+    it('should follow the filename policy', function (done) {
+      parse('../.htaccess', {
+        filenamePolicy: { allowLeadingDots: true }
+      }, (err, part) => {
+        expect(part.filename).to.equal('.htaccess');
+        done(err);
+      });
+    });
+
+    it('should only strip directories if disabled', function (done) {
+      parse('../a:b\u202E', { filenamePolicy: false }, (err, part) => {
+        expect(part.filename).to.equal('a:b\u202E');
+        done(err);
+      });
+    });
+
+    it('should keep parts with empty filenames as streams', function (done) {
+      parse('..', {}, (err, part) => {
+        expect(part.type).to.equal('stream');
+        expect(part.rawFilename).to.equal('..');
+        expect(part.filename).to.be.null;
+        done(err);
+      });
+    });
+  });
+
+
+  describe('._getRawFilename', function () {
+    it('should not strip directories', function () {
+      expect(Parser._getRawFilename('form-data; filename="../a%22.txt"'))
+        .to.equal('../a".txt');
+      expect(Parser._getRawFilename('form-data; name="a"')).to.be.null;
+    });
+  });
+
+
   describe('._getContentId', function () {
     const getContentId = Parser._getContentId;
 
@@ -0,0 +1,320 @@
+'use strict';
+/**
+ * @file Unit tests for the multipart scanner
+ *
+ * @author Anand Suresh <anandsuresh@gmail.com>
+ * @copyright Copyright (C) 2017 Anand Suresh
+ * @license Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const chai = require('chai');
+const expect = chai.expect;
+const MultipartError = require('../lib/multipart_error');
+const MultipartScanner = require('../lib/multipart_scanner');
+
+
+describe('MultipartScanner', function () {
+  const boundary = 'boundary';
+  const message = [
+    'preamble',
+    '--boundary',
+    'Content-Type: text/plain',
+    '',
+    'foo\r\n--bou',
+    '--boundary',
+    '',
+    'bar',
+    '--boundary--',
+    'epilogue'
+  ].join('\r\n');
+
+
+  function scan(chunks, opts) {
+    const calls = [];
+    const record = (name) => (buffer, start, end) => {
+      calls.push([name, Buffer.from(buffer.subarray(start, end)).toString()]);
+    };
+    const scanner = new MultipartScanner(Object.assign({
+      boundary: boundary
+    }, opts), {
+      onPreamble: record('preamble'),
+      onPartBegin: () => calls.push(['partBegin']),
+      onHeaderName: record('headerName'),
+      onHeaderValue: record('headerValue'),
+      onHeaderEnd: () => calls.push(['headerEnd']),
+      onHeadersEnd: () => calls.push(['headersEnd']),
+      onPartData: record('partData'),
+      onPartEnd: () => calls.push(['partEnd']),
+      onEpilogue: record('epilogue'),
+      onEnd: () => calls.push(['end']),
+      onWarning: (warning) => calls.push(['warning', warning.code])
+    });
+
+    chunks.forEach((chunk) => scanner.write(chunk));
+    scanner.end();
+    return calls;
+  }
+
+  function merge(calls) {
+    return calls.reduce((merged, call) => {
+      const last = merged[merged.length - 1];
+      if (last && last[0] === call[0] && call.length > 1) {
+        last[1] += call[1];
+      } else {
+        merged.push(call.slice());
+      }
+      return merged;
+    }, []);
+  }
+
+
+  describe('new', function () {
+    it('should be callable', function () {
+      expect(MultipartScanner).to.be.a('function');
+    });
+
+    it('should construct the boundary of the message', function () {
+      const scanner = new MultipartScanner({ boundary: boundary });
+
+      expect(scanner.boundary).to.deep.equal(Buffer.from('\r\n--boundary'));
+      expect(scanner.strict).to.be.true;
+      expect(scanner.maxHeaderSize).to.equal(Infinity);
+    });
+  });
+
+
+  describe('#write', function () {
+    it('should invoke the callbacks of the handler', function () {
+      expect(merge(scan([Buffer.from(message)]))).to.deep.equal([
+        ['preamble', 'preamble'],
+        ['partBegin'],
+        ['headerName', 'Content-Type'],
+        ['headerValue', 'text/plain'],
+        ['headerEnd'],
+        ['headersEnd'],
+        ['partData', 'foo\r\n--bou'],
+        ['partEnd'],
+        ['partBegin'],
+        ['headersEnd'],
+        ['partData', 'bar'],
+        ['partEnd'],
+        ['epilogue', 'epilogue'],
+        ['end']
+      ]);
+    });
+
+    it('should hand offsets into the chunk to the handler', function () {
+      const chunk = Buffer.from(message);
+      const scanner = new MultipartScanner({ boundary: boundary }, {
+        onHeaderValue: (buffer, start, end) => {
+          expect(buffer).to.equal(chunk);
+          expect(chunk.toString('utf8', start, end)).to.equal('text/plain');
+        }
+      });
+
+      scanner.write(chunk);
+    });
+
+    it('should scan plain Uint8Arrays', function () {
+      const chunk = new Uint8Array(Buffer.from(message));
+
+      expect(merge(scan([chunk])))
+        .to.deep.equal(merge(scan([Buffer.from(message)])));
+    });
+
+    it('should scan messages split across chunks', function () {
+      const expected = merge(scan([Buffer.from(message)]));
+      const chunk = Buffer.from(message);
+
+      for (let i = 1; i < chunk.length; i++) {
+        expect(merge(scan([chunk.slice(0, i), chunk.slice(i)])))
+          .to.deep.equal(expected);
+      }
+    });
+
+    it('should stop scanning the chunk once paused', function () {
+      const chunk = Buffer.from(message);
+      const positions = [];
+      const snapshots = [];
+      let data = '';
+      const scanner = new MultipartScanner({ boundary: boundary }, {
+        onHeadersEnd: () => scanner.pause(),
+        onPartData: (buffer, start, end) => {
+          data += Buffer.from(buffer.subarray(start, end)).toString();
+        }
+      });
+
+      for (let pos = 0; pos < chunk.length;) {
+        pos += scanner.write(chunk.slice(pos));
+        positions.push(pos);
+        snapshots.push(data);
+        scanner.resume();
+      }
+
+      expect(positions).to.deep.equal([
+        message.indexOf('foo'),
+        message.indexOf('bar'),
+        message.length
+      ]);
+      expect(snapshots).to.deep.equal(['', 'foo\r\n--bou', 'foo\r\n--boubar']);
+    });
+
+    it('should not require every callback', function () {
+      const scanner = new MultipartScanner({ boundary: boundary });
+
+      expect(() => scanner.write(Buffer.from(message))).to.not.throw(Error);
+      expect(() => scanner.end()).to.not.throw(Error);
+    });
+
+    it('should throw a ParseError on malformed messages', function () {
+      const scanner = new MultipartScanner({ boundary: boundary });
+
+      expect(() => scanner.write(Buffer.from('--boundary\r\n: foo\r\n')))
+        .to.throw(MultipartError)
+        .with.property('isParseError', true);
+
+      // The rest of the message is ignored
+      expect(() => scanner.write(Buffer.from('\r\n'))).to.not.throw(Error);
+      expect(() => scanner.end()).to.not.throw(Error);
+    });
+
+    it('should throw a HeaderTooLarge error on large headers', function () {
+      const scanner = new MultipartScanner({
+        boundary: boundary,
+        maxHeaderSize: 8
+      });
+
+      expect(() => scanner.write(Buffer.from(message)))
+        .to.throw(MultipartError)
+        .with.property('isHeaderTooLarge', true);
+    });
+
+    it('should warn about deviations tolerated when lenient', function () {
+      const calls = scan([Buffer.from('--boundary\n\nfoo\n--boundary--')], {
+        strict: false
+      });
+
+      expect(calls.filter((call) => call[0] === 'warning'))
+        .to.deep.equal([
+          ['warning', 'BARE_LF'],
+          ['warning', 'BARE_LF'],
+          ['warning', 'BARE_LF']
+        ]);
+    });
+  });
+
+
+  describe('#retainPreamble', function () {
+    it('should drop the preamble and epilogue once turned off', function () {
+      const calls = [];
+      const scanner = new MultipartScanner({
+        boundary: boundary,
+        retainEpilogue: false
+      }, {
+        onPreamble: () => calls.push('preamble'),
+        onEpilogue: () => calls.push('epilogue')
+      });
+      const chunk = Buffer.from(message);
+
+      scanner.write(chunk.slice(0, 4));
+      scanner.retainPreamble = false;
+      scanner.write(chunk.slice(4));
+      scanner.end();
+      expect(calls).to.deep.equal([]);
+      expect(scanner.textSize).to.be.at.least('preambleepilogue'.length);
+    });
+  });
+
+
+  describe('#end', function () {
+    it('should throw a ParseError on incomplete messages', function () {
+      const scanner = new MultipartScanner({ boundary: boundary });
+
+      scanner.write(Buffer.from('--boundary\r\n\r\nfoo'));
+      expect(() => scanner.end())
+        .to.throw(MultipartError)
+        .with.property('isParseError', true);
+    });
+  });
+
+
+  describe('#_findBoundary', function () {
+    const boundary = MultipartScanner._constructBoundary('boundary');
+
+    it('should return the position of the next boundary', function () {
+      const scanner = new MultipartScanner({ boundary: boundary });
+      const chunk = Buffer.from('foo\r\n--boundary\r\nbar\r\n--boundary');
+
+      expect(scanner._findBoundary(chunk, 0)).to.equal(3);
+      expect(scanner._findBoundary(chunk, 4)).to.equal(20);
+    });
+
+    it('should find the same boundaries as Buffer#indexOf', function () {
+      ['boundary', 'aaaa', 'abab', '--', 'x'.repeat(300)].forEach((name) => {
+        const scanner = new MultipartScanner({ boundary: name });
+        const chunk = Buffer.from(`\r\n--${name}`.repeat(3) +
+          `ab\r\n-\r\n--${name}cd\r\n--${name}\r\n--${name}`);
+
+        for (let i = 0; i < chunk.length; i++) {
+          const pos = chunk.indexOf(scanner.boundary, i);
+          if (pos !== -1) {
+            expect(scanner._findBoundary(chunk, i)).to.equal(pos);
+          }
+        }
+      });
+    });
+
+    it('should return the start of a split boundary', function () {
+      const scanner = new MultipartScanner({ boundary: boundary });
+
+      expect(scanner._findBoundary(Buffer.from('foo\r\n--bou'), 0)).to.equal(3);
+      expect(scanner._findBoundary(Buffer.from('foo\r'), 0)).to.equal(3);
+      expect(scanner._findBoundary(Buffer.from('foo\r\n-x'), 0)).to.equal(7);
+    });
+
+    it('should find boundaries after a bare <LF> if lenient', function () {
+      const scanner = new MultipartScanner({
+        boundary: boundary,
+        strict: false
+      });
+
+      expect(scanner._findBoundary(Buffer.from('foo\n--boundary'), 0))
+        .to.equal(3);
+      expect(scanner._findBoundary(Buffer.from('foo\r\n--boundary'), 0))
+        .to.equal(3);
+      expect(scanner._findBoundary(Buffer.from('foo\n--bou'), 0)).to.equal(3);
+    });
+  });
+
+
+  describe('._isPrefix', function () {
+    it('should check whether a chunk ends with a prefix', function () {
+      const boundary = Buffer.from('\r\n--boundary');
+
+      expect(MultipartScanner._isPrefix(Buffer.from('a\r\n-'), 1, boundary))
+        .to.be.true;
+      expect(MultipartScanner._isPrefix(Buffer.from('a\r\nx'), 1, boundary))
+        .to.be.false;
+    });
+  });
+
+
+  describe('._constructBoundary', function () {
+    it('should return a buffer with the boundary', function () {
+      expect(MultipartScanner._constructBoundary('boundary'))
+        .to.deep.equal(Buffer.from('\r\n--boundary'));
+    });
+  });
+});
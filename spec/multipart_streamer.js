@@ -26,6 +26,8 @@ const node = {
 const chai = require('chai');
 const expect = chai.expect;
 const Helpers = require('./helpers');
+const MultipartError = require('../lib/multipart_error');
+const Parser = require('../lib/multipart_parser');
 const Streamer = require('../lib/multipart_streamer');
 const _ = require('lodash');
 
@@ -172,6 +174,426 @@ describe('MultipartStreamer', function () {
       expect(streamer.parts[0].value).to.be.null;
       expect(streamer.parts[0].contentType).to.equal('application/javascript');
     });
+
+    it('should throw an error for unsupported encodings', function () {
+      expect(() => streamer.addStreamPart({
+        value: new node.stream.PassThrough(),
+        contentType: 'text/plain',
+        transferEncoding: 'x-unknown'
+      })).to.throw(MultipartError);
+    });
+  });
+
+
+  describe('headers', function () {
+    let streamer;
+
+    beforeEach(function () {
+      streamer = new Streamer();
+    });
+
+
+    it('should throw an error for invalid header names', function () {
+      _.forEach(['X Custom', 'X-Custom:', 'X-Custom\r\nX-Evil'], (name) => {
+        expect(() => streamer.addObjectPart({
+          value: { foo: 'bar' },
+          headers: { [name]: 'value' }
+        })).to.throw(MultipartError);
+      });
+    });
+
+    it('should throw an error for invalid header values', function () {
+      const TESTS = [
+        { headers: { 'X-Custom': 'value\r\nX-Evil: yes' } },
+        { headers: { 'X-Custom': null } },
+        { contentType: 'text/plain\r\nX-Evil: yes' },
+        { contentId: 'id\n' }
+      ];
+
+      _.forEach(TESTS, (args) => {
+        let error = null;
+        try {
+          streamer.addStreamPart(_.extend({
+            value: new node.stream.PassThrough(),
+            contentType: 'text/plain'
+          }, args));
+        } catch (e) {
+          error = e;
+        }
+
+        expect(error).to.be.an.instanceof(MultipartError);
+        expect(error.isBadHeader).to.be.true;
+      });
+      expect(streamer.parts).to.be.empty;
+    });
+
+    it('should validate headers before opening files', function () {
+      expect(() => streamer.addFilePart({
+        value: '/non/existent/file',
+        headers: { 'X-Custom': 'a\rb' }
+      })).to.throw(MultipartError);
+    });
+
+    it('should fold long header values if enabled', function (done) {
+      const chunks = [];
+      const value = _.times(20, (i) => `value${i}`).join(' ');
+
+      new Streamer({ boundary: 'boundary', foldHeaders: true })
+        .addObjectPart({ value: { foo: 'bar' }, headers: { 'X-Long': value } })
+        .on('error', done)
+        .on('data', (chunk) => chunks.push(chunk))
+        .on('end', () => {
+          const message = Buffer.concat(chunks).toString();
+          const headers = message.split('\r\n\r\n')[0].split('\r\n');
+
+          expect(headers.length).to.be.above(3);
+          _.forEach(headers, (line) => {
+            expect(line).to.have.length.of.at.most(78);
+          });
+          done();
+        });
+    });
+  });
+
+
+  describe('preamble and epilogue', function () {
+    function stream(opts, callback) {
+      const chunks = [];
+
+      new Streamer(_.extend({ boundary: 'boundary' }, opts))
+        .addFieldPart({ name: 'field', value: 'value' })
+        .on('error', callback)
+        .on('data', (chunk) => chunks.push(chunk))
+        .on('end', () => callback(null, Buffer.concat(chunks).toString()));
+    }
+
+
+    it('should not write them by default', function (done) {
+      stream({}, (err, message) => {
+        expect(message).to.match(/^--boundary\r\n/);
+        expect(message).to.match(/\r\n--boundary--\r\n$/);
+        done(err);
+      });
+    });
+
+    it('should write them around the parts', function (done) {
+      const opts = {
+        preamble: 'This is a multi-part message in MIME format.',
+        epilogue: Buffer.from('This is the epilogue.')
+      };
+
+      stream(opts, (err, message) => {
+        expect(message).to.match(
+          /^This is a multi-part message in MIME format\.\r\n--boundary\r\n/);
+        expect(message).to.match(
+          /\r\n--boundary--\r\nThis is the epilogue\.$/);
+        done(err);
+      });
+    });
+
+    it('should round-trip through the parser', function (done) {
+      const opts = {
+        preamble: 'This is a multi-part message in MIME format.\r\n',
+        epilogue: '\r\nThis is the epilogue.\r\n'
+      };
+
+      stream(opts, (err, message) => {
+        if (err) {
+          return done(err);
+        }
+
+        let preamble = null;
+        const parser = new Parser({ boundary: 'boundary' })
+          .on('error', done)
+          .on('preamble', (text) => (preamble = text))
+          .on('epilogue', (epilogue) => {
+            expect(preamble.toString()).to.equal(opts.preamble);
+            expect(parser.preamble).to.equal(preamble);
+            expect(epilogue.toString()).to.equal(opts.epilogue);
+            done();
+          });
+
+        parser.end(Buffer.from(message));
+      });
+    });
+  });
+
+
+  describe('destroy', function () {
+    function start(opts) {
+      const streamer = new Streamer(_.extend({ boundary: 'boundary' }, opts))
+        .addFieldPart({ name: 'field', value: 'value' })
+        .addFilePart({ name: 'a', value: __filename })
+        .addFilePart({ name: 'b', value: __filename });
+      const sources = streamer._sources.slice();
+
+      streamer.once('data', () => streamer.pause());
+      return {
+        streamer: streamer,
+        sources: sources,
+        closed: watchClosed(sources)
+      };
+    }
+
+    // Listens for the sources closing right away, as `closed` is not
+    // available on the streams of every supported version of node, some of
+    // which do not emit `close` for files that could not be opened
+    function watchClosed(sources) {
+      return Promise.all(_.map(sources, (source) => new Promise((resolve) => {
+        source.once('close', resolve).once('error', resolve);
+      })));
+    }
+
+    function onClosed(ctx, callback) {
+      _.forEach(ctx.sources, (source) => expect(source.destroyed).to.be.true);
+      ctx.closed.then(() => callback(), callback);
+    }
+
+
+    it('should destroy every part and close every file', function (done) {
+      const ctx = start({});
+      const err = new Error('request failed');
+
+      ctx.streamer
+        .on('error', (streamerErr) => {
+          expect(streamerErr).to.be.an.instanceof(MultipartError);
+          expect(streamerErr.isAborted).to.be.true;
+          expect(streamerErr.cause).to.equal(err);
+          expect(ctx.streamer._stream.destroyed).to.be.true;
+          _.forEach(ctx.streamer.parts, (part) => {
+            expect(part.destroyed).to.be.true;
+          });
+          onClosed(ctx, done);
+        })
+        .once('data', () => setImmediate(() => ctx.streamer.destroy(err)));
+    });
+
+    it('should fail with an Aborted error by default', function (done) {
+      const ctx = start({});
+
+      ctx.streamer
+        .on('error', (err) => {
+          expect(err.isAborted).to.be.true;
+          expect(err.cause).to.be.undefined;
+          onClosed(ctx, done);
+        })
+        .destroy();
+    });
+
+    it('should not fail once the message has been streamed', function (done) {
+      const streamer = new Streamer()
+        .addFieldPart({ name: 'field', value: 'value' })
+        .on('error', done)
+        .on('end', () => {
+          streamer.on('close', () => done()).destroy();
+        })
+        .resume();
+    });
+
+    it('should be destroyed when the signal aborts', function (done) {
+      const signal = Helpers.createSignal();
+      const ctx = start({ signal: signal });
+
+      expect(ctx.streamer.signal).to.equal(signal);
+      ctx.streamer
+        .on('error', (err) => {
+          expect(err.isAborted).to.be.true;
+          expect(err.metadata.reason).to.equal('deadline');
+          onClosed(ctx, done);
+        })
+        .once('data', () => setImmediate(() => signal.abort('deadline')));
+    });
+
+    it('should emit a single error when a source fails', function (done) {
+      const errors = [];
+      const streamer = new Streamer()
+        .addFilePart({ name: 'a', value: '/non/existent/file' })
+        .addFilePart({ name: 'b', value: '/non/existent/file' })
+        .addFilePart({ name: 'c', value: __filename });
+      const ctx = {
+        sources: streamer._sources.slice(),
+        closed: watchClosed(streamer._sources)
+      };
+
+      streamer
+        .on('error', (err) => errors.push(err))
+        .on('close', () => {
+          expect(errors).to.have.lengthOf(1);
+          expect(errors[0].isUnexpected).to.be.true;
+          expect(errors[0].cause.code).to.equal('ENOENT');
+          onClosed(ctx, done);
+        })
+        .resume();
+    });
+  });
+
+
+  describe('progress', function () {
+    it('should report the bytes emitted per part', function (done) {
+      const size = node.fs.statSync(__filename).size;
+      const events = [];
+      let length = 0;
+
+      new Streamer({ boundary: 'boundary', progressInterval: 0 })
+        .addFieldPart({ name: 'field', value: 'value' })
+        .addFilePart({ name: 'file', value: __filename })
+        .on('error', done)
+        .on('progress', (progress) => events.push(progress))
+        .on('data', (chunk) => (length += chunk.length))
+        .on('end', () => {
+          const last = _.last(events);
+
+          expect(events.length).to.be.above(1);
+          expect(_.map(events, 'bytesEmitted')).to.deep.equal(
+            _.sortBy(_.map(events, 'bytesEmitted')));
+          expect(last).to.deep.equal({
+            bytesEmitted: length,
+            partIndex: 1,
+            partBytes: size
+          });
+          expect(_.find(events, { partIndex: 0 }).partBytes).to.equal(5);
+          done();
+        });
+    });
+
+    it('should throttle events by the progress interval', function (done) {
+      const events = [];
+
+      new Streamer({ progressInterval: 60 * 1000 })
+        .addFilePart({ name: 'a', value: __filename })
+        .addFilePart({ name: 'b', value: __filename })
+        .on('error', done)
+        .on('progress', (progress) => events.push(progress))
+        .on('end', () => {
+          expect(events).to.have.lengthOf(2);
+          expect(events[1].partIndex).to.equal(1);
+          done();
+        })
+        .resume();
+    });
+  });
+
+
+  describe('content-disposition', function () {
+    /**
+     * Streams a part with the specified name and filename, and parses it back
+     *
+     * @param {String} name The name of the part
+     * @param {String} filename The filename of the part
+     * @param {Function} callback Function to execute with the parsed part
+     */
+    function roundTrip(name, filename, callback) {
+      const source = new node.stream.PassThrough();
+      const streamer = new Streamer()
+        .addStreamPart({
+          value: source,
+          contentType: 'text/plain',
+          name: name,
+          filename: filename
+        });
+
+      source.end('data');
+      streamer
+        .on('error', callback)
+        .pipe(new Parser({ boundary: streamer.boundary }))
+        .on('error', callback)
+        .on('part', (part) => {
+          part.resume();
+          callback(null, part);
+        });
+    }
+
+
+    it('should escape names and filenames', function (done) {
+      roundTrip('a"b', 'c\r\nX-Injected: yes.txt', (err, part) => {
+        if (err) {
+          return done(err);
+        }
+
+        expect(part.name).to.equal('a"b');
+        expect(part.rawFilename).to.equal('c%0D%0AX-Injected: yes.txt');
+        expect(part.filename).to.equal('c%0D%0AX-Injected yes.txt');
+        expect(_.keys(part.headers)).to.deep.equal([
+          'Content-Disposition',
+          'Content-Type'
+        ]);
+        done();
+      });
+    });
+
+    it('should encode non-ASCII filenames', function (done) {
+      roundTrip('имя', 'Привет.txt', (err, part) => {
+        if (err) {
+          return done(err);
+        }
+
+        expect(part.name).to.equal('имя');
+        expect(part.filename).to.equal('Привет.txt');
+        expect(part.headers['Content-Disposition']).to.contain(
+          'filename*=UTF-8\'\'%D0%9F%D1%80%D0%B8%D0%B2%D0%B5%D1%82.txt');
+        done();
+      });
+    });
+  });
+
+
+  describe('transfer-encodings', function () {
+    const data = Buffer.from(_.times(256, (i) => i));
+
+
+    /**
+     * Streams a part with the specified encoding and collects the output
+     *
+     * @param {String} encoding The transfer-encoding for the part
+     * @param {Function} callback Function to execute with the output
+     */
+    function stream(encoding, callback) {
+      const chunks = [];
+      const source = new node.stream.PassThrough();
+
+      new Streamer({ boundary: 'boundary' })
+        .addStreamPart({
+          value: source,
+          contentType: 'application/octet-stream',
+          transferEncoding: encoding
+        })
+        .on('error', callback)
+        .on('data', (chunk) => chunks.push(chunk))
+        .on('end', () => callback(null, Buffer.concat(chunks)));
+
+      source.write(data.slice(0, 100));
+      source.end(data.slice(100));
+    }
+
+
+    _.forEach(['base64', 'quoted-printable'], (encoding) => {
+      it(`should encode ${encoding} parts`, function (done) {
+        stream(encoding, (err, message) => {
+          if (err) {
+            return done(err);
+          }
+
+          const body = message.toString('binary').split('\r\n\r\n')[1];
+          _.forEach(body.split('\r\n'), (line) => {
+            expect(line).to.match(/^(--boundary--)?[\t\x20-\x7e]{0,76}$/);
+          });
+
+          const chunks = [];
+          new Parser({ boundary: 'boundary' })
+            .on('error', done)
+            .on('part', (part) => {
+              expect(part.transferEncoding).to.equal(encoding);
+              part
+                .on('data', (chunk) => chunks.push(chunk))
+                .on('end', () => {
+                  expect(Buffer.concat(chunks)).to.deep.equal(data);
+                  done();
+                });
+            })
+            .end(message);
+        });
+      });
+    });
   });
 
 
@@ -0,0 +1,278 @@
+'use strict';
+/**
+ * @file Test cases for the PartIterator
+ *
+ * @author Anand Suresh <anandsuresh@gmail.com>
+ * @copyright Copyright (C) 2017 Anand Suresh
+ * @license Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const node = {
+  stream: require('stream')
+};
+const chai = require('chai');
+const expect = chai.expect;
+const Multipart = require('../index');
+const MultipartError = require('../lib/multipart_error');
+const Parser = require('../lib/multipart_parser');
+const PartIterator = require('../lib/part_iterator');
+const _ = require('lodash');
+
+
+describe('PartIterator', function () {
+  const message = Buffer.from([
+    'This is the preamble.',
+    '--boundary',
+    'Content-Disposition: form-data; name="field"',
+    '',
+    'value',
+    '--boundary',
+    'Content-Disposition: form-data; name="file"; filename="a.txt"',
+    'Content-Type: text/plain',
+    '',
+    _.repeat('a', 64 * 1024),
+    '--boundary',
+    'Content-Disposition: form-data; name="skipped"; filename="b.txt"',
+    'Content-Type: text/plain',
+    '',
+    'contents of b',
+    '--boundary',
+    'Content-Type: application/json',
+    '',
+    JSON.stringify({ foo: 'bar' }),
+    '--boundary--',
+    ''
+  ].join('\r\n'));
+
+
+  /**
+   * Writes the message to the specified stream, in chunks, once the current
+   * tick completes
+   *
+   * @param {Writable} dst The stream to write the message to
+   * @param {Buffer} [buf=message] The message to write
+   */
+  function write(dst, buf) {
+    buf = buf || message;
+    process.nextTick(() => {
+      dst.write(buf.slice(0, 1000));
+      setImmediate(() => dst.end(buf.slice(1000)));
+    });
+  }
+
+
+  /**
+   * Consumes the specified iterator, invoking the handler for each part
+   *
+   * @param {PartIterator} iterator The iterator to consume
+   * @param {Function} handler Function returning a promise for each part
+   * @return {Promise}
+   */
+  function consume(iterator, handler) {
+    return iterator.next().then((result) => {
+      if (result.done) {
+        return;
+      }
+
+      return Promise.resolve(handler(result.value))
+        .then(() => consume(iterator, handler));
+    });
+  }
+
+
+  /**
+   * Reads the contents of the specified part
+   *
+   * @param {Part} part The part to read
+   * @return {Promise}
+   */
+  function read(part) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      part
+        .on('error', reject)
+        .on('data', (chunk) => chunks.push(chunk))
+        .on('end', () => resolve(Buffer.concat(chunks).toString()));
+    });
+  }
+
+
+  describe('new', function () {
+    it('should be callable', function () {
+      expect(PartIterator).to.be.a('function');
+    });
+
+    it('should be returned by MultipartParser#iterate', function () {
+      const parser = new Parser({ boundary: 'boundary' });
+      const iterator = parser.iterate();
+
+      expect(iterator).to.be.an.instanceof(PartIterator);
+      expect(iterator.parser).to.equal(parser);
+    });
+
+    it('should be an async iterator', function () {
+      const parser = new Parser({ boundary: 'boundary' });
+      const iterator = parser[Symbol.asyncIterator]();
+
+      expect(iterator).to.be.an.instanceof(PartIterator);
+      expect(iterator[Symbol.asyncIterator]()).to.equal(iterator);
+    });
+  });
+
+
+  describe('iteration', function () {
+    it('should yield parts in the order of the message', function () {
+      const parser = new Parser({ boundary: 'boundary' });
+      const iterator = parser.iterate();
+      const parts = [];
+
+      write(parser);
+      return consume(iterator, (part) => {
+        parts.push(part);
+        if (part.filename === 'a.txt') {
+          return read(part).then((value) => {
+            expect(value).to.have.length(64 * 1024);
+          });
+        }
+      }).then(() => {
+        expect(_.map(parts, 'type'))
+          .to.deep.equal(['field', 'stream', 'stream', 'object']);
+        expect(parts[0].value).to.equal('value');
+        expect(parts[3].value).to.deep.equal({ foo: 'bar' });
+      });
+    });
+
+    it('should wait for stream parts to be consumed', function () {
+      const parser = new Parser({ boundary: 'boundary' });
+      const iterator = parser.iterate();
+      let ended = false;
+
+      write(parser);
+      return consume(iterator, (part) => {
+        if (part.filename === 'a.txt') {
+          part.on('end', () => (ended = true));
+          setTimeout(() => part.resume(), 10);
+        } else if (part.filename === 'b.txt') {
+          expect(ended).to.be.true;
+        }
+      });
+    });
+
+    it('should skip stream parts that are not consumed', function () {
+      const parser = new Parser({ boundary: 'boundary' });
+      const iterator = parser.iterate();
+      const names = [];
+
+      write(parser);
+      return consume(iterator, (part) => names.push(part.name))
+        .then(() => {
+          expect(names).to.deep.equal([
+            'field', 'file', 'skipped', null
+          ]);
+        });
+    });
+
+    it('should yield nested parts after the enclosing part', function () {
+      const parser = new Parser({ boundary: 'outer', nested: true });
+      const iterator = parser.iterate();
+      const paths = [];
+
+      write(parser, Buffer.from([
+        '--outer',
+        'Content-Disposition: form-data; name="files"',
+        'Content-Type: multipart/mixed; boundary=inner',
+        '',
+        '--inner',
+        'Content-Disposition: file; filename="a.txt"',
+        '',
+        'contents of a',
+        '--inner',
+        'Content-Disposition: form-data; name="field"',
+        '',
+        'value',
+        '--inner--',
+        '--outer--'
+      ].join('\r\n')));
+
+      return consume(iterator, (part) => paths.push(part.path.join('.')))
+        .then(() => expect(paths).to.deep.equal(['0', '0.0', '0.1']));
+    });
+
+    it('should reject when the parser emits an error', function () {
+      const parser = new Parser({ boundary: 'boundary', maxParts: 2 });
+      const iterator = parser.iterate();
+
+      write(parser);
+      return consume(iterator, _.noop)
+        .then(() => {
+          throw Error('Expected an error!');
+        }, (err) => {
+          expect(err).to.be.an.instanceof(MultipartError);
+          expect(err.isTooManyParts).to.be.true;
+          return iterator.next();
+        })
+        .then((result) => expect(result.done).to.be.true);
+    });
+
+    it('should discard the remaining parts upon return', function () {
+      const parser = new Parser({ boundary: 'boundary' });
+      const iterator = parser.iterate();
+
+      write(parser);
+      return iterator.next()
+        .then((result) => {
+          expect(result.value.name).to.equal('field');
+          return iterator.return();
+        })
+        .then((result) => {
+          expect(result.done).to.be.true;
+          return new Promise((resolve) => parser.once('end', resolve));
+        })
+        .then(() => iterator.next())
+        .then((result) => expect(result.done).to.be.true);
+    });
+  });
+
+
+  describe('Multipart.parts', function () {
+    it('should determine the boundary from the request', function () {
+      const req = new node.stream.PassThrough();
+      const names = [];
+
+      req.headers = {
+        'content-type': 'multipart/form-data; boundary=boundary'
+      };
+      write(req);
+
+      return consume(Multipart.parts(req), (part) => names.push(part.name))
+        .then(() => expect(names).to.have.length(4));
+    });
+
+    it('should throw an error if the boundary is unknown', function () {
+      expect(() => Multipart.parts(new node.stream.PassThrough()))
+        .to.throw(MultipartError);
+    });
+
+    it('should reject when the source emits an error', function () {
+      const req = new node.stream.PassThrough();
+      const iterator = Multipart.parts(req, { boundary: 'boundary' });
+
+      process.nextTick(() => req.emit('error', Error('Connection reset!')));
+      return iterator.next().then(() => {
+        throw Error('Expected an error!');
+      }, (err) => expect(err.isUnexpected).to.be.true);
+    });
+  });
+});
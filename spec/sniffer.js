@@ -0,0 +1,95 @@
+'use strict';
+/**
+ * @file Unit tests for the content-type sniffer
+ *
+ * @author Anand Suresh <anandsuresh@gmail.com>
+ * @copyright Copyright (C) 2017 Anand Suresh
+ * @license Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const chai = require('chai');
+const expect = chai.expect;
+const Sniffer = require('../lib/sniffer');
+const _ = require('lodash');
+
+
+describe('Sniffer', function () {
+  describe('.sniff', function () {
+    it('should detect well-known types', function () {
+      _.forEach({
+        'image/png': [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00],
+        'image/jpeg': [0xff, 0xd8, 0xff, 0xe0],
+        'image/gif': Buffer.from('GIF89a'),
+        'image/webp': Buffer.from('RIFF\u0000\u0000\u0000\u0000WEBPVP8 '),
+        'audio/wav': Buffer.from('RIFF\u0000\u0000\u0000\u0000WAVEfmt '),
+        'application/pdf': Buffer.from('%PDF-1.4'),
+        'video/mp4': Buffer.from('\u0000\u0000\u0000\u0018ftypmp42')
+      }, (bytes, type) => {
+        expect(Sniffer.sniff(Buffer.from(bytes))).to.equal(type);
+      });
+    });
+
+    it('should return null for unknown or truncated content', function () {
+      _.forEach(['', 'plain text', '\u0089PN', 'RIFF\u0000\u0000'],
+        (str) => expect(Sniffer.sniff(Buffer.from(str))).to.be.null);
+    });
+  });
+
+
+  describe('.isKnown', function () {
+    it('should only be true for detectable types', function () {
+      expect(Sniffer.isKnown('image/png')).to.be.true;
+      expect(Sniffer.isKnown('text/plain')).to.be.false;
+    });
+
+    it('should be true for types built on detectable containers', function () {
+      expect(Sniffer.isKnown('image/heic')).to.be.true;
+      expect(Sniffer.isKnown('application/epub+zip')).to.be.true;
+    });
+  });
+
+
+  describe('.isCompatible', function () {
+    const DOCX = 'application/vnd.openxmlformats-officedocument.' +
+      'wordprocessingml.document';
+
+
+    it('should be true for identical types', function () {
+      expect(Sniffer.isCompatible('image/png', 'image/png')).to.be.true;
+      expect(Sniffer.isCompatible(null, null)).to.be.true;
+    });
+
+    it('should be true for types built on the container', function () {
+      expect(Sniffer.isCompatible('application/zip', DOCX)).to.be.true;
+      expect(Sniffer.isCompatible('video/mp4', 'image/heic')).to.be.true;
+      expect(Sniffer.isCompatible('video/mp4', 'video/quicktime')).to.be.true;
+      expect(Sniffer.isCompatible('video/mp4', 'audio/x-m4a')).to.be.true;
+    });
+
+    it('should be false for other types', function () {
+      expect(Sniffer.isCompatible('image/png', 'image/jpeg')).to.be.false;
+      expect(Sniffer.isCompatible('application/zip', 'image/heic')).to.be.false;
+      expect(Sniffer.isCompatible(DOCX, 'application/zip')).to.be.false;
+      expect(Sniffer.isCompatible(null, DOCX)).to.be.false;
+    });
+  });
+
+
+  describe('.MAX_LENGTH', function () {
+    it('should cover the longest signature', function () {
+      expect(Sniffer.MAX_LENGTH).to.equal(12);
+    });
+  });
+});
@@ -0,0 +1,445 @@
+'use strict';
+/**
+ * @file Test cases for the storage adapters
+ *
+ * @author Anand Suresh <anandsuresh@gmail.com>
+ * @copyright Copyright (C) 2017 Anand Suresh
+ * @license Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const node = {
+  crypto: require('crypto'),
+  fs: require('fs'),
+  os: require('os'),
+  path: require('path'),
+  stream: require('stream')
+};
+const chai = require('chai');
+const expect = chai.expect;
+const ContentAddressedStorage = require('../lib/storage/content_addressed');
+const DiskStorage = require('../lib/storage/disk');
+const Helpers = require('./helpers');
+const MemoryStorage = require('../lib/storage/memory');
+const MultipartError = require('../lib/multipart_error');
+const _ = require('lodash');
+
+
+describe('storage', function () {
+  let dir;
+
+  beforeEach(function () {
+    dir = node.fs.mkdtempSync(node.path.join(node.os.tmpdir(), 'multipart-'));
+  });
+
+  afterEach(function () {
+    _.forEach(node.fs.readdirSync(dir),
+      (file) => node.fs.unlinkSync(node.path.join(dir, file)));
+    node.fs.rmdirSync(dir);
+  });
+
+
+  /**
+   * Stores the specified contents using a storage adapter, the way the parser
+   * does
+   *
+   * @param {Object} storage The storage adapter
+   * @param {String} contents The contents to store
+   * @param {Object} [info] The metadata of the part being stored
+   * @return {Promise} Resolves to the locator returned by the adapter
+   */
+  function store(storage, contents, info) {
+    return Promise.resolve(storage.createWriteTarget(info || {}))
+      .then((target) => new Promise((resolve, reject) => {
+        target.stream.once('error', reject).once('finish', resolve);
+        target.stream.end(contents);
+      }).then(() => target.finalize()));
+  }
+
+
+  /**
+   * Creates a message with a file part of the specified size
+   *
+   * @param {Number} size The size of the file
+   * @param {Array} [parts] Further parts to append to the message
+   * @return {Buffer}
+   */
+  function createMessage(size, parts) {
+    return Helpers.createMessage([{
+      headers: { 'Content-Disposition': 'form-data; name="field"' },
+      body: 'value'
+    }, {
+      headers: {
+        'Content-Disposition': 'form-data; name="file"; filename="../../a.txt"',
+        'Content-Type': 'text/plain'
+      },
+      body: _.repeat('a', size)
+    }].concat(parts || []));
+  }
+
+
+  describe('DiskStorage', function () {
+    it('should default to the temp directory and generated names', function () {
+      const storage = new DiskStorage();
+
+      expect(storage.dir).to.equal(node.os.tmpdir());
+      expect(storage.preserveFilename).to.be.false;
+      expect(storage.files).to.be.empty;
+    });
+
+    it('should store parts under generated names', function () {
+      const storage = new DiskStorage({ dir: dir });
+
+      return store(storage, 'contents', { filename: 'a.txt' }).then((file) => {
+        expect(node.path.dirname(file.path)).to.equal(dir);
+        expect(node.path.basename(file.path)).to.not.equal('a.txt');
+        expect(file.size).to.equal(8);
+        expect(node.fs.readFileSync(file.path, 'utf8')).to.equal('contents');
+        expect(storage.files).to.deep.equal([file]);
+      });
+    });
+
+    it('should store parts under sanitized original names', function () {
+      const storage = new DiskStorage({ dir: dir, preserveFilename: true });
+
+      return Promise.all([
+        store(storage, 'a', { filename: '../../etc/passwd' }),
+        store(storage, 'b', { filename: 'C:\\Windows\\..\\report.txt' })
+      ]).then((files) => {
+        expect(_.map(files, (file) => node.path.basename(file.path)))
+          .to.deep.equal(['passwd', 'report.txt']);
+        _.forEach(files, (file) => {
+          expect(node.path.dirname(file.path)).to.equal(dir);
+        });
+      });
+    });
+
+    it('should never overwrite existing files', function () {
+      const storage = new DiskStorage({ dir: dir, preserveFilename: true });
+
+      node.fs.writeFileSync(node.path.join(dir, 'a.txt'), 'existing');
+      return store(storage, 'new', { filename: 'a.txt' }).then((file) => {
+        expect(node.path.basename(file.path)).to.equal('a-1.txt');
+        expect(node.fs.readFileSync(node.path.join(dir, 'a.txt'), 'utf8'))
+          .to.equal('existing');
+      });
+    });
+
+    it('should number existing names of the maximum length', function () {
+      const storage = new DiskStorage({ dir: dir, preserveFilename: true });
+      const filename = `${_.repeat('a', 251)}.txt`;
+
+      node.fs.writeFileSync(node.path.join(dir, filename), 'existing');
+      return store(storage, 'new', { filename: filename }).then((file) => {
+        expect(node.path.basename(file.path))
+          .to.equal(`${_.repeat('a', 249)}-1.txt`);
+      });
+    });
+
+    it('should remove aborted files', function () {
+      const storage = new DiskStorage({ dir: dir });
+
+      return storage.createWriteTarget({})
+        .then((target) => {
+          target.stream.write('partial');
+          return target.abort();
+        })
+        .then(() => {
+          expect(storage.files).to.be.empty;
+          expect(node.fs.readdirSync(dir)).to.be.empty;
+        });
+    });
+
+    it('should remove all stored files upon cleanup', function () {
+      const storage = new DiskStorage({ dir: dir });
+
+      return store(storage, 'contents')
+        .then(() => storage.cleanup())
+        .then(() => {
+          expect(storage.files).to.be.empty;
+          expect(node.fs.readdirSync(dir)).to.be.empty;
+        });
+    });
+
+    describe('._sanitize', function () {
+      it('should strip unsafe characters and leading dots', function () {
+        const TESTS = {
+          'a.txt': 'a.txt',
+          '/etc/passwd': 'passwd',
+          '..\\..\\boot.ini': 'boot.ini',
+          '.htaccess': 'htaccess',
+          'a\u0000b\r\n.txt': 'ab.txt',
+          'what?<>.txt': 'what.txt'
+        };
+
+        _.forEach(TESTS, (expected, filename) => {
+          expect(DiskStorage._sanitize(filename)).to.equal(expected);
+        });
+      });
+
+      it('should generate names for empty filenames', function () {
+        _.forEach([null, '', '..', '/'], (filename) => {
+          expect(DiskStorage._sanitize(filename)).to.have.length(36);
+        });
+      });
+
+      it('should number subsequent attempts', function () {
+        expect(DiskStorage._sanitize('a.tar.gz', 2)).to.equal('a.tar-2.gz');
+        expect(DiskStorage._sanitize('README', 1)).to.equal('README-1');
+      });
+
+      it('should keep numbered names within the maximum length', function () {
+        const filename = `${_.repeat('a', 251)}.txt`;
+
+        expect(DiskStorage._sanitize(filename)).to.equal(filename);
+        expect(DiskStorage._sanitize(filename, 12))
+          .to.equal(`${_.repeat('a', 248)}-12.txt`);
+        expect(DiskStorage._sanitize('abcdefgh.txt', 1, { maxLength: 10 }))
+          .to.equal('abcd-1.txt');
+      });
+    });
+  });
+
+
+  describe('MemoryStorage', function () {
+    it('should buffer parts in memory', function () {
+      return store(new MemoryStorage(), 'contents').then((locator) => {
+        expect(locator.buffer.toString()).to.equal('contents');
+        expect(locator.size).to.equal(8);
+      });
+    });
+  });
+
+
+  describe('ContentAddressedStorage', function () {
+    const digest = node.crypto.createHash('sha256')
+      .update('contents')
+      .digest('hex');
+
+
+    it('should store parts under the digest of their contents', function () {
+      const storage = new ContentAddressedStorage({ dir: dir });
+
+      return store(storage, 'contents').then((locator) => {
+        expect(locator).to.deep.equal({
+          digest: digest,
+          path: node.path.join(dir, digest),
+          size: 8
+        });
+        expect(node.fs.readdirSync(dir)).to.deep.equal([digest]);
+      });
+    });
+
+    it('should only store identical contents once', function () {
+      const storage = new ContentAddressedStorage({ dir: dir });
+
+      return Promise.all([
+        store(storage, 'contents'),
+        store(storage, 'contents')
+      ]).then((locators) => {
+        expect(locators[0]).to.deep.equal(locators[1]);
+        expect(node.fs.readdirSync(dir)).to.deep.equal([digest]);
+      });
+    });
+
+    it('should remove aborted files', function () {
+      const storage = new ContentAddressedStorage({ dir: dir });
+      const target = storage.createWriteTarget();
+
+      target.stream.write('partial');
+      return Promise.resolve(target.abort()).then(() => {
+        expect(node.fs.readdirSync(dir)).to.be.empty;
+      });
+    });
+
+    it('should fail parsing when files cannot be written', function (done) {
+      const storage = new ContentAddressedStorage({
+        dir: node.path.join(dir, 'missing')
+      });
+      const opts = { boundary: 'boundary', storage: storage };
+
+      // The part is larger than the buffers of the write target
+      Helpers.parse(createMessage(1024 * 1024), opts, {
+        chunkSize: 16 * 1024
+      }, (err) => {
+        expect(err).to.be.an.instanceof(MultipartError);
+        expect(err.isUnexpected).to.be.true;
+        expect(err.cause.code).to.equal('ENOENT');
+        done();
+      });
+    });
+  });
+
+
+  describe('MultipartParser', function () {
+    it('should emit stream parts once stored', function (done) {
+      const storage = new DiskStorage({ dir: dir, preserveFilename: true });
+      const opts = { boundary: 'boundary', storage: storage };
+
+      Helpers.parse(createMessage(1024), opts, (err, ctx) => {
+        if (err) {
+          return done(err);
+        }
+
+        const file = _.find(ctx.parts, { type: 'stream' });
+
+        expect(file.value).to.deep.equal({
+          path: node.path.join(dir, 'a.txt'),
+          size: 1024
+        });
+        expect(node.fs.readFileSync(file.value.path, 'utf8'))
+          .to.equal(_.repeat('a', 1024));
+        done();
+      });
+    });
+
+    it('should pass the metadata of parts to the adapter', function (done) {
+      const storage = {
+        createWriteTarget: (info) => {
+          expect(info).to.include({
+            name: 'file',
+            filename: 'a.txt',
+            contentType: 'text/plain'
+          });
+          expect(info.path).to.deep.equal([1]);
+
+          return {
+            stream: new node.stream.PassThrough().resume(),
+            finalize: () => Promise.resolve('s3://bucket/a.txt'),
+            abort: () => done(Error('Unexpected abort!'))
+          };
+        }
+      };
+      const opts = { boundary: 'boundary', storage: storage };
+
+      Helpers.parse(createMessage(16), opts, (err, ctx) => {
+        if (err) {
+          return done(err);
+        }
+
+        expect(_.find(ctx.parts, { type: 'stream' }).value)
+          .to.equal('s3://bucket/a.txt');
+        done();
+      });
+    });
+
+    it('should abort in-flight targets when parsing fails', function (done) {
+      const aborted = [];
+      const storage = {
+        createWriteTarget: () => {
+          const target = {
+            stream: new node.stream.PassThrough().resume(),
+            finalize: () => done(Error('Unexpected finalize!')),
+            abort: () => aborted.push(target)
+          };
+
+          return target;
+        }
+      };
+      const opts = {
+        boundary: 'boundary',
+        storage: storage,
+        maxPartSize: 64 * 1024
+      };
+
+      // Write in chunks, so that the part is being stored when parsing fails
+      Helpers.parse(createMessage(256 * 1024), opts, {
+        chunkSize: 16 * 1024
+      }, (err) => {
+        expect(err).to.be.an.instanceof(MultipartError);
+        expect(err.isPartTooLarge).to.be.true;
+        setImmediate(() => {
+          expect(aborted).to.have.length(1);
+          done();
+        });
+      });
+    });
+
+    it('should remove stored files when parsing fails', function (done) {
+      const storage = new DiskStorage({ dir: dir });
+      const opts = {
+        boundary: 'boundary',
+        storage: storage,
+        maxPartSize: 64 * 1024
+      };
+
+      Helpers.parse(createMessage(256 * 1024), opts, {
+        chunkSize: 16 * 1024
+      }, (err) => {
+        expect(err.isPartTooLarge).to.be.true;
+        setTimeout(() => {
+          expect(node.fs.readdirSync(dir)).to.be.empty;
+          done();
+        }, 20);
+      });
+    });
+
+    it('should leave the files of other parsers alone', function (done) {
+      const storage = new DiskStorage({ dir: dir });
+      const message = createMessage(16, [{
+        headers: {
+          'Content-Disposition': 'form-data; name="other"; filename="b.txt"'
+        },
+        body: _.repeat('b', 256 * 1024)
+      }]);
+      const opts = { boundary: 'boundary', storage: storage };
+
+      Helpers.parse(createMessage(16), opts, (err, ctx) => {
+        if (err) {
+          return done(err);
+        }
+
+        const stored = _.find(ctx.parts, { type: 'stream' }).value;
+
+        Helpers.parse(message, _.defaults({ maxPartSize: 64 * 1024 }, opts), {
+          chunkSize: 16 * 1024
+        }, (err) => {
+          expect(err.isPartTooLarge).to.be.true;
+          setTimeout(() => {
+            expect(storage.files).to.deep.equal([stored]);
+            expect(node.fs.readdirSync(dir))
+              .to.deep.equal([node.path.basename(stored.path)]);
+            done();
+          }, 20);
+        });
+      });
+    });
+
+    it('should remove the files it stored when parsing fails', function (done) {
+      const storage = new DiskStorage({ dir: dir });
+      const message = createMessage(16, [{
+        headers: { 'Content-Disposition': 'form-data; name="other"' },
+        body: _.repeat('b', 256 * 1024)
+      }]);
+      const opts = {
+        boundary: 'boundary',
+        storage: storage,
+        maxTotalSize: 64 * 1024
+      };
+
+      const ctx = Helpers.parse([message.slice(0, 1024)], opts, {
+        end: false
+      }, (err) => {
+        expect(err.isMessageTooLarge).to.be.true;
+        setTimeout(() => {
+          expect(_.some(ctx.parts, { type: 'stream' })).to.be.true;
+          expect(storage.files).to.be.empty;
+          expect(node.fs.readdirSync(dir)).to.be.empty;
+          done();
+        }, 20);
+      });
+      setTimeout(() => ctx.src.end(message.slice(1024)), 20);
+    });
+  });
+});
@@ -0,0 +1,287 @@
+'use strict';
+/**
+ * @file Unit tests for the transfer-encoding codecs
+ *
+ * @author Anand Suresh <anandsuresh@gmail.com>
+ * @copyright Copyright (C) 2017 Anand Suresh
+ * @license Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const chai = require('chai');
+const expect = chai.expect;
+const TransferEncoding = require('../lib/transfer_encoding');
+const _ = require('lodash');
+
+
+describe('TransferEncoding', function () {
+  /**
+   * Decodes the specified data, feeding it to the decoder in chunks
+   *
+   * @param {String} encoding The transfer-encoding of the data
+   * @param {String} data The encoded data
+   * @param {Number} chunkSize The size of the chunks fed to the decoder
+   * @return {Buffer}
+   */
+  function decode(encoding, data, chunkSize) {
+    const decoder = TransferEncoding.createDecoder(encoding);
+    const encoded = Buffer.from(data, 'binary');
+    const decoded = [];
+
+    for (let i = 0; i < encoded.length; i += chunkSize) {
+      decoded.push(decoder.write(encoded.slice(i, i + chunkSize)));
+    }
+    decoded.push(decoder.end() || Buffer.alloc(0));
+
+    return Buffer.concat(decoded);
+  }
+
+
+  /**
+   * Verifies that the data decodes as expected regardless of chunking
+   *
+   * @param {String} encoding The transfer-encoding of the data
+   * @param {String} data The encoded data
+   * @param {String} expected The expected decoded data
+   */
+  function verify(encoding, data, expected) {
+    _.forEach([1, 2, 3, 5, 7, data.length || 1], (chunkSize) => {
+      expect(decode(encoding, data, chunkSize).toString('binary'))
+        .to.equal(expected, `chunk size: ${chunkSize}`);
+    });
+  }
+
+
+  /**
+   * Encodes the specified data, feeding it to the encoder in chunks
+   *
+   * @param {String} encoding The transfer-encoding for the data
+   * @param {Buffer} data The data to encode
+   * @param {Number} chunkSize The size of the chunks fed to the encoder
+   * @return {String}
+   */
+  function encode(encoding, data, chunkSize) {
+    const encoder = TransferEncoding.createEncoder(encoding);
+    const encoded = [];
+
+    for (let i = 0; i < data.length; i += chunkSize) {
+      encoded.push(encoder.write(data.slice(i, i + chunkSize)));
+    }
+    encoded.push(encoder.end() || Buffer.alloc(0));
+
+    return Buffer.concat(encoded).toString('binary');
+  }
+
+
+  /**
+   * Verifies that the data encodes as expected regardless of chunking, and
+   * that it decodes back to the original data
+   *
+   * @param {String} encoding The transfer-encoding for the data
+   * @param {String} data The data to encode
+   * @param {String} [expected] The expected encoded data
+   */
+  function verifyEncoding(encoding, data, expected) {
+    const buffer = Buffer.from(data, 'binary');
+
+    _.forEach([1, 2, 3, 5, 7, buffer.length || 1], (chunkSize) => {
+      const encoded = encode(encoding, buffer, chunkSize);
+      if (expected !== undefined) {
+        expect(encoded).to.equal(expected, `chunk size: ${chunkSize}`);
+      }
+
+      _.forEach(encoded.split('\r\n'), (line) => {
+        expect(line).to.have.length.of.at.most(76);
+      });
+      expect(decode(encoding, encoded, chunkSize).toString('binary'))
+        .to.equal(data, `chunk size: ${chunkSize}`);
+    });
+  }
+
+
+  describe('.createDecoder', function () {
+    it('should return null for unsupported encodings', function () {
+      _.forEach(['x-unknown', 'constructor', '__proto__'], (encoding) => {
+        expect(TransferEncoding.createDecoder(encoding)).to.be.null;
+      });
+    });
+
+    it('should ignore the case of and whitespace around names', function () {
+      expect(TransferEncoding.createDecoder(' Base64 ')).to.not.be.null;
+      expect(TransferEncoding.createDecoder('QUOTED-PRINTABLE')).to.not.be.null;
+    });
+
+    it('should prefer the specified decoders', function () {
+      const decoder = {};
+      const decoders = { base64: () => decoder };
+      expect(TransferEncoding.createDecoder('base64', decoders))
+        .to.equal(decoder);
+    });
+  });
+
+
+  describe('.registerDecoder', function () {
+    afterEach(function () {
+      delete TransferEncoding.DECODERS['x-test'];
+    });
+
+    it('should throw an error if required arguments are missing', function () {
+      expect(() => TransferEncoding.registerDecoder()).to.throw(TypeError);
+      expect(() => TransferEncoding.registerDecoder('x-test')).to.throw();
+      expect(() => TransferEncoding.registerDecoder(null, _.noop)).to.throw();
+    });
+
+    it('should register a decoder for the encoding', function () {
+      const decoder = {};
+      TransferEncoding.registerDecoder('X-Test', () => decoder);
+      expect(TransferEncoding.createDecoder('x-test')).to.equal(decoder);
+    });
+  });
+
+
+  describe('.createEncoder', function () {
+    it('should return null for unsupported encodings', function () {
+      _.forEach(['x-unknown', 'x-uuencode', 'constructor'], (encoding) => {
+        expect(TransferEncoding.createEncoder(encoding)).to.be.null;
+      });
+    });
+  });
+
+
+  describe('.registerEncoder', function () {
+    afterEach(function () {
+      delete TransferEncoding.ENCODERS['x-test'];
+    });
+
+    it('should register an encoder for the encoding', function () {
+      const encoder = {};
+      TransferEncoding.registerEncoder('X-Test', () => encoder);
+      expect(TransferEncoding.createEncoder('x-test')).to.equal(encoder);
+    });
+  });
+
+
+  describe('.createEncodeStream', function () {
+    it('should return null for unsupported encodings', function () {
+      expect(TransferEncoding.createEncodeStream('x-unknown')).to.be.null;
+    });
+
+    it('should return a stream that encodes data', function (done) {
+      const chunks = [];
+
+      TransferEncoding.createEncodeStream('base64')
+        .on('data', (chunk) => chunks.push(chunk))
+        .on('end', () => {
+          expect(Buffer.concat(chunks).toString()).to.equal('SGVsbG8=');
+          done();
+        })
+        .end('Hello');
+    });
+  });
+
+
+  describe('identity', function () {
+    it('should pass data through unchanged', function () {
+      _.forEach(['binary', '7bit', '8bit'], (encoding) => {
+        verify(encoding, 'foo\r\nbar\xff', 'foo\r\nbar\xff');
+      });
+    });
+  });
+
+
+  describe('base64', function () {
+    it('should decode base64 data', function () {
+      verify('base64', 'SGVsbG8sIHdvcmxkIQ==', 'Hello, world!');
+    });
+
+    it('should ignore line-breaks and whitespace', function () {
+      verify('base64', 'SGVs\r\nbG8s IHdv\r\n\tcmxk\nIQ==\r\n',
+        'Hello, world!');
+    });
+
+    it('should encode data, wrapping lines at 76 characters', function () {
+      const data = _.repeat('\x00\x10\x83', 60);
+      const line = _.repeat('ABCD', 19);
+
+      verifyEncoding('base64', '', '');
+      verifyEncoding('base64', 'Hello, world!', 'SGVsbG8sIHdvcmxkIQ==');
+      verifyEncoding('base64', data,
+        `${line}\r\n${line}\r\n${line}\r\nABCDABCDABCD`);
+    });
+  });
+
+
+  describe('quoted-printable', function () {
+    it('should decode escaped octets', function () {
+      verify('quoted-printable', 'caf=C3=A9 =3D=3d', 'caf\xc3\xa9 ==');
+    });
+
+    it('should remove soft line-breaks', function () {
+      verify('quoted-printable', 'foo=\r\nbar=\nbaz', 'foobarbaz');
+    });
+
+    it('should preserve hard line-breaks', function () {
+      verify('quoted-printable', 'foo\r\nbar\nbaz\r\n', 'foo\r\nbar\nbaz\r\n');
+    });
+
+    it('should remove whitespace trailing a line', function () {
+      verify('quoted-printable', 'foo \t\r\nbar= \r\nbaz  ', 'foo\r\nbarbaz');
+    });
+
+    it('should pass malformed escape sequences through', function () {
+      verify('quoted-printable', 'a=XYb=4', 'a=XYb=4');
+    });
+
+    it('should encode non-printable characters and `=`', function () {
+      verifyEncoding('quoted-printable', 'caf\xc3\xa9 = \x00\x7f',
+        'caf=C3=A9 =3D =00=7F');
+    });
+
+    it('should preserve line-breaks and encode bare ones', function () {
+      verifyEncoding('quoted-printable', 'foo\r\nbar\nbaz\r',
+        'foo\r\nbar=0Abaz=0D');
+    });
+
+    it('should encode whitespace that precedes line-breaks', function () {
+      verifyEncoding('quoted-printable', 'foo \r\nbar\t\r\n baz ',
+        'foo=20\r\nbar=09\r\n baz=20');
+    });
+
+    it('should use soft line-breaks for long lines', function () {
+      verifyEncoding('quoted-printable', _.repeat('a', 80),
+        `${_.repeat('a', 75)}=\r\naaaaa`);
+      verifyEncoding('quoted-printable', _.repeat('\xff', 30),
+        `${_.repeat('=FF', 25)}=\r\n${_.repeat('=FF', 5)}`);
+      verifyEncoding('quoted-printable', _.repeat('a \r\n', 30));
+    });
+  });
+
+
+  describe('x-uuencode', function () {
+    const encoded = 'begin 644 hello.txt\r\n' +
+      '.2&5L;&\\L(\'=O<FQD(0H`\r\n' +
+      '`\r\n' +
+      'end\r\n' +
+      'ignored\r\n';
+
+    it('should decode uuencoded data', function () {
+      verify('x-uuencode', encoded, 'Hello, world!\n');
+    });
+
+    it('should be registered under common aliases', function () {
+      verify('uuencode', encoded, 'Hello, world!\n');
+      verify('x-uue', encoded, 'Hello, world!\n');
+    });
+  });
+});
@@ -0,0 +1,104 @@
+'use strict';
+/**
+ * @file Unit tests for the helpers shared by the parser and the streamer
+ *
+ * @author Anand Suresh <anandsuresh@gmail.com>
+ * @copyright Copyright (C) 2017 Anand Suresh
+ * @license Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const node = {
+  events: require('events')
+};
+const chai = require('chai');
+const expect = chai.expect;
+const Helpers = require('./helpers');
+const Util = require('../lib/util');
+
+
+describe('Util', function () {
+  describe('.takeSignal', function () {
+    it('should remove the signal from the options', function () {
+      const signal = Helpers.createSignal();
+      const opts = { signal: signal, highWaterMark: 16 };
+
+      expect(Util.takeSignal(opts)).to.equal(signal);
+      expect(opts).to.deep.equal({ highWaterMark: 16 });
+      expect(Util.takeSignal({})).to.be.null;
+    });
+  });
+
+
+  describe('.watchSignal', function () {
+    function createStream() {
+      const stream = new node.events.EventEmitter();
+
+      stream.destroy = (err) => (stream.error = err);
+      return stream;
+    }
+
+
+    it('should destroy the stream once the signal aborts', function () {
+      const signal = Helpers.createSignal();
+      const stream = createStream();
+
+      Util.watchSignal(stream, signal);
+      signal.abort('deadline');
+      expect(stream.error.isAborted).to.be.true;
+      expect(stream.error.metadata.reason).to.equal('deadline');
+    });
+
+    it('should destroy the stream if the signal has aborted', function (done) {
+      const signal = Helpers.createSignal();
+      const stream = createStream();
+
+      signal.abort();
+      Util.watchSignal(stream, signal);
+      expect(stream.error).to.be.undefined;
+      process.nextTick(() => {
+        expect(stream.error.isAborted).to.be.true;
+        done();
+      });
+    });
+
+    it('should stop watching the signal once the stream closes', function () {
+      const signal = Helpers.createSignal();
+      const stream = createStream();
+
+      Util.watchSignal(stream, signal);
+      stream.emit('close');
+      signal.abort();
+      expect(stream.error).to.be.undefined;
+    });
+  });
+
+
+  describe('.emitProgress', function () {
+    it('should throttle events by the progress interval', function () {
+      const stream = new node.events.EventEmitter();
+      const events = [];
+
+      stream.progress = { bytes: 1 };
+      stream.progressInterval = 60 * 1000;
+      stream._lastProgress = 0;
+      stream.on('progress', (progress) => events.push(progress));
+
+      Util.emitProgress(stream, false);
+      Util.emitProgress(stream, false);
+      Util.emitProgress(stream, true);
+      expect(events).to.deep.equal([stream.progress, stream.progress]);
+    });
+  });
+});